@@ -0,0 +1,199 @@
+/**
+ * @file Maintains the "Application Details" sheet: recruiter contact, interview time and meeting
+ * link, location and work arrangement, and salary range extracted from application emails. Each
+ * email that carries any of them adds one row, linked to its application by the same
+ * "Application Key" as the "Status History" sheet.
+ */
+
+/**
+ * Gets or creates the "Application Details" sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The details sheet or null if it could not be created.
+ */
+function getOrCreateApplicationDetailsSheet(ss) {
+  const FUNC_NAME = "getOrCreateApplicationDetailsSheet";
+  let detailsSheet = ss.getSheetByName(APPLICATION_DETAILS_SHEET_NAME);
+  if (detailsSheet) {
+    // Sheets created before "Job Link" was added get the header.
+    const lastCol = detailsSheet.getLastColumn();
+    if (lastCol < APPLICATION_DETAILS_HEADERS.length) {
+      detailsSheet.getRange(1, lastCol + 1, 1, APPLICATION_DETAILS_HEADERS.length - lastCol)
+        .setValues([APPLICATION_DETAILS_HEADERS.slice(lastCol)]).setFontWeight('bold');
+    }
+    return detailsSheet;
+  }
+
+  try {
+    detailsSheet = ss.insertSheet(APPLICATION_DETAILS_SHEET_NAME);
+    const widths = APPLICATION_DETAILS_COLUMN_WIDTHS.map((width, i) => ({ col: i + 1, width: width }));
+    setupSheetFormatting(detailsSheet, APPLICATION_DETAILS_HEADERS, widths, true, SpreadsheetApp.BandingTheme.GREY);
+    const interviewCol = APPLICATION_DETAILS_HEADERS.indexOf("Interview Start") + 1;
+    detailsSheet.getRange(2, interviewCol, detailsSheet.getMaxRows() - 1, 1).setNumberFormat("yyyy-mm-dd hh:mm");
+    detailsSheet.setTabColor(BRAND_COLORS.CAROLINA_BLUE);
+    Logger.log(`[${FUNC_NAME} INFO] Created "${APPLICATION_DETAILS_SHEET_NAME}" sheet.`);
+    return detailsSheet;
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Failed to create application details sheet: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Cleans the "details" object returned by Gemini. Placeholders such as "N/A" are dropped, the
+ * interview time is parsed into a Date in its stated time zone, and a video meeting link found in
+ * the body is used when Gemini returned none.
+ * @param {object|null} raw The raw "details" object, or null when Gemini was not used.
+ * @param {string} [emailBody] The plain-text body, searched for a meeting link.
+ * @param {string} [jobLink] The job or portal link of the email (see `getPrimaryJobLink`), kept with the other details.
+ * @returns {object|null} The details, or null if the email carried none.
+ */
+function normalizeApplicationDetails(raw, emailBody, jobLink) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const text = value => {
+    const s = String(value == null ? "" : value).trim();
+    return (!s || /^(?:n\/?a|null|none|unknown|not specified)$/i.test(s) || s === MANUAL_REVIEW_NEEDED) ? "" : s;
+  };
+  const recruiterEmail = text(source.recruiter_email).toLowerCase();
+  const meetingLink = text(source.meeting_link);
+  const timeZoneName = text(source.interview_timezone);
+  let salaryMin = _parseSalaryAmount(source.salary_min);
+  let salaryMax = _parseSalaryAmount(source.salary_max);
+  if (salaryMin !== "" && salaryMax !== "" && salaryMin > salaryMax) [salaryMin, salaryMax] = [salaryMax, salaryMin];
+  const hasSalary = salaryMin !== "" || salaryMax !== "";
+
+  const details = {
+    recruiterName: text(source.recruiter_name),
+    recruiterEmail: /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recruiterEmail) ? recruiterEmail : "",
+    interviewStart: parseInterviewDateTime(text(source.interview_start), timeZoneName),
+    interviewTimeZone: timeZoneName,
+    meetingLink: /^https?:\/\//i.test(meetingLink) ? meetingLink : extractMeetingLink(emailBody),
+    location: text(source.location),
+    workArrangement: _matchOption(text(source.work_arrangement), WORK_ARRANGEMENTS),
+    salaryMin: salaryMin,
+    salaryMax: salaryMax,
+    salaryCurrency: hasSalary ? text(source.salary_currency).toUpperCase() : "",
+    salaryPeriod: hasSalary ? _matchOption(text(source.salary_period), SALARY_PERIODS) : ""
+  };
+  // A job link alone does not make a details row.
+  if (!Object.values(details).some(value => value !== "")) return null;
+  details.jobLink = jobLink || "";
+  return details;
+}
+
+/**
+ * Parses an interview date/time. ISO values with an offset ("2025-03-04T14:00:00-08:00") are used
+ * as they are; values without one are read in the given time zone, else the script's.
+ * @param {string} value The date/time as returned by Gemini ("YYYY-MM-DD HH:mm" or ISO 8601).
+ * @param {string} [timeZoneName] The time zone as written in the email ("PT", "EST", "America/New_York", "GMT+1").
+ * @returns {Date|string} The Date, or "" if the value could not be parsed.
+ */
+function parseInterviewDateTime(value, timeZoneName) {
+  if (!value) return "";
+  if (/T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? "" : date;
+  }
+  const match = value.match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{1,2}:\d{2}))?/);
+  if (!match) return "";
+  try {
+    const timeZone = _resolveInterviewTimeZone(timeZoneName) || Session.getScriptTimeZone();
+    return Utilities.parseDate(`${match[1]} ${match[2] || "00:00"}`, timeZone, "yyyy-MM-dd HH:mm");
+  } catch (e) {
+    Logger.log(`[parseInterviewDateTime WARN] Could not parse "${value}" (${timeZoneName || "no time zone"}): ${e.message}`);
+    return "";
+  }
+}
+
+/**
+ * Finds a Zoom, Google Meet, Teams or Webex link in an email body (see MEETING_LINK_PATTERN).
+ * @param {string} [emailBody] The plain-text body.
+ * @returns {string} The link, or "" if there is none.
+ */
+function extractMeetingLink(emailBody) {
+  const match = String(emailBody || "").match(MEETING_LINK_PATTERN);
+  return match ? match[0].replace(/[.,;:]+$/, "") : "";
+}
+
+/**
+ * Builds the "Application Details" entry for an email, from the row it was applied to.
+ * @param {any[]} rowData The Applications row after the update.
+ * @param {object} details Details from `normalizeApplicationDetails`.
+ * @param {{emailDate: Date, emailLink: string, emailId: string}} emailInfo The email the details came from.
+ * @returns {object} An entry for `appendApplicationDetails`.
+ */
+function buildApplicationDetailsEntry(rowData, details, emailInfo) {
+  return Object.assign({ company: rowData[COMPANY_COL - 1], title: rowData[JOB_TITLE_COL - 1] }, details, emailInfo);
+}
+
+/**
+ * Appends extracted details to the "Application Details" sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @param {object[]} entries Entries from `buildApplicationDetailsEntry`.
+ * @returns {number} The number of rows appended.
+ */
+function appendApplicationDetails(ss, entries) {
+  if (!entries || entries.length === 0) return 0;
+  const detailsSheet = getOrCreateApplicationDetailsSheet(ss);
+  if (!detailsSheet) throw new Error(`Application details sheet "${APPLICATION_DETAILS_SHEET_NAME}" is unavailable.`);
+  const recordedAt = new Date();
+  const rows = entries.map(entry => [
+    recordedAt,
+    applicationKey(entry.company, entry.title),
+    entry.company || "",
+    entry.title || "",
+    entry.recruiterName,
+    entry.recruiterEmail,
+    entry.interviewStart,
+    entry.interviewTimeZone,
+    entry.meetingLink,
+    entry.location,
+    entry.workArrangement,
+    entry.salaryMin,
+    entry.salaryMax,
+    entry.salaryCurrency,
+    entry.salaryPeriod,
+    entry.emailDate || "",
+    entry.emailLink || "",
+    entry.emailId || "",
+    entry.jobLink || ""
+  ]);
+  detailsSheet.getRange(detailsSheet.getLastRow() + 1, 1, rows.length, APPLICATION_DETAILS_HEADERS.length).setValues(rows);
+  Logger.log(`[appendApplicationDetails INFO] Recorded details from ${rows.length} email(s).`);
+  return rows.length;
+}
+
+/**
+ * Maps a time zone as written in an email to an ID `Utilities.parseDate` accepts.
+ * @returns {string} The time zone ID, or "" if it is not recognized.
+ * @private
+ */
+function _resolveInterviewTimeZone(name) {
+  const value = String(name || "").trim();
+  if (INTERVIEW_TIME_ZONE_ALIASES[value.toUpperCase()]) return INTERVIEW_TIME_ZONE_ALIASES[value.toUpperCase()];
+  if (/^[A-Za-z]+\/[A-Za-z_]+(?:\/[A-Za-z_]+)?$/.test(value)) return value;
+  const offset = value.match(/^(?:GMT|UTC)\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i);
+  return offset ? `GMT${offset[1]}${offset[2].padStart(2, "0")}:${offset[3] || "00"}` : "";
+}
+
+/**
+ * Parses a salary amount such as 120000, "$120,000" or "120k".
+ * @returns {number|string} The amount, or "" if there is none.
+ * @private
+ */
+function _parseSalaryAmount(value) {
+  if (typeof value === 'number') return value > 0 ? value : "";
+  const match = String(value == null ? "" : value).replace(/[,\s]/g, "").match(/^[^\d]*(\d+(?:\.\d+)?)(k)?$/i);
+  if (!match) return "";
+  const amount = parseFloat(match[1]) * (match[2] ? 1000 : 1);
+  return amount > 0 ? amount : "";
+}
+
+/**
+ * Matches a free-text value to one of the allowed options, ignoring case, spaces and hyphens.
+ * @returns {string} The matching option, or "" if none matches.
+ * @private
+ */
+function _matchOption(value, options) {
+  const key = s => s.toLowerCase().replace(/[\s-]/g, "");
+  return options.find(option => key(option) === key(value)) || "";
+}
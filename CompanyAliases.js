@@ -0,0 +1,81 @@
+/**
+ * @file Manages the user-editable "Company Aliases" sheet, which maps company name variants
+ * (brands, parent companies, sender-domain names) to one canonical name. Parsing, matching and
+ * leads ingestion pass company names through `resolveCompanyAlias` so each employer is stored,
+ * matched and counted under a single name.
+ */
+
+/** @private Alias map for the current execution: normalized alias -> canonical name. */
+let _companyAliasCache = null;
+
+/**
+ * Gets or creates the "Company Aliases" sheet, seeding it with DEFAULT_COMPANY_ALIASES when new.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The aliases sheet or null if it could not be created.
+ */
+function getOrCreateCompanyAliasesSheet(ss) {
+  const FUNC_NAME = "getOrCreateCompanyAliasesSheet";
+  let aliasSheet = ss.getSheetByName(COMPANY_ALIASES_SHEET_NAME);
+  if (aliasSheet) return aliasSheet;
+
+  try {
+    aliasSheet = ss.insertSheet(COMPANY_ALIASES_SHEET_NAME);
+    const widths = COMPANY_ALIASES_COLUMN_WIDTHS.map((width, i) => ({ col: i + 1, width: width }));
+    setupSheetFormatting(aliasSheet, COMPANY_ALIASES_HEADERS, widths, true, SpreadsheetApp.BandingTheme.GREY);
+    if (DEFAULT_COMPANY_ALIASES.length > 0) {
+      aliasSheet.getRange(2, 1, DEFAULT_COMPANY_ALIASES.length, COMPANY_ALIASES_HEADERS.length).setValues(DEFAULT_COMPANY_ALIASES);
+    }
+    aliasSheet.setTabColor(BRAND_COLORS.CAROLINA_BLUE);
+    _companyAliasCache = null;
+    Logger.log(`[${FUNC_NAME} INFO] Created "${COMPANY_ALIASES_SHEET_NAME}" sheet with ${DEFAULT_COMPANY_ALIASES.length} default alias(es).`);
+    return aliasSheet;
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Failed to create aliases sheet: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * (Re)loads the alias map from a spreadsheet's "Company Aliases" sheet for the rest of the execution.
+ * Canonical names are also mapped to themselves, so "meta" and "facebook" resolve alike.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @returns {Map<string, string>} The alias map.
+ */
+function loadCompanyAliases(ss) {
+  const FUNC_NAME = "loadCompanyAliases";
+  const aliases = new Map();
+  const aliasSheet = ss ? ss.getSheetByName(COMPANY_ALIASES_SHEET_NAME) : null;
+  if (aliasSheet && aliasSheet.getLastRow() >= 2) {
+    aliasSheet.getRange(2, 1, aliasSheet.getLastRow() - 1, 2).getValues().forEach(([alias, canonical]) => {
+      const canonicalName = String(canonical || "").trim();
+      if (!canonicalName) return;
+      [alias, canonicalName].forEach(name => {
+        const key = normalizeCompanyName(name);
+        if (key && !aliases.has(key)) aliases.set(key, canonicalName);
+      });
+    });
+  }
+  _companyAliasCache = aliases;
+  if (DEBUG_MODE) Logger.log(`[${FUNC_NAME} DEBUG] Loaded ${aliases.size} company alias key(s).`);
+  return aliases;
+}
+
+/**
+ * Maps a company name to its canonical name, or returns it unchanged if it has no alias.
+ * Uses the aliases loaded by `loadCompanyAliases`, loading them from the active spreadsheet on first use.
+ * @param {string} companyName The company name as parsed.
+ * @returns {string} The canonical company name.
+ */
+function resolveCompanyAlias(companyName) {
+  if (!companyName || companyName === MANUAL_REVIEW_NEEDED || String(companyName).toLowerCase() === "n/a") return companyName;
+  if (!_companyAliasCache) {
+    try {
+      loadCompanyAliases(SpreadsheetApp.getActiveSpreadsheet());
+    } catch (e) {
+      _companyAliasCache = new Map();
+    }
+  }
+  const canonical = _companyAliasCache.get(normalizeCompanyName(companyName));
+  if (canonical && canonical !== companyName && DEBUG_MODE) Logger.log(`[resolveCompanyAlias DEBUG] "${companyName}" -> "${canonical}"`);
+  return canonical || companyName;
+}
@@ -42,7 +42,7 @@ const LEADS_SHEET_TAB_NAME = "Potential Job Leads";
 const APP_TRACKER_SHEET_HEADERS = [
   "Processed Timestamp", "Email Date", "Platform", "Company", "Job Title", 
   "Status", "Peak Status", "Last Update Date", "Email Subject", 
-  "Email Link", "Email ID", "Notes" 
+  "Email Link", "Email ID", "Notes", "Match Score", "Requisition ID", "Locked Fields", "Confidence"
 ];
 // Column Index Variables (1-based for sheet.getRange(), adjust if header order changes)
 const PROCESSED_TIMESTAMP_COL = 1;
@@ -57,10 +57,14 @@ const EMAIL_SUBJECT_COL = 9;
 const EMAIL_LINK_COL = 10;
 const EMAIL_ID_COL = 11;
 const NOTES_COL = 12;
-const TOTAL_COLUMNS_IN_APP_SHEET = APP_TRACKER_SHEET_HEADERS.length; // Should be 12
+const MATCH_SCORE_COL = 13; // Similarity of the last email matched to this row (1 = exact); blank for rows never matched
+const REQUISITION_ID_COL = 14; // Employer's requisition/posting ID (e.g., JR12345), used to link later emails to this row
+const LOCKED_FIELDS_COL = 15; // Comma-separated headers the user has corrected by hand; automation leaves those cells alone
+const CONFIDENCE_COL = 16; // Lowest field confidence (0-1) of the last email applied to this row; see ParseConfidence.js
+const TOTAL_COLUMNS_IN_APP_SHEET = APP_TRACKER_SHEET_HEADERS.length; // Should be 16
 
 // Column Widths for "Applications" Sheet (in pixels) - Array must match header count
-const APP_SHEET_COLUMN_WIDTHS = [150, 100, 100, 180, 200, 120, 100, 120, 250, 100, 100, 250];
+const APP_SHEET_COLUMN_WIDTHS = [150, 100, 100, 180, 200, 120, 100, 120, 250, 100, 100, 250, 90, 130, 160, 100];
 
 // --- Column Configuration for "Potential Job Leads" Sheet (LEADS_SHEET_TAB_NAME) ---
 const LEADS_SHEET_HEADERS = [
@@ -89,9 +93,12 @@ const DEFAULT_LEAD_STATUS = "New"; // Default status for new leads
 
 // --- Application Status Configuration ---
 // Define the status options available for job applications.
-// The order in STATUS_HIERARCHY defines progression (higher is "better" or "later stage").
+// Their ranks, terminal flags, funnel stages and colors come from the "Settings" sheet (see below).
 const DEFAULT_STATUS = "Applied";
-const INTERVIEW_STATUS = "Interviewing";
+const INTERVIEW_STATUS = "Interviewing"; // An interview whose round is not known
+const SCREENING_STATUS = "Screening"; // Recruiter / phone screen
+const INTERVIEW_ROUND_STATUSES = ["Interview 1", "Interview 2", "Interview 3+"]; // Numbered rounds, in order; the last one absorbs later rounds
+const FINAL_INTERVIEW_STATUS = "Final Interview"; // Final round or onsite
 const OFFER_STATUS = "Offer";
 const REJECTED_STATUS = "Rejected";
 const KEEP_IN_VIEW_STATUS = "Keep In View"; // For leads or apps to revisit
@@ -100,42 +107,136 @@ const ACCEPTED_STATUS = "Accepted Offer"; // New status for accepted offers
 const ASSESSMENT_STATUS = "Assessment"; // Added for consistency
 const APPLICATION_VIEWED_STATUS = "Application Viewed"; // Added for consistency
 const MANUAL_REVIEW_NEEDED = "Manual Review Needed"; // For parsing failures
+const GHOSTED_STATUS = "No Response / Ghosted"; // Set by the stale-application job; kept apart from real rejections
 
-// Status hierarchy for determining "Peak Status" and for sorting/filtering.
-// Higher numbers mean "further along" in the process.
-const STATUS_HIERARCHY = {
-  [DEFAULT_STATUS]: 1,
-  "Screening": 2,
-  "Assessment": 3,
-  [INTERVIEW_STATUS]: 4, // Generic "Interviewing"
-  "Interview 1": 4.1,   // More specific interview stages
-  "Interview 2": 4.2,
-  "Interview 3+": 4.3,
-  "Final Interview": 4.5,
-  [OFFER_STATUS]: 5,
-  [ACCEPTED_STATUS]: 6, // Highest positive status
-  [REJECTED_STATUS]: 0, // Terminal
-  [WITHDRAWN_STATUS]: -1, // Terminal, user-initiated
-  [KEEP_IN_VIEW_STATUS]: 0.5, 
-  [MANUAL_REVIEW_NEEDED]: -2 // Needs attention
+// --- Status Pipeline (Settings Sheet) ---
+// The "Settings" sheet defines the status pipeline; it is seeded from DEFAULT_STATUS_PIPELINE.
+// - Rank: higher is "further along"; drives Status and Peak Status updates.
+// - Terminal: always replaces the current status, is never marked stale and is not counted as active.
+// - Stale After (Days): days without an update after which the stale job marks the status as GHOSTED_STATUS;
+//   blank means the status never goes stale.
+// - In Funnel: the status is a stage of the dashboard funnel (stages are ordered by rank).
+// - Color: background for the status in the Status / Peak Status columns.
+// - Keywords: comma-separated phrases for the keyword fallback (see KeywordRules.js). A phrase counts 1
+//   towards its status unless it ends with a weight ("offer:0.5"); a status needs KEYWORD_RULE_MIN_SCORE.
+// - AI Hint: when filled, the status is offered to Gemini with this description.
+// - Keyword Priority: which status wins when the keywords of several reach the score; blank uses the rank.
+// The statuses named above (Applied, Rejected, ...) are used by the code itself and should stay in the sheet.
+const SETTINGS_SHEET_NAME = "Settings";
+const STATUS_PIPELINE_HEADERS = ["Status", "Rank", "Terminal", "In Funnel", "Color", "Keywords", "AI Hint", "Stale After (Days)", "Keyword Priority"];
+const STATUS_PIPELINE_COLUMN_WIDTHS = [160, 60, 80, 80, 90, 380, 380, 120, 120];
+const DEFAULT_STATUS_PIPELINE = [
+  [DEFAULT_STATUS, 1, false, true, "#E8F0FE", "", "Application submitted, application sent, successfully applied, application received", 56, ""],
+  [APPLICATION_VIEWED_STATUS, 1.5, false, true, "#E3F2FD", "application was viewed, profile was viewed, application has been reviewed", "Application was viewed by recruiter, your profile was viewed for the role", 56, ""],
+  [SCREENING_STATUS, 2, false, false, "#E0F7FA", "phone screen, recruiter screen, screening call, initial call, introductory call, intro call", "Recruiter or phone screen, introductory call, initial chat before the interview rounds", 42, ""],
+  [ASSESSMENT_STATUS, 3, false, true, "#FFF8E1", "assessment:0.5, coding challenge, technical test, skills test, take-home assignment, online assessment", "Online assessment, coding challenge, technical test, skills test", 42, ""],
+  [INTERVIEW_STATUS, 4, false, true, "#FFF3E0", "interview:0.5, invitation to interview, invite you to an interview, invite you to interview, schedule an interview, interview request, like to speak with you, let's chat, connect with you", "Invitation to interview, schedule an interview, interview request, when the email does not say which round", 60, ""],
+  [INTERVIEW_ROUND_STATUSES[0], 4.1, false, false, "#FFE0B2", "first round, 1st round, round 1, first interview", "Invitation to the first interview round ('first round', 'round 1')", 60, ""],
+  [INTERVIEW_ROUND_STATUSES[1], 4.2, false, false, "#FFE0B2", "second round, 2nd round, round 2, second interview", "Invitation to the second interview round ('second round', 'round 2')", 60, ""],
+  [INTERVIEW_ROUND_STATUSES[2], 4.3, false, false, "#FFE0B2", "third round, 3rd round, round 3, fourth round, 4th round, round 4, third interview", "Invitation to a third or later interview round", 60, ""],
+  [FINAL_INTERVIEW_STATUS, 4.5, false, false, "#FFCC80", "final round, final interview, onsite interview, on-site interview, virtual onsite, superday", "Final round, onsite or virtual onsite, final interview loop", 60, ""],
+  [OFFER_STATUS, 5, true, true, "#E8F5E9", "offer:0.5, job offer, offer of employment, pleased to offer, offer letter", "Offer of employment, pleased to offer, job offer", "", ""],
+  [ACCEPTED_STATUS, 6, true, false, "#C8E6C9", "", "", "", ""],
+  [KEEP_IN_VIEW_STATUS, 0.5, false, false, "#F3E5F5", "", "", "", ""],
+  [REJECTED_STATUS, 0, true, false, "#FFEBEE", "not moving forward, not be moving forward, not to move forward, not move forward, move forward with other candidates, moving forward with other candidates, unfortunately:0.5, decided not to proceed, not be proceeding, other candidates, regret to inform, filled the position, not been selected", "Not moving forward, unfortunately, decided not to proceed, position filled", "", 10],
+  [GHOSTED_STATUS, 0.2, true, false, "#F5F5F5", "", "", "", ""],
+  [WITHDRAWN_STATUS, -1, true, false, "#EEEEEE", "", "", "", ""]
+];
+const MANUAL_REVIEW_STATUS_RANK = -2; // MANUAL_REVIEW_NEEDED is not a pipeline status; it ranks lowest and is never marked stale.
+const DEFAULT_STALE_AFTER_DAYS = 56; // For statuses that are not in the "Settings" sheet.
+
+// --- Keyword Rules ---
+// Status phrases in other languages, added to the "Settings" sheet's keywords (same "phrase:weight" syntax).
+// Phrases match whole words, ignoring case and accents; a status that is not in the sheet is skipped.
+const KEYWORD_RULE_MIN_SCORE = 1; // Sum of matched phrase weights a status needs.
+const KEYWORD_NEGATION_WINDOW = 3; // A phrase is ignored when one of the words this far before it is a negation.
+const KEYWORD_PHRASE_MAX_GAP = 2; // Other words allowed between two words of a phrase of three or more words.
+const KEYWORD_NEGATION_CUES = ["not", "no", "never", "dont", "wont", "cannot", "without", "pas", "jamais", "sans", "nicht", "kein", "keine", "keinen", "nie", "nao", "nunca", "sem", "ni"];
+const STATUS_KEYWORD_LANGUAGE_PACKS = {
+  es: {
+    [REJECTED_STATUS]: ["lamentablemente:0.5", "no seguir adelante", "no continuar con tu candidatura", "no continuar con su candidatura", "otros candidatos", "otras candidaturas", "no has sido seleccionado", "no ha sido seleccionado", "la vacante ha sido cubierta", "lamentamos informarle", "sentimos informarte"],
+    [SCREENING_STATUS]: ["llamada inicial", "entrevista telefonica", "primera llamada"],
+    [ASSESSMENT_STATUS]: ["prueba tecnica", "reto tecnico", "prueba de evaluacion", "evaluacion en linea", "evaluacion:0.5"],
+    [INTERVIEW_STATUS]: ["entrevista:0.5", "invitarte a una entrevista", "invitarle a una entrevista", "agendar una entrevista", "programar una entrevista", "coordinar una entrevista"],
+    [FINAL_INTERVIEW_STATUS]: ["entrevista final", "ultima ronda", "ronda final"],
+    [OFFER_STATUS]: ["oferta:0.5", "oferta de empleo", "oferta de trabajo", "carta oferta", "nos complace ofrecerte", "nos complace ofrecerle"]
+  },
+  fr: {
+    [REJECTED_STATUS]: ["malheureusement:0.5", "ne pas donner suite", "pas pu donner suite", "n'avons pas retenu", "pas ete retenue", "pas ete retenu", "autres candidats", "autres candidatures", "nous regrettons de vous informer", "le poste a ete pourvu"],
+    [SCREENING_STATUS]: ["entretien telephonique", "appel de preselection", "premier echange"],
+    [ASSESSMENT_STATUS]: ["test technique", "exercice technique", "evaluation en ligne", "cas pratique"],
+    [INTERVIEW_STATUS]: ["entretien:0.5", "vous inviter a un entretien", "planifier un entretien", "fixer un entretien", "convocation a un entretien", "vous rencontrer:0.5"],
+    [FINAL_INTERVIEW_STATUS]: ["entretien final", "dernier entretien", "derniere etape"],
+    [OFFER_STATUS]: ["offre:0.5", "proposition d'embauche", "promesse d'embauche", "proposition de contrat", "heureux de vous proposer", "ravis de vous proposer"]
+  },
+  de: {
+    [REJECTED_STATUS]: ["leider:0.5", "absage", "nicht weiter berucksichtigen", "nicht berucksichtigen", "anderen kandidaten", "anderen bewerber", "fur einen anderen kandidaten entschieden", "stelle wurde bereits besetzt", "mussen wir ihnen mitteilen"],
+    [SCREENING_STATUS]: ["telefoninterview", "telefonisches erstgesprach", "erstgesprach"],
+    [ASSESSMENT_STATUS]: ["eignungstest", "online-test", "fallstudie", "technische aufgabe", "coding-challenge"],
+    [INTERVIEW_STATUS]: ["vorstellungsgesprach:0.5", "bewerbungsgesprach:0.5", "einladung zum vorstellungsgesprach", "zu einem vorstellungsgesprach einladen", "zu einem gesprach einladen", "einladung zum gesprach", "termin vereinbaren:0.5"],
+    [FINAL_INTERVIEW_STATUS]: ["finales gesprach", "abschliessendes gesprach", "letzte runde"],
+    [OFFER_STATUS]: ["angebot:0.5", "vertragsangebot", "zusage", "arbeitsvertrag:0.5", "ihnen ein angebot"]
+  },
+  pt: {
+    [REJECTED_STATUS]: ["infelizmente:0.5", "nao seguir", "nao avancar", "outros candidatos", "nao foi selecionado", "nao foi selecionada", "optamos por seguir com outros", "a vaga foi preenchida", "lamentamos informar"],
+    [SCREENING_STATUS]: ["entrevista por telefone", "conversa inicial", "bate-papo inicial"],
+    [ASSESSMENT_STATUS]: ["teste tecnico", "desafio tecnico", "avaliacao online", "case tecnico"],
+    [INTERVIEW_STATUS]: ["entrevista:0.5", "convidar para uma entrevista", "convite para entrevista", "agendar uma entrevista", "marcar uma entrevista"],
+    [FINAL_INTERVIEW_STATUS]: ["entrevista final", "ultima etapa", "etapa final"],
+    [OFFER_STATUS]: ["oferta:0.5", "proposta de emprego", "proposta de trabalho", "carta proposta", "proposta salarial", "temos o prazer de oferecer"]
+  }
+};
+
+// --- Stale Applications ---
+const LEGACY_STALE_TRIGGER_HANDLERS = ['markStaleApplicationsAsRejected']; // Handlers of the daily stale-check triggers older versions created; setup replaces them.
+const STALE_NOTICE_DAYS = 3; // The optional digest lists applications this many days before they are marked stale.
+const STALE_DIGEST_ENABLED_PROPERTY = 'STALE_DIGEST_ENABLED'; // UserProperty: "true" when the digest email is switched on.
+
+// --- Status History ---
+// Append-only log of every Status change on the Applications sheet, one row per transition.
+// Rows are grouped per application by "Application Key": the normalized company and job title.
+const STATUS_HISTORY_SHEET_NAME = "Status History";
+const STATUS_HISTORY_HEADERS = ["Recorded At", "Application Key", "Company", "Job Title", "Old Status", "New Status", "Email Date", "Email Link", "Source", "Run ID"];
+const STATUS_HISTORY_COLUMN_WIDTHS = [150, 260, 180, 220, 130, 130, 150, 220, 110, 220];
+const STATUS_HISTORY_SOURCES = {
+  AI: "AI",                      // Status chosen by Gemini.
+  REGEX: "Regex",                // Status found by the keyword fallback.
+  TEMPLATE: "ATS Template",      // Status read from a known ATS email template (see ParsingUtils.js).
+  STALE_JOB: "Stale Job",        // Set by markStaleApplicationsAsRejected.
+  STALE_REVERT: "Stale Revert",  // Undone by "Revert Last Stale Run"; Run ID is the reverted run's.
+  MANUAL_EDIT: "Manual Edit",    // Typed or picked in the sheet.
+  PREVIEW_APPLY: "Preview Apply" // Applied from the "Pending Changes" sheet.
+};
+
+// --- Application Details ---
+// Recruiter, interview, location and compensation details extracted from application emails,
+// one row per email that carried any, linked to its application by "Application Key" (see Status History).
+const APPLICATION_DETAILS_SHEET_NAME = "Application Details";
+const APPLICATION_DETAILS_HEADERS = [
+  "Recorded At", "Application Key", "Company", "Job Title", "Recruiter Name", "Recruiter Email",
+  "Interview Start", "Interview Time Zone", "Meeting Link", "Location", "Work Arrangement",
+  "Salary Min", "Salary Max", "Currency", "Pay Period", "Email Date", "Email Link", "Email ID",
+  "Job Link" // The posting or application portal linked from the email's HTML body.
+];
+const APPLICATION_DETAILS_COLUMN_WIDTHS = [150, 260, 180, 220, 160, 200, 150, 150, 250, 180, 120, 100, 100, 80, 90, 150, 220, 150, 250];
+const WORK_ARRANGEMENTS = ["Remote", "Hybrid", "On-site"];
+const SALARY_PERIODS = ["Hour", "Day", "Week", "Month", "Year"];
+// Time zone abbreviations as written in emails, mapped to the IDs Utilities.parseDate understands.
+const INTERVIEW_TIME_ZONE_ALIASES = {
+  PT: "America/Los_Angeles", PST: "America/Los_Angeles", PDT: "America/Los_Angeles",
+  MT: "America/Denver", MST: "America/Denver", MDT: "America/Denver",
+  CT: "America/Chicago", CST: "America/Chicago", CDT: "America/Chicago",
+  ET: "America/New_York", EST: "America/New_York", EDT: "America/New_York",
+  GMT: "GMT", UTC: "UTC", BST: "Europe/London", CET: "Europe/Paris", CEST: "Europe/Paris",
+  IST: "Asia/Kolkata", SGT: "Asia/Singapore", JST: "Asia/Tokyo", AEST: "Australia/Sydney", AEDT: "Australia/Sydney"
 };
+// Video meeting links recognized in email bodies when Gemini does not return one.
+const MEETING_LINK_PATTERN = /https?:\/\/(?:[\w-]+\.)?(?:zoom\.us\/j\/|meet\.google\.com\/|teams\.microsoft\.com\/l\/meetup-join\/|teams\.live\.com\/meet\/|[\w-]+\.webex\.com\/)[^\s<>"')\]]+/i;
 
-// Statuses that are considered "final" and should not be automatically changed by the "stale applications" trigger.
-const FINAL_STATUSES_FOR_STALE_CHECK = new Set([
-  REJECTED_STATUS, 
-  OFFER_STATUS, 
-  WITHDRAWN_STATUS,
-  ACCEPTED_STATUS, // Added
-  MANUAL_REVIEW_NEEDED // Should not be marked stale if it needs review
-]);
-const WEEKS_THRESHOLD = 8; // Number of weeks after which an application is considered stale if not in a final status.
-
-// --- Keyword Matching for Status Parsing ---
-const OFFER_KEYWORDS = ["offer", "job offer", "offer of employment", "pleased to offer"];
-const INTERVIEW_KEYWORDS = ["interview", "invitation to interview", "schedule an interview", "interview request", "like to speak with you", "let's chat", "connect with you"];
-const ASSESSMENT_KEYWORDS = ["assessment", "coding challenge", "technical test", "skills test", "take-home assignment"];
-const APPLICATION_VIEWED_KEYWORDS = ["application was viewed", "profile was viewed", "application has been reviewed"];
-const REJECTION_KEYWORDS = ["not moving forward", "unfortunately", "decided not to proceed", "other candidates", "regret to inform", "filled the position"];
+// --- Locked Fields ---
+// Columns a manual edit locks on its row (recorded by onEdit in the "Locked Fields" column).
+// Email processing and the stale job never overwrite a locked cell; clear the header from the cell to unlock it.
+const LOCKABLE_FIELD_COLUMNS = [PLATFORM_COL, COMPANY_COL, JOB_TITLE_COL, STATUS_COL, PEAK_STATUS_COL, REQUISITION_ID_COL];
 
 // --- Gmail Configuration (Job Application Tracker) ---
 const MASTER_GMAIL_LABEL_PARENT = "CareerSuite.AI"; // Parent for all app-related labels
@@ -165,8 +266,25 @@ const LEADS_USER_PROPERTY_MANUAL_LABEL_ID = 'leadsManualReviewLabelId';
 const LEADS_GMAIL_FILTER_QUERY = `(subject:("job alert" OR "jobs for you" OR "new jobs" OR "recommended jobs" OR "job recommendations") OR from:(linkedinjobalerts@linkedin.com OR alert@indeed.com OR jobalerts@indeed.com OR info@indeed.com OR email@monster.com OR jobs@ziprecruiter.com OR job δυστυχώς@ziprecruiter.com OR noreply@glassdoor.com)) AND -label:(${LEADS_GMAIL_LABEL_PROCESSED})`;
 
 
+// --- Message Routing ---
+// Before the Application Tracker writes anything, each email is classified as one of these routes (the values are
+// also Gemini's "email_type" options). Emails that are not application updates are moved to their route's label.
+const MESSAGE_ROUTES = {
+  APPLICATION_UPDATE: "application_update", // Handled by the Application Tracker itself
+  JOB_LEAD: "job_lead",                     // Job alerts and postings: handed to the Job Leads Tracker
+  RECRUITER_OUTREACH: "recruiter_outreach", // A recruiter reaching out about a role not applied to
+  IRRELEVANT: "irrelevant"                  // Newsletters, marketing and anything else
+};
+const RECRUITER_OUTREACH_GMAIL_LABEL = `${MASTER_GMAIL_LABEL_PARENT}/Recruiter Outreach`;
+const NOT_JOB_RELATED_GMAIL_LABEL = `${MASTER_GMAIL_LABEL_PARENT}/Not Job Related`;
+const ROUTED_OUTCOME_PREFIX = "routed:"; // Thread/ledger outcome of a routed message: the prefix plus the label it was moved to
+// Subject phrases that mark a job alert when Gemini could not classify the email.
+const JOB_ALERT_SUBJECT_PHRASES = ["job alert", "jobs for you", "new jobs", "recommended jobs", "job recommendations"];
+
+
 // --- Platform Detection Keywords (from email body/sender) ---
-// Maps keywords found in sender email addresses to platform names.
+// Maps sender, Reply-To, List-Id and link domains to platform names (a key also matches its subdomains).
+// See PlatformDetection.js for the order the evidence is checked in.
 const IGNORED_DOMAINS = new Set(['.io', '.com', '.net', '.org']);
 const PLATFORM_DOMAIN_KEYWORDS = {
   "linkedin.com": "LinkedIn",
@@ -175,13 +293,47 @@ const PLATFORM_DOMAIN_KEYWORDS = {
   "monster.com": "Monster",
   "glassdoor.com": "Glassdoor",
   "google.com": "Google Careers", // Or other Google domains
-  " Greenhouse": "Greenhouse", // Often in "via Greenhouse"
-  " Lever": "Lever", // Often in "via Lever"
-  " Ashby": "Ashby",
-  " Workday": "Workday"
+  "wellfound.com": "Wellfound",
+  "angel.co": "Wellfound", // Wellfound's former domain
+  "greenhouse.io": "Greenhouse",
+  "greenhouse-mail.io": "Greenhouse", // Greenhouse's sending domain
+  "lever.co": "Lever",
+  "ashbyhq.com": "Ashby",
+  "myworkdayjobs.com": "Workday",
+  "myworkday.com": "Workday",
+  "workday.com": "Workday",
+  "icims.com": "iCIMS",
+  "smartrecruiters.com": "SmartRecruiters",
+  "taleo.net": "Taleo",
+  "successfactors.com": "SuccessFactors",
+  "jobvite.com": "Jobvite",
+  "bamboohr.com": "BambooHR",
+  "workable.com": "Workable",
+  "breezy.hr": "Breezy HR",
+  "applytojob.com": "JazzHR",
+  "recruitee.com": "Recruitee",
+  "teamtailor.com": "Teamtailor"
+};
+// Sender display names such as "Acme via Greenhouse" or "Acme Recruiting (Lever)".
+const PLATFORM_SENDER_NAME_KEYWORDS = {
+  "greenhouse": "Greenhouse",
+  "lever": "Lever",
+  "ashby": "Ashby",
+  "workday": "Workday",
+  "wellfound": "Wellfound"
 };
+// Links in the body only count as evidence when they look like a posting or application link.
+const PLATFORM_JOB_LINK_PATTERN = /job|career|apply|posting|requisition|gh_jid/i;
 const DEFAULT_PLATFORM = "Email/Website"; // Default if no specific platform detected
 
+// --- HTML Parsing ---
+// Query parameters that only track clicks; dropped when links are canonicalized (see HtmlParsingUtils.js).
+const TRACKING_URL_PARAMS = ["trk", "trkemail", "trackingid", "refid", "lipi", "midtoken", "midsig", "eid", "otptoken", "gclid", "fbclid", "mc_cid", "mc_eid", "_hsenc", "_hsmi", "gh_src"];
+const TRACKING_URL_PARAM_PREFIXES = ["utm_"];
+// Query parameters that hold the real destination of a redirect link (Google, Outlook Safe Links, mailers).
+const REDIRECT_URL_PARAMS = ["url", "u", "q", "redirect", "redirect_url", "target", "dest", "destination", "link"];
+const EMAIL_HTML_LINKS_FOR_PARSER = 15; // Job and application links listed after the body for the parsers and Gemini.
+
 // --- Dashboard Configuration ---
 // Headers for the hidden "DashboardHelperData" sheet.
 const DASHBOARD_HELPER_HEADERS = [
@@ -190,9 +342,147 @@ const DASHBOARD_HELPER_HEADERS = [
 ];
 const HELPER_SHEET_COLUMN_WIDTHS = [150, 70, 180, 120, 100, 200, 100, 150, 100];
 
+// --- Module Registry ---
+// Global functions whose names start with this prefix return module definitions (see ModuleRegistry.js).
+const MODULE_DEFINITION_PREFIX = "moduleDefinition_";
+
+// --- Run Coordination ---
+// Per-module run leases stop overlapping executions (trigger + menu, or a long previous run) from double-writing.
+const RUN_LEASE_PROPERTY_PREFIX = "runLease_";
+const RUN_LEASE_STALE_AFTER_SECONDS = 600; // Longer than any single execution can last; older leases were left by a crash.
+const RUN_LOCK_WAIT_MS = 10 * 1000;
+
+// --- Run Log ---
+// Hidden sheet with one row per processing engine execution, so silent failures show up.
+const RUN_LOG_SHEET_NAME = "Run Log";
+const RUN_LOG_HEADERS = [
+  "Run ID", "Module", "Source", "Mode", "Started", "Finished", "Duration (s)", "Threads", "Messages",
+  "Rows Inserted", "Rows Updated", "Gemini Calls", "Gemini Failures", "Manual Review", "Stopped Early", "Outcome", "Notes"
+];
+const RUN_LOG_COLUMN_WIDTHS = [250, 150, 90, 80, 150, 150, 90, 70, 80, 90, 90, 90, 100, 100, 100, 110, 300];
+const RUN_LOG_MAX_ROWS = 2000; // Oldest rows are trimmed beyond this.
+const RUN_LOG_SUMMARY_DEFAULT_COUNT = 20;
+
+// --- Processed Message Ledger ---
+// Hidden, append-only record of every Gmail message a module has applied. Unlike the Email ID columns,
+// it survives row deletions and sorting, so a message is never applied twice.
+const PROCESSED_LEDGER_SHEET_NAME = "Processed Messages";
+const PROCESSED_LEDGER_HEADERS = ["Message ID", "Thread ID", "Module", "Outcome", "Email Date", "Processed Timestamp", "Company", "Job Title"];
+const PROCESSED_LEDGER_COLUMN_WIDTHS = [180, 180, 160, 100, 150, 150, 180, 200];
+
+// --- Preview (Dry-Run) Staging ---
+// A preview run writes the inserts/updates it WOULD make here instead of touching the data sheets or Gmail labels.
+const PENDING_CHANGES_SHEET_NAME = "Pending Changes";
+const PENDING_CHANGES_HEADERS = [
+  "Staged Timestamp", "Module", "Action", "Target Sheet", "Target Row", "Changed Fields",
+  "Before Values", "After Values", "Message ID", "Thread ID", "Message Outcome", "Thread Outcome",
+  "Email Subject", "Email Date", "Apply Status"
+];
+const PENDING_CHANGES_COLUMN_WIDTHS = [150, 150, 90, 150, 90, 350, 250, 250, 180, 180, 110, 110, 250, 150, 220];
+
+// --- Processing Engine Limits & Continuation ---
+const PROCESSING_TIME_BUDGET_SECONDS = 320; // Stop the message loop after this many seconds (Apps Script hard limit is 360).
+const DEFAULT_GMAIL_BATCH_SIZE = 20; // Threads fetched from the "To Process" label per run.
+const CHECKPOINT_PROPERTY_PREFIX = 'processingCheckpoint_'; // ScriptProperty key prefix for per-module checkpoints.
+const CHECKPOINT_PROPERTY_CHUNK_SIZE = 8500; // Checkpoint JSON is split into chunks below the 9KB property value limit.
+const CONTINUATION_TRIGGER_FUNCTION = 'resumeProcessing_triggerHandler'; // One-off trigger handler that drains checkpoints.
+const CONTINUATION_TRIGGER_DELAY_MS = 60 * 1000; // Delay before a continuation run starts.
+
+// --- Company / Job Title Matching ---
+// Used by MatchingUtils.js to decide whether an email is about an existing application row.
+// Scores run from 0 (unrelated) to 1 (identical after normalization).
+const COMPANY_MATCH_THRESHOLD = 0.88; // "Acme, Inc." vs "Acme" scores 1; lower this to accept looser company matches.
+const JOB_TITLE_MATCH_THRESHOLD = 0.85; // "Sr. Software Engineer" vs "Senior Software Engineer" scores 1.
+// Legal-entity words dropped from company names before comparing.
+const COMPANY_LEGAL_SUFFIXES = [
+  "inc", "incorporated", "llc", "llp", "lp", "ltd", "limited", "corp", "corporation", "co", "company",
+  "plc", "gmbh", "ag", "sa", "sas", "srl", "bv", "nv", "pty", "pvt", "oy", "ab", "as", "kk", "group", "holdings"
+];
+// Job title abbreviations expanded before comparing (keys are lowercase tokens without punctuation).
+const JOB_TITLE_ABBREVIATIONS = {
+  "sr": "senior", "snr": "senior", "jr": "junior", "jnr": "junior", "assoc": "associate", "asst": "assistant",
+  "eng": "engineer", "engr": "engineer", "swe": "software engineer", "sde": "software development engineer",
+  "dev": "developer", "mgr": "manager", "mgmt": "management", "dir": "director", "vp": "vice president",
+  "admin": "administrator", "ops": "operations", "mktg": "marketing", "qa": "quality assurance",
+  "ml": "machine learning", "ai": "artificial intelligence", "ux": "user experience", "ui": "user interface",
+  "ii": "2", "iii": "3", "iv": "4"
+};
+// Job title words that name a level or grade. Titles only match when these are identical, so
+// "Software Engineer II" never matches "Software Engineer III" or "Senior Software Engineer". Numbers always count.
+const JOB_TITLE_LEVEL_TOKENS = [
+  "i", "v", "intern", "entry", "junior", "mid", "associate", "senior", "staff", "principal", "lead", "distinguished", "fellow"
+];
+
+// --- Parse Confidence ---
+// Each application email gets a 0-1 confidence for its company, title and status (see ParseConfidence.js).
+// The lowest of them is written to the "Confidence" column and decides what happens to the email.
+const CONFIDENCE_AUTO_APPLY_THRESHOLD = 0.8; // At or above: applied as usual.
+const CONFIDENCE_REVIEW_THRESHOLD = 0.5; // At or above (and below auto-apply): applied, with a note. Below: Manual Review label; existing rows are left unchanged.
+const CONFIDENCE_TIERS = { AUTO: "auto", FLAG: "flag", REVIEW: "review" };
+// Fixed confidence of values that did not come from Gemini.
+const CONFIDENCE_SOURCE_SCORES = {
+  template: 0.95, // Parsed by an ATS template (see parseWithAtsTemplate)
+  requisition: 0.95, // Taken from the row the email's requisition ID matched
+  posting: 0.9, // Taken from a JobPosting in the HTML body
+  thread: 0.85, // Already known for the email's thread
+  keywords: 0.6, // Status from the keyword rules at KEYWORD_RULE_MIN_SCORE; each further point adds 0.1
+  rules: 0.6 // Company/title from the subject and body patterns (extractCompanyAndTitle)
+};
+const CONFIDENCE_KEYWORDS_MAX = 0.9; // Keyword statuses never score higher.
+const CONFIDENCE_AI_DEFAULT = 0.75; // Used for a field Gemini gave no confidence for.
+const CONFIDENCE_AGREEMENT_WEIGHT = 0.5; // Share of Gemini's remaining doubt removed when the rules find the same value.
+const CONFIDENCE_DISAGREEMENT_FACTOR = 0.7; // Gemini's confidence is multiplied by this when the rules find a different value.
+const CONFIDENCE_FLAG_COLOR = "#FFF2CC"; // "Confidence" cells below the auto-apply threshold.
+const CONFIDENCE_REVIEW_COLOR = "#F4CCCC"; // "Confidence" cells below the review threshold.
+
+// --- Company Aliases ---
+// User-editable sheet mapping brand names, parent companies and sender-domain variants to one canonical
+// employer name, so the same employer is matched and counted once. Aliases are compared after
+// `normalizeCompanyName`, so "Facebook, Inc." matches the "Facebook" alias.
+const COMPANY_ALIASES_SHEET_NAME = "Company Aliases";
+const COMPANY_ALIASES_HEADERS = ["Alias", "Canonical Name", "Notes"];
+const COMPANY_ALIASES_COLUMN_WIDTHS = [220, 220, 300];
+// Seeded into a newly created aliases sheet; users edit the sheet, not this list.
+const DEFAULT_COMPANY_ALIASES = [
+  ["Facebook", "Meta", "Brand"],
+  ["Meta Platforms", "Meta", "Legal name"],
+  ["Metacareers", "Meta", "Sender domain"],
+  ["Instagram", "Meta", "Subsidiary"],
+  ["WhatsApp", "Meta", "Subsidiary"],
+  ["Alphabet", "Google", "Parent company"],
+  ["Google Careers", "Google", "Sender name"],
+  ["Amazon Web Services", "Amazon", "Subsidiary"],
+  ["AWS", "Amazon", "Abbreviation"],
+  ["Amazon Jobs", "Amazon", "Sender domain"],
+  ["ByteDance", "TikTok", "Parent company"]
+];
+
+// --- Duplicate Detection & Merge ---
+// "Find & Merge Duplicates" groups rows that share an Email ID or Requisition ID, or whose company and title
+// clear the matching thresholds above and whose email dates are close. Every merge is logged so it can be undone.
+const DUPLICATE_DATE_WINDOW_DAYS = 45; // Similar rows further apart than this are treated as separate applications.
+const MERGE_LOG_SHEET_NAME = "Merge Log";
+const MERGE_LOG_HEADERS = ["Merge ID", "Merged At", "Reasons", "Kept Row (Before)", "Kept Row (After)", "Removed Rows", "Removed Row Numbers", "Undone At"];
+const MERGE_LOG_COLUMN_WIDTHS = [250, 150, 300, 300, 300, 400, 140, 150];
+
+// --- Thread Context ---
+// For modules with `useThreadContext`, earlier messages of a thread are passed to the parser as context.
+const THREAD_CONTEXT_MAX_PRIOR_MESSAGES = 3; // Only the most recent earlier messages are included.
+const THREAD_CONTEXT_MESSAGE_CHARS = 1500; // Each earlier message body is truncated to this length.
+
 // --- Gemini API Configuration ---
 const GEMINI_API_KEY_PROPERTY = 'GEMINI_API_KEY'; // UserProperty key for storing the user's Gemini API key.
+
+// --- Processing Mode ---
+// A module runs with Gemini ("ai") or, if it has a rules parser, on local parsing alone ("rules"),
+// in which case no email content leaves the account. Chosen per module; stored in ScriptProperties.
+const PROCESSING_MODES = { AI: "ai", RULES: "rules" };
+const PROCESSING_MODE_PROPERTY_PREFIX = 'PROCESSING_MODE_'; // Followed by the module id.
 const GEMINI_API_ENDPOINT_TEXT_ONLY = "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-lite-preview-06-17:generateContent";
+// Statuses Gemini may return besides the pipeline's. Neither is ever written to the Status column:
+// "Update/Other" leaves the status to the keyword fallback, "Not an Application" sends the email to manual review.
+const GEMINI_STATUS_UPDATE_OTHER = "Update/Other";
+const GEMINI_STATUS_NOT_APPLICATION = "Not an Application";
 
 // Default instructions for Gemini (Job Application Parsing)
 const GEMINI_SYSTEM_INSTRUCTION_APP_TRACKER = `
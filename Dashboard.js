@@ -91,13 +91,15 @@ function formatDashboardSheet(dashboardSheet) {
     const jobTitleColLetter = _columnToLetter_DashboardLocal(JOB_TITLE_COL);
     const statusColLetter = _columnToLetter_DashboardLocal(STATUS_COL);
     const peakStatusColLetter = _columnToLetter_DashboardLocal(PEAK_STATUS_COL);
+    // Interview counts include every round ("Interview 1" ... "Final Interview").
+    const interviewStageList = getInterviewStageStatuses().map(status => `"${status}"`).join(",") || `"${INTERVIEW_STATUS}"`;
 
     // Scorecard Setup (Formulas direct to Applications sheet)
     // Row 1
     dashboardSheet.getRange("B5").setValue("Total Apps").setFontWeight(LABEL_FONT_WEIGHT).setFontColor(CARD_TEXT_COLOR).setVerticalAlignment("middle");
     dashboardSheet.getRange("C5").setFormula(`=IFERROR(COUNTA(${appSheetNameForFormula}!${companyColLetter}2:${companyColLetter}), 0)`).setFontSize(METRIC_FONT_SIZE).setFontWeight(METRIC_FONT_WEIGHT).setHorizontalAlignment("center").setVerticalAlignment("middle").setNumberFormat("0").setFontColor(PRIMARY_VALUE_COLOR);
     dashboardSheet.getRange("E5").setValue("Peak Interviews").setFontWeight(LABEL_FONT_WEIGHT).setFontColor(CARD_TEXT_COLOR).setVerticalAlignment("middle");
-    dashboardSheet.getRange("F5").setFormula(`=IFERROR(COUNTIF(${appSheetNameForFormula}!${peakStatusColLetter}2:${peakStatusColLetter},"${INTERVIEW_STATUS}"), 0)`).setFontSize(METRIC_FONT_SIZE).setFontWeight(METRIC_FONT_WEIGHT).setHorizontalAlignment("center").setVerticalAlignment("middle").setNumberFormat("0").setFontColor(PRIMARY_VALUE_COLOR);
+    dashboardSheet.getRange("F5").setFormula(`=IFERROR(SUM(COUNTIF(${appSheetNameForFormula}!${peakStatusColLetter}2:${peakStatusColLetter},{${interviewStageList}})), 0)`).setFontSize(METRIC_FONT_SIZE).setFontWeight(METRIC_FONT_WEIGHT).setHorizontalAlignment("center").setVerticalAlignment("middle").setNumberFormat("0").setFontColor(PRIMARY_VALUE_COLOR);
     dashboardSheet.getRange("H5").setValue("Interview Rate").setFontWeight(LABEL_FONT_WEIGHT).setFontColor(CARD_TEXT_COLOR).setVerticalAlignment("middle");
     dashboardSheet.getRange("I5").setFormula(`=IFERROR(F5/C5, 0)`).setFontSize(METRIC_FONT_SIZE).setFontWeight(METRIC_FONT_WEIGHT).setHorizontalAlignment("center").setVerticalAlignment("middle").setNumberFormat("0.00%").setFontColor(SECONDARY_VALUE_COLOR);
     dashboardSheet.getRange("K5").setValue("Offer Rate").setFontWeight(LABEL_FONT_WEIGHT).setFontColor(CARD_TEXT_COLOR).setVerticalAlignment("middle");
@@ -105,12 +107,14 @@ function formatDashboardSheet(dashboardSheet) {
     dashboardSheet.setRowHeight(5, 40); dashboardSheet.setRowHeight(6, 10);
     // Row 2
     dashboardSheet.getRange("B7").setValue("Active Apps").setFontWeight(LABEL_FONT_WEIGHT).setFontColor(CARD_TEXT_COLOR).setVerticalAlignment("middle");
-    let activeAppsFormula = `=IFERROR(COUNTIFS(${appSheetNameForFormula}!${statusColLetter}2:${statusColLetter}, "<>"&"", ${appSheetNameForFormula}!${statusColLetter}2:${statusColLetter}, "<>${REJECTED_STATUS}", ${appSheetNameForFormula}!${statusColLetter}2:${statusColLetter}, "<>${ACCEPTED_STATUS}"), 0)`;
+    // Active = not in a terminal status (see the "Settings" sheet).
+    const terminalCriteria = getTerminalStatuses().map(status => `, ${appSheetNameForFormula}!${statusColLetter}2:${statusColLetter}, "<>${status}"`).join("");
+    let activeAppsFormula = `=IFERROR(COUNTIFS(${appSheetNameForFormula}!${statusColLetter}2:${statusColLetter}, "<>"&""${terminalCriteria}), 0)`;
     dashboardSheet.getRange("C7").setFormula(activeAppsFormula).setFontSize(METRIC_FONT_SIZE).setFontWeight(METRIC_FONT_WEIGHT).setHorizontalAlignment("center").setVerticalAlignment("middle").setNumberFormat("0").setFontColor(PRIMARY_VALUE_COLOR);
     dashboardSheet.getRange("E7").setValue("Peak Offers").setFontWeight(LABEL_FONT_WEIGHT).setFontColor(CARD_TEXT_COLOR).setVerticalAlignment("middle");
     dashboardSheet.getRange("F7").setFormula(`=IFERROR(COUNTIF(${appSheetNameForFormula}!${peakStatusColLetter}2:${peakStatusColLetter},"${OFFER_STATUS}"), 0)`).setFontSize(METRIC_FONT_SIZE).setFontWeight(METRIC_FONT_WEIGHT).setHorizontalAlignment("center").setVerticalAlignment("middle").setNumberFormat("0").setFontColor(PRIMARY_VALUE_COLOR);
     dashboardSheet.getRange("H7").setValue("Current Interviews").setFontWeight(LABEL_FONT_WEIGHT).setFontColor(CARD_TEXT_COLOR).setVerticalAlignment("middle");
-    dashboardSheet.getRange("I7").setFormula(`=IFERROR(COUNTIF(${appSheetNameForFormula}!${statusColLetter}2:${statusColLetter},"${INTERVIEW_STATUS}"), 0)`).setFontSize(METRIC_FONT_SIZE).setFontWeight(METRIC_FONT_WEIGHT).setHorizontalAlignment("center").setVerticalAlignment("middle").setNumberFormat("0").setFontColor(PRIMARY_VALUE_COLOR);
+    dashboardSheet.getRange("I7").setFormula(`=IFERROR(SUM(COUNTIF(${appSheetNameForFormula}!${statusColLetter}2:${statusColLetter},{${interviewStageList}})), 0)`).setFontSize(METRIC_FONT_SIZE).setFontWeight(METRIC_FONT_WEIGHT).setHorizontalAlignment("center").setVerticalAlignment("middle").setNumberFormat("0").setFontColor(PRIMARY_VALUE_COLOR);
     dashboardSheet.getRange("K7").setValue("Current Assessments").setFontWeight(LABEL_FONT_WEIGHT).setFontColor(CARD_TEXT_COLOR).setVerticalAlignment("middle");
     dashboardSheet.getRange("L7").setFormula(`=IFERROR(COUNTIF(${appSheetNameForFormula}!${statusColLetter}2:${statusColLetter},"${ASSESSMENT_STATUS}"), 0)`).setFontSize(METRIC_FONT_SIZE).setFontWeight(METRIC_FONT_WEIGHT).setHorizontalAlignment("center").setVerticalAlignment("middle").setNumberFormat("0").setFontColor(PRIMARY_VALUE_COLOR);
     dashboardSheet.setRowHeight(7, 40); dashboardSheet.setRowHeight(8, 10);
@@ -244,7 +248,10 @@ function setupHelperSheetFormulas(helperSheet) {
     // --- 3. Data for Application Funnel (Peak Stages) Chart (Helper Columns G:H) ---
     helperSheet.getRange("G1").setValue("Stage");
     helperSheet.getRange("H1").setValue("Count");
-    const funnelStagesValues = [DEFAULT_STATUS, APPLICATION_VIEWED_STATUS, ASSESSMENT_STATUS, INTERVIEW_STATUS, OFFER_STATUS]; // From Config.gs
+    // "In Funnel" statuses from the "Settings" sheet, lowest rank first; each also counts the sub-stages ranked below the next stage.
+    const funnelStages = getFunnelStages();
+    if (funnelStages.length === 0) funnelStages.push({ name: DEFAULT_STATUS, statuses: [DEFAULT_STATUS] });
+    const funnelStagesValues = funnelStages.map(stage => stage.name);
 
     // Write stage names to column G
     helperSheet.getRange(2, 7, funnelStagesValues.length, 1).setValues(funnelStagesValues.map(stage => [stage]));
@@ -252,10 +259,10 @@ function setupHelperSheetFormulas(helperSheet) {
     // Set formulas for counts in column H
     // First stage (e.g., "Applied") often represents total applications. Your old logic had this for H2:
     helperSheet.getRange("H2").setFormula(`=IFERROR(COUNTA(${appSheetNameForFormula}${companyColLetter}2:${companyColLetter}),0)`);
-    // For subsequent stages, count based on Peak Status matching the stage in column G
-    for (let i = 1; i < funnelStagesValues.length; i++) { // Starts from the second stage in your array
-      // Example: For row 3 (second stage), formula in H3 refers to G3
-      helperSheet.getRange(i + 2, 8).setFormula(`=IFERROR(COUNTIF(${appSheetNameForFormula}${peakStatusColLetter}2:${peakStatusColLetter}, G${i + 2}),0)`);
+    // For subsequent stages, count rows whose Peak Status is the stage or one of its sub-stages
+    for (let i = 1; i < funnelStages.length; i++) { // Starts from the second stage in your array
+      const stageStatusList = funnelStages[i].statuses.map(status => `"${status}"`).join(",");
+      helperSheet.getRange(i + 2, 8).setFormula(`=IFERROR(SUM(COUNTIF(${appSheetNameForFormula}${peakStatusColLetter}2:${peakStatusColLetter}, {${stageStatusList}})),0)`);
     }
     Logger.log(`[${FUNC_NAME} INFO] Funnel stage formulas set in Helper G:H.`);
     
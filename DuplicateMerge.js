@@ -0,0 +1,380 @@
+/**
+ * @file "Find & Merge Duplicates" for the Applications sheet. Rows are grouped when they share an
+ * Email ID or Requisition ID, or when their company and title match (see MatchingUtils.js) and their
+ * email dates fall within DUPLICATE_DATE_WINDOW_DAYS. The user picks which groups to merge in a
+ * dialog, where only groups joined by exact matches start ticked; each merge is written to the hidden "Merge Log" sheet so it can be undone.
+ */
+
+/**
+ * Scans the Applications sheet for groups of likely duplicate rows.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @returns {{rows: number[], values: any[][], reasons: string[], exact: boolean}[]} Candidate groups, each with at least two sheet rows.
+ *     `exact` is true when every pair was joined by the same Email ID, Requisition ID, or identical company and title.
+ */
+function findDuplicateApplicationGroups(ss) {
+  const FUNC_NAME = "findDuplicateApplicationGroups";
+  const dataSheet = ss.getSheetByName(APP_TRACKER_SHEET_TAB_NAME);
+  if (!dataSheet || dataSheet.getLastRow() < 3) return [];
+  loadCompanyAliases(ss);
+  loadStatusPipeline(ss);
+
+  const allValues = dataSheet.getDataRange().getValues();
+  const rows = [];
+  for (let i = 1; i < allValues.length; i++) {
+    const values = allValues[i];
+    if (!values[COMPANY_COL - 1] && !values[EMAIL_ID_COL - 1]) continue;
+    rows.push({ row: i + 1, values: values, companyKey: companyMatchKey(values[COMPANY_COL - 1]) });
+  }
+
+  // Union-find over row indexes, collecting why each pair was joined.
+  const parent = rows.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const pairReasons = [];
+  const join = (a, b, reason, exact) => {
+    parent[find(a)] = find(b);
+    pairReasons.push({ a: a, b: b, exact: exact, reason: `Rows ${rows[a].row} & ${rows[b].row}: ${reason}` });
+  };
+
+  // Same Email ID or Requisition ID.
+  const byEmailId = new Map();
+  const byRequisitionId = new Map();
+  rows.forEach((r, i) => {
+    const emailId = String(r.values[EMAIL_ID_COL - 1] || "").trim();
+    if (emailId) {
+      if (byEmailId.has(emailId)) join(byEmailId.get(emailId), i, "same email", true);
+      else byEmailId.set(emailId, i);
+    }
+    const requisitionId = String(r.values[REQUISITION_ID_COL - 1] || "").trim().toUpperCase();
+    if (requisitionId) {
+      const earlier = byRequisitionId.get(requisitionId) || [];
+      const sameCompany = earlier.find(j => isSameCompany(rows[j].values[COMPANY_COL - 1], r.values[COMPANY_COL - 1]));
+      if (sameCompany !== undefined) join(sameCompany, i, `same requisition ID ${requisitionId}`, true);
+      byRequisitionId.set(requisitionId, earlier.concat(i));
+    }
+  });
+
+  // Similar company + title, close in time. Rows are bucketed by company so only plausible pairs are compared.
+  const buckets = new Map();
+  rows.forEach((r, i) => {
+    if (!r.companyKey || r.values[COMPANY_COL - 1] === MANUAL_REVIEW_NEEDED) return;
+    if (!buckets.has(r.companyKey)) buckets.set(r.companyKey, []);
+    buckets.get(r.companyKey).push(i);
+  });
+  const bucketKeys = [...buckets.keys()];
+  bucketKeys.forEach((keyA, ka) => {
+    bucketKeys.slice(ka).forEach(keyB => {
+      const companyScore = keyA === keyB ? 1 : similarityScore(keyA, keyB);
+      if (companyScore < COMPANY_MATCH_THRESHOLD) return;
+      buckets.get(keyA).forEach(a => buckets.get(keyB).forEach(b => {
+        if (keyA === keyB && b <= a) return;
+        const similar = _similarRowsReason(rows[a].values, rows[b].values, companyScore);
+        if (similar) join(a, b, similar.reason, similar.exact);
+      }));
+    });
+  });
+
+  const groupsByRoot = new Map();
+  rows.forEach((r, i) => {
+    const root = find(i);
+    if (!groupsByRoot.has(root)) groupsByRoot.set(root, []);
+    groupsByRoot.get(root).push(i);
+  });
+  const groups = [...groupsByRoot.values()]
+    .filter(members => members.length > 1)
+    .map(members => {
+      const pairs = pairReasons.filter(p => members.includes(p.a));
+      return {
+        rows: members.map(i => rows[i].row),
+        values: members.map(i => rows[i].values),
+        reasons: pairs.map(p => p.reason),
+        exact: pairs.every(p => p.exact)
+      };
+    });
+  Logger.log(`[${FUNC_NAME} INFO] Found ${groups.length} duplicate group(s) among ${rows.length} row(s).`);
+  return groups;
+}
+
+/**
+ * Merges the selected groups. Each group is checked against the sheet first; a group whose rows
+ * changed since the scan is skipped. Holds the Application Tracker's run lease while writing.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @param {{rows: number[], fingerprints: string[]}[]} selections Groups as returned by the scan,
+ *     with each row's values serialized at scan time.
+ * @returns {{merged: number, removedRows: number, conflicts: number, busy: object|null}} A summary.
+ */
+function mergeDuplicateApplicationGroups(ss, selections) {
+  const FUNC_NAME = "mergeDuplicateApplicationGroups";
+  const tracker = getRegisteredModule("applicationTracker");
+  const summary = { merged: 0, removedRows: 0, conflicts: 0, busy: null };
+  const dataSheet = ss.getSheetByName(APP_TRACKER_SHEET_TAB_NAME);
+  if (!dataSheet || !selections || selections.length === 0) return summary;
+
+  const outcome = withModuleRunLease(ss, tracker.moduleName, 'menu', () => {
+    const mergeLogSheet = _getOrCreateMergeLogSheet(ss);
+    if (!mergeLogSheet) throw new Error(`Merge log sheet "${MERGE_LOG_SHEET_NAME}" is unavailable.`);
+    const currentValues = dataSheet.getDataRange().getValues();
+    const usedRows = new Set();
+    const keptUpdates = [];
+    const rowsToDelete = [];
+    const logRows = [];
+
+    selections.forEach(selection => {
+      const groupValues = selection.rows.map(row => currentValues[row - 1]);
+      const unchanged = selection.rows.every((row, i) => !usedRows.has(row) &&
+        _stagedValuesMatch(_deserializeStagedValues(selection.fingerprints[i]), currentValues[row - 1]));
+      if (!unchanged) {
+        Logger.log(`[${FUNC_NAME} WARN] Rows ${selection.rows.join(', ')} changed since the scan. Skipping this group.`);
+        summary.conflicts++;
+        return;
+      }
+      selection.rows.forEach(row => usedRows.add(row));
+
+      const keptIndex = _earliestRowIndex(groupValues);
+      const keptRow = selection.rows[keptIndex];
+      const mergedValues = _buildMergedApplicationRow(groupValues, keptIndex);
+      const removedRows = selection.rows.filter(row => row !== keptRow);
+      keptUpdates.push({ row: keptRow, values: mergedValues });
+      rowsToDelete.push(...removedRows);
+      logRows.push([
+        Utilities.getUuid(), new Date(), (selection.reasons || []).join('\n').substring(0, 2000),
+        _serializeStagedValues(currentValues[keptRow - 1]), _serializeStagedValues(mergedValues),
+        JSON.stringify(removedRows.map(row => JSON.parse(_serializeStagedValues(currentValues[row - 1])))),
+        removedRows.join(', '), ""
+      ]);
+      summary.merged++;
+      summary.removedRows += removedRows.length;
+    });
+
+    if (logRows.length === 0) return;
+    // Log first, so a failure part-way through the sheet edits can still be undone from the log.
+    mergeLogSheet.getRange(mergeLogSheet.getLastRow() + 1, 1, logRows.length, MERGE_LOG_HEADERS.length).setValues(logRows);
+    _writeEngineResults(dataSheet, keptUpdates, []);
+    rowsToDelete.sort((a, b) => b - a).forEach(row => dataSheet.deleteRow(row));
+    Logger.log(`[${FUNC_NAME} INFO] Merged ${summary.merged} group(s), removed ${summary.removedRows} row(s).`);
+  });
+  if (!outcome.ran) summary.busy = outcome.holder;
+  return summary;
+}
+
+/**
+ * Undoes a logged merge: the kept row gets its original values back and the removed rows are
+ * appended to the end of the sheet. Refuses if the kept row was edited after the merge.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @param {string} [mergeId] The merge to undo; defaults to the most recent merge not yet undone.
+ * @returns {{undone: boolean, message: string}} The result.
+ */
+function undoDuplicateMerge(ss, mergeId) {
+  const FUNC_NAME = "undoDuplicateMerge";
+  const mergeLogSheet = ss.getSheetByName(MERGE_LOG_SHEET_NAME);
+  const dataSheet = ss.getSheetByName(APP_TRACKER_SHEET_TAB_NAME);
+  if (!mergeLogSheet || mergeLogSheet.getLastRow() < 2 || !dataSheet) return { undone: false, message: "No merges have been recorded." };
+
+  const col = name => MERGE_LOG_HEADERS.indexOf(name);
+  const logValues = mergeLogSheet.getRange(2, 1, mergeLogSheet.getLastRow() - 1, MERGE_LOG_HEADERS.length).getValues();
+  let logIndex = -1;
+  for (let i = logValues.length - 1; i >= 0; i--) {
+    const matchesId = mergeId ? String(logValues[i][col("Merge ID")]) === String(mergeId) : true;
+    if (matchesId && !logValues[i][col("Undone At")]) { logIndex = i; break; }
+  }
+  if (logIndex === -1) return { undone: false, message: mergeId ? `No open merge with ID "${mergeId}".` : "There is no merge left to undo." };
+  const entry = logValues[logIndex];
+
+  const tracker = getRegisteredModule("applicationTracker");
+  const outcome = withModuleRunLease(ss, tracker.moduleName, 'menu', () => {
+    const mergedValues = _deserializeStagedValues(entry[col("Kept Row (After)")]);
+    const currentValues = dataSheet.getDataRange().getValues();
+    const keptIndex = currentValues.findIndex((row, i) => i > 0 && _stagedValuesMatch(mergedValues, row));
+    if (keptIndex === -1) {
+      return { undone: false, message: "The merged row was edited or removed after the merge, so it cannot be undone automatically." };
+    }
+    const keptBefore = _deserializeStagedValues(entry[col("Kept Row (Before)")]);
+    const removedRows = JSON.parse(entry[col("Removed Rows")] || "[]").map(values => _deserializeStagedValues(JSON.stringify(values)));
+    _writeEngineResults(dataSheet, [{ row: keptIndex + 1, values: keptBefore }], removedRows);
+    mergeLogSheet.getRange(logIndex + 2, col("Undone At") + 1).setValue(new Date());
+    Logger.log(`[${FUNC_NAME} INFO] Undid merge ${entry[col("Merge ID")]}: restored row ${keptIndex + 1} and re-added ${removedRows.length} row(s).`);
+    return { undone: true, message: `Restored row ${keptIndex + 1} and re-added ${removedRows.length} row(s) at the end of "${APP_TRACKER_SHEET_TAB_NAME}".` };
+  });
+  if (!outcome.ran) return { undone: false, message: `${tracker.moduleName} is running (${describeRunLease(outcome.holder)}). Try again in a few minutes.` };
+  return outcome.result;
+}
+
+/**
+ * Menu handler: scans for duplicates and shows the review dialog.
+ */
+function findAndMergeDuplicates_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const groups = findDuplicateApplicationGroups(SpreadsheetApp.getActiveSpreadsheet());
+  if (groups.length === 0) {
+    ui.alert('Find & Merge Duplicates', `No likely duplicates were found in "${APP_TRACKER_SHEET_TAB_NAME}".`, ui.ButtonSet.OK);
+    return;
+  }
+  const htmlOutput = HtmlService.createHtmlOutput(_buildDuplicateReviewHtml(groups)).setWidth(950).setHeight(600);
+  ui.showModalDialog(htmlOutput, `Review ${groups.length} Duplicate Group(s)`);
+}
+
+/**
+ * Called from the review dialog with the groups the user ticked.
+ * @param {{rows: number[], fingerprints: string[], reasons: string[]}[]} selections The selected groups.
+ * @returns {string} A summary shown in the dialog.
+ */
+function mergeSelectedDuplicates(selections) {
+  const summary = mergeDuplicateApplicationGroups(SpreadsheetApp.getActiveSpreadsheet(), selections);
+  if (summary.busy) return `The Application Tracker is running (${describeRunLease(summary.busy)}). Nothing was merged; try again in a few minutes.`;
+  let message = `Merged ${summary.merged} group(s) and removed ${summary.removedRows} duplicate row(s).`;
+  if (summary.conflicts > 0) message += ` ${summary.conflicts} group(s) changed since the scan and were skipped; run the scan again.`;
+  return message + ` Use "Undo Last Merge" to reverse a merge.`;
+}
+
+/**
+ * Menu handler: undoes the most recent merge, or one chosen by Merge ID.
+ */
+function undoLastMerge_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt('Undo Merge', `Enter a Merge ID from the "${MERGE_LOG_SHEET_NAME}" sheet, or leave blank to undo the most recent merge.`, ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  const result = undoDuplicateMerge(SpreadsheetApp.getActiveSpreadsheet(), response.getResponseText().trim() || null);
+  ui.alert(result.undone ? 'Merge Undone' : 'Nothing Undone', result.message, ui.ButtonSet.OK);
+}
+
+/**
+ * Explains why two rows with matching companies look like the same application, or returns null.
+ * The match is exact when the normalized company and title are identical.
+ * @returns {{reason: string, exact: boolean}|null}
+ * @private
+ */
+function _similarRowsReason(a, b, companyScore) {
+  if (!a[JOB_TITLE_COL - 1] || !b[JOB_TITLE_COL - 1] || a[JOB_TITLE_COL - 1] === MANUAL_REVIEW_NEEDED || b[JOB_TITLE_COL - 1] === MANUAL_REVIEW_NEEDED) return null;
+  const titleA = normalizeJobTitle(a[JOB_TITLE_COL - 1]);
+  const titleB = normalizeJobTitle(b[JOB_TITLE_COL - 1]);
+  const titleScore = titleSimilarityScore(titleA, titleB);
+  if (titleScore < JOB_TITLE_MATCH_THRESHOLD) return null;
+  const timeA = _rowTime(a[EMAIL_DATE_COL - 1]) || _rowTime(a[LAST_UPDATE_DATE_COL - 1]);
+  const timeB = _rowTime(b[EMAIL_DATE_COL - 1]) || _rowTime(b[LAST_UPDATE_DATE_COL - 1]);
+  // Manually entered rows often have no date; they are not held apart by the date window.
+  const daysApart = (timeA && timeB) ? Math.round(Math.abs(timeA - timeB) / 86400000) : null;
+  if (daysApart !== null && daysApart > DUPLICATE_DATE_WINDOW_DAYS) return null;
+  const score = Math.round(companyScore * titleScore * 100) / 100;
+  const exact = companyScore === 1 && titleA === titleB;
+  const reason = `${exact ? "same" : "similar"} company/title${exact ? "" : ` (score ${score})`}${daysApart !== null ? `, ${daysApart} day(s) apart` : ''}`;
+  return { reason: reason, exact: exact };
+}
+
+/**
+ * Combines a group's rows into the kept row: the earliest application's row, with the
+ * highest Peak Status, the latest Last Update Date (and that email's status, subject and ID),
+ * every email link, and all notes.
+ * @private
+ */
+function _buildMergedApplicationRow(groupValues, keptIndex) {
+  const merged = [...groupValues[keptIndex]];
+  const latest = groupValues.reduce((best, values) => _rowTime(values[LAST_UPDATE_DATE_COL - 1]) > _rowTime(best[LAST_UPDATE_DATE_COL - 1]) ? values : best);
+  [STATUS_COL, LAST_UPDATE_DATE_COL, EMAIL_SUBJECT_COL, EMAIL_ID_COL, CONFIDENCE_COL].forEach(colNum => { merged[colNum - 1] = latest[colNum - 1]; });
+
+  const statuses = groupValues.flatMap(values => [values[PEAK_STATUS_COL - 1], values[STATUS_COL - 1]]).filter(Boolean);
+  merged[PEAK_STATUS_COL - 1] = statuses.reduce((best, status) => (getStatusRank(status) ?? -Infinity) > (getStatusRank(best) ?? -Infinity) ? status : best, merged[PEAK_STATUS_COL - 1]);
+
+  [COMPANY_COL, JOB_TITLE_COL].forEach(colNum => {
+    if (!merged[colNum - 1] || merged[colNum - 1] === MANUAL_REVIEW_NEEDED) {
+      const known = groupValues.find(values => values[colNum - 1] && values[colNum - 1] !== MANUAL_REVIEW_NEEDED);
+      if (known) merged[colNum - 1] = known[colNum - 1];
+    }
+  });
+  if (!merged[REQUISITION_ID_COL - 1]) {
+    const withId = groupValues.find(values => values[REQUISITION_ID_COL - 1]);
+    if (withId) merged[REQUISITION_ID_COL - 1] = withId[REQUISITION_ID_COL - 1];
+  }
+
+  const combine = colNum => [...new Set(groupValues.flatMap(values => String(values[colNum - 1] || "").split(/\s*\n\s*/)).filter(Boolean))].join('\n');
+  merged[EMAIL_LINK_COL - 1] = combine(EMAIL_LINK_COL);
+  merged[NOTES_COL - 1] = combine(NOTES_COL);
+  merged[MATCH_SCORE_COL - 1] = "";
+  return merged;
+}
+
+/** @private Index of the row with the earliest Email Date (rows without one count as latest). */
+function _earliestRowIndex(groupValues) {
+  let earliest = 0;
+  groupValues.forEach((values, i) => {
+    const time = _rowTime(values[EMAIL_DATE_COL - 1]) || Infinity;
+    if (time < (_rowTime(groupValues[earliest][EMAIL_DATE_COL - 1]) || Infinity)) earliest = i;
+  });
+  return earliest;
+}
+
+/** @private */
+function _rowTime(value) {
+  if (value instanceof Date) return value.getTime();
+  const parsed = value ? Date.parse(value) : NaN;
+  return isNaN(parsed) ? 0 : parsed;
+}
+
+/** @private */
+function _getOrCreateMergeLogSheet(ss) {
+  let mergeLogSheet = ss.getSheetByName(MERGE_LOG_SHEET_NAME);
+  if (mergeLogSheet) return mergeLogSheet;
+  try {
+    mergeLogSheet = ss.insertSheet(MERGE_LOG_SHEET_NAME);
+    const widths = MERGE_LOG_COLUMN_WIDTHS.map((width, i) => ({ col: i + 1, width: width }));
+    setupSheetFormatting(mergeLogSheet, MERGE_LOG_HEADERS, widths, false);
+    mergeLogSheet.setTabColor(BRAND_COLORS.CHARCOAL);
+    mergeLogSheet.hideSheet();
+    return mergeLogSheet;
+  } catch (e) {
+    Logger.log(`[_getOrCreateMergeLogSheet ERROR] Failed to create merge log sheet: ${e.message}`);
+    return null;
+  }
+}
+
+/** @private Builds the review dialog: one checkbox per group, ticked by default only for exact groups. */
+function _buildDuplicateReviewHtml(groups) {
+  const timeZone = Session.getScriptTimeZone();
+  const format = value => value instanceof Date ? Utilities.formatDate(value, timeZone, "yyyy-MM-dd") : _escapeHtml(value || "");
+  const payload = groups.map(group => ({
+    rows: group.rows,
+    fingerprints: group.values.map(values => _serializeStagedValues(values)),
+    reasons: group.reasons
+  }));
+
+  const groupHtml = groups.map((group, g) => `
+    <div class="group">
+      <label><input type="checkbox" class="pick" data-index="${g}"${group.exact ? " checked" : ""}> <b>Group ${g + 1}</b>${group.exact ? "" : " (similar match, check before ticking)"}</label>
+      <table>
+        <tr><th>Row</th><th>Company</th><th>Job Title</th><th>Status</th><th>Peak</th><th>Email Date</th><th>Last Update</th><th>Req ID</th></tr>
+        ${group.rows.map((row, i) => {
+          const v = group.values[i];
+          return `<tr><td>${row}</td><td>${format(v[COMPANY_COL - 1])}</td><td>${format(v[JOB_TITLE_COL - 1])}</td><td>${format(v[STATUS_COL - 1])}</td>` +
+            `<td>${format(v[PEAK_STATUS_COL - 1])}</td><td>${format(v[EMAIL_DATE_COL - 1])}</td><td>${format(v[LAST_UPDATE_DATE_COL - 1])}</td><td>${format(v[REQUISITION_ID_COL - 1])}</td></tr>`;
+        }).join('')}
+      </table>
+      <div class="why">${group.reasons.map(_escapeHtml).join('<br>')}</div>
+    </div>`).join('');
+
+  return `
+    <style>
+      body { font-family: Arial, sans-serif; font-size: 12px; }
+      .group { border: 1px solid ${BRAND_COLORS.MEDIUM_GREY_BORDER}; padding: 8px; margin-bottom: 10px; }
+      table { border-collapse: collapse; width: 100%; margin-top: 6px; }
+      th, td { border: 1px solid ${BRAND_COLORS.MEDIUM_GREY_BORDER}; padding: 3px 6px; text-align: left; }
+      th { background: ${BRAND_COLORS.PALE_GREY}; }
+      .why { color: #666; margin-top: 4px; }
+      #result { font-weight: bold; margin: 10px 0; }
+    </style>
+    <p>The earliest row in each group is kept. It gets the highest Peak Status, the latest update, every email link and all notes; the other rows are deleted. Groups found only by similar company or title are not ticked. Every merge can be undone with "Undo Last Merge".</p>
+    ${groupHtml}
+    <div id="result"></div>
+    <button id="merge" onclick="mergeSelected()">Merge Selected Groups</button>
+    <button onclick="google.script.host.close()">Close</button>
+    <script>
+      const GROUPS = ${JSON.stringify(payload).replace(/</g, '\\u003c')};
+      function mergeSelected() {
+        const selected = [...document.querySelectorAll('.pick:checked')].map(box => GROUPS[Number(box.dataset.index)]);
+        if (selected.length === 0) { document.getElementById('result').textContent = 'No groups selected.'; return; }
+        document.getElementById('merge').disabled = true;
+        document.getElementById('result').textContent = 'Merging...';
+        google.script.run
+          .withSuccessHandler(message => { document.getElementById('result').textContent = message; })
+          .withFailureHandler(error => { document.getElementById('result').textContent = 'Error: ' + error.message; document.getElementById('merge').disabled = false; })
+          .mergeSelectedDuplicates(selected);
+      }
+    </script>`;
+}
@@ -0,0 +1,101 @@
+/**
+ * @file Keeps manual corrections on the Applications sheet from being overwritten by automation.
+ * Editing a lockable cell (see LOCKABLE_FIELD_COLUMNS) adds its header to the row's "Locked Fields"
+ * cell; email processing and the stale job leave locked cells as they are. Their writes also keep
+ * any cell edited after the run read the sheet, so a correction made mid-run is not lost.
+ */
+
+/**
+ * Reads the columns locked on an Applications row.
+ * @param {any[]} row The row's values.
+ * @returns {Set<number>} The locked 1-based column numbers.
+ */
+function getLockedFields(row) {
+  const locked = new Set();
+  String((row && row[LOCKED_FIELDS_COL - 1]) || "").split(",").forEach(name => {
+    const col = APP_TRACKER_SHEET_HEADERS.findIndex(header => header.toLowerCase() === name.trim().toLowerCase()) + 1;
+    if (LOCKABLE_FIELD_COLUMNS.includes(col)) locked.add(col);
+  });
+  return locked;
+}
+
+/**
+ * Checks whether a cell of an Applications row is locked.
+ * @param {any[]} row The row's values.
+ * @param {number} col The 1-based column number.
+ * @returns {boolean} True if the user locked the cell.
+ */
+function isFieldLocked(row, col) {
+  return getLockedFields(row).has(col);
+}
+
+/**
+ * Restores the locked cells of an updated row to their current sheet values.
+ * @param {any[]} beforeRow The row as it is in the sheet.
+ * @param {any[]} afterRow The row automation wants to write; changed in place.
+ * @returns {string[]} The headers of the locked cells automation would have changed.
+ */
+function applyFieldLocks(beforeRow, afterRow) {
+  const kept = [];
+  getLockedFields(beforeRow).forEach(col => {
+    if (_stagedValueKey(afterRow[col - 1]) !== _stagedValueKey(beforeRow[col - 1])) {
+      afterRow[col - 1] = beforeRow[col - 1];
+      kept.push(APP_TRACKER_SHEET_HEADERS[col - 1]);
+    }
+  });
+  return kept;
+}
+
+/**
+ * Merges an engine update with edits made to the row after the engine read it: every cell that
+ * differs between `readValues` and `currentValues` keeps its current value.
+ * @param {any[]} readValues The row when the engine read it.
+ * @param {any[]} currentValues The row as it is in the sheet now.
+ * @param {any[]} newValues The row the engine wants to write; changed in place.
+ * @returns {number[]} The 1-based columns kept from the sheet.
+ */
+function mergeConcurrentEdits(readValues, currentValues, newValues) {
+  const kept = [];
+  for (let i = 0; i < newValues.length; i++) {
+    if (_stagedValueKey(readValues[i]) !== _stagedValueKey(currentValues[i])) {
+      newValues[i] = currentValues[i];
+      kept.push(i + 1);
+    }
+  }
+  return kept;
+}
+
+/**
+ * Locks the cells of a manual edit on the Applications sheet. Called from `onEdit`, which only
+ * fires for edits made by a person; rows left blank by the edit are not locked.
+ * @param {GoogleAppsScript.Events.SheetsOnEdit} e The edit event.
+ */
+function recordManualFieldLocks(e) {
+  const FUNC_NAME = "recordManualFieldLocks";
+  if (!e || !e.range) return;
+  const range = e.range;
+  const sheet = range.getSheet();
+  if (sheet.getName() !== APP_TRACKER_SHEET_TAB_NAME) return;
+  const editedCols = LOCKABLE_FIELD_COLUMNS.filter(col => col >= range.getColumn() && col <= range.getLastColumn());
+  const firstRow = Math.max(range.getRow(), 2);
+  const lastRow = range.getLastRow();
+  if (editedCols.length === 0 || lastRow < firstRow) return;
+
+  try {
+    const rowCount = lastRow - firstRow + 1;
+    const rows = sheet.getRange(firstRow, 1, rowCount, Math.max(sheet.getLastColumn(), LOCKED_FIELDS_COL)).getValues();
+    let changed = false;
+    const lockCells = rows.map(row => {
+      const locked = getLockedFields(row);
+      const isBlankRow = row.every((value, i) => i === LOCKED_FIELDS_COL - 1 || _stagedValueKey(value) === "");
+      if (!isBlankRow && editedCols.some(col => !locked.has(col))) {
+        editedCols.forEach(col => locked.add(col));
+        changed = true;
+      }
+      return [[...locked].sort((a, b) => a - b).map(col => APP_TRACKER_SHEET_HEADERS[col - 1]).join(", ")];
+    });
+    if (changed) sheet.getRange(firstRow, LOCKED_FIELDS_COL, rowCount, 1).setValues(lockCells);
+  } catch (err) {
+    Logger.log(`[${FUNC_NAME} ERROR] Could not lock manually edited fields: ${err.message}`);
+  }
+}
@@ -3,16 +3,47 @@
  * AI-powered parsing of email content to extract job application details and job leads.
  */
 
+/** @private Per-execution Gemini call counters, read by the run log. */
+let _geminiUsageStats = { calls: 0, failures: 0 };
+
+/**
+ * Resets the Gemini call counters (done at the start of each processing run).
+ */
+function resetGeminiUsageStats() {
+  _geminiUsageStats = { calls: 0, failures: 0 };
+}
+
+/**
+ * Returns the Gemini call counters since the last reset.
+ * @returns {{calls: number, failures: number}} Calls made and calls that produced no usable result.
+ */
+function getGeminiUsageStats() {
+  return Object.assign({}, _geminiUsageStats);
+}
+
 /**
  * Private function to handle the core Gemini API call with retry logic.
+ * Counts each call (and each call that fails) for the run log.
  * @param {string} prompt The complete prompt to send to the API.
  * @param {string} apiKey The user's Gemini API key.
  * @param {object} options Additional options for the API call.
+ * @param {object} [options.responseSchema] A Gemini response schema; the API is then asked for JSON matching it.
  * @returns {object|null} The parsed JSON response or null on failure.
  * @private
  */
 function _callGeminiAPI(prompt, apiKey, options = {}) {
-  const { maxAttempts = 2, logContext = "GEMINI_API" } = options;
+  _geminiUsageStats.calls++;
+  const result = _requestGeminiJson(prompt, apiKey, options);
+  if (result === null) _geminiUsageStats.failures++;
+  return result;
+}
+
+/**
+ * Sends the request for `_callGeminiAPI`, retrying on rate limits and exceptions.
+ * @private
+ */
+function _requestGeminiJson(prompt, apiKey, options = {}) {
+  const { maxAttempts = 2, logContext = "GEMINI_API", responseSchema = null } = options;
   const API_ENDPOINT = GEMINI_API_ENDPOINT_TEXT_ONLY + "?key=" + apiKey;
 
   const payload = {
@@ -25,6 +56,10 @@ function _callGeminiAPI(prompt, apiKey, options = {}) {
       { "category": "HARM_CATEGORY_DANGEROUS_CONTENT", "threshold": "BLOCK_MEDIUM_AND_ABOVE" }
     ]
   };
+  if (responseSchema) {
+    payload.generationConfig.responseMimeType = "application/json";
+    payload.generationConfig.responseSchema = responseSchema;
+  }
   const fetchOptions = {'method':'post', 'contentType':'application/json', 'payload':JSON.stringify(payload), 'muteHttpExceptions':true};
 
   if(DEBUG_MODE) Logger.log(`[DEBUG] ${logContext}: Calling API. Prompt len (approx): ${prompt.length}`);
@@ -82,16 +117,26 @@ function _callGeminiAPI(prompt, apiKey, options = {}) {
  * @param {string} emailSubject The subject of the email.
  * @param {string} emailBody The plain text body of the email.
  * @param {string} apiKey The Gemini API key.
- * @returns {{company: string, title: string, status: string}|null} An object with the parsed details or null on failure.
+ * @param {object|null} [threadContext] Earlier messages of the thread and its known company/title (see ThreadContext.js).
+ *     When given, the model may take company/title from it, but the status always comes from this email.
+ * @returns {{company: string, title: string, status: string, emailType?: string, requisitionId: string|null, platformHint?: string|null, confidence?: object, details: object|null, reviewReason: string|null}|null} An object with the parsed details or null on failure.
+ *     `emailType` is one of MESSAGE_ROUTES (see MessageRouting.js); `platformHint` is used by `detectPlatform`.
+ *     `confidence` holds the model's own 0-1 confidence in `company`, `title` and `status` (null where it gave none); see ParseConfidence.js.
+ *     `details` is Gemini's raw recruiter/interview/location/salary object; see `normalizeApplicationDetails`.
+ *     The response is checked against the same schema the API is given. `reviewReason` is set when it was unusable
+ *     (company, title and status are then MANUAL_REVIEW_NEEDED) or the email is not an application.
  */
-function callGemini_forApplicationDetails(emailSubject, emailBody, apiKey) {
+function callGemini_forApplicationDetails(emailSubject, emailBody, apiKey, threadContext) {
   if (!apiKey || (!emailSubject && !emailBody)) {
     Logger.log("[INFO] GEMINI_PARSE_APP: API Key not provided or email content is empty. Skipping Gemini call.");
     return null;
   }
 
   const bodySnippet = emailBody ? emailBody.substring(0, 12000) : "";
-  const prompt = `You are a highly specialized AI assistant expert in parsing job application-related emails for a tracking system. Your sole purpose is to analyze the provided email Subject and Body, and extract three key pieces of information: "company_name", "job_title", and "status". You MUST return this information ONLY as a single, valid JSON object, with no surrounding text, explanations, apologies, or markdown.
+  const aiStatusOptions = getAiStatusOptions();
+  const statusOptions = aiStatusOptions.map(option => `        *   "${option.status}" (Use for: ${option.hint})`).join('\n');
+  const contextSection = formatThreadContextForPrompt(threadContext);
+  const prompt = `You are a highly specialized AI assistant expert in parsing job application-related emails for a tracking system. Your sole purpose is to analyze the provided email Subject and Body, and extract seven key pieces of information: "email_type", "company_name", "job_title", "status", "requisition_id", "platform" and "details", and to say how confident you are in them ("confidence"). You MUST return this information ONLY as a single, valid JSON object, with no surrounding text, explanations, apologies, or markdown.
 
 CRITICAL INSTRUCTIONS - READ AND FOLLOW CAREFULLY:
 
@@ -107,20 +152,45 @@ CRITICAL INSTRUCTIONS - READ AND FOLLOW CAREFULLY:
 3.  "status":
     *   Determine the current status of the application based on the content of THIS email.
     *   You MUST choose a status ONLY from the following exact list. Do not invent new statuses.
-        *   "${DEFAULT_STATUS}" (Use for: Application submitted, application sent, successfully applied, application received)
-        *   "${REJECTED_STATUS}" (Use for: Not moving forward, unfortunately, decided not to proceed, position filled)
-        *   "${OFFER_STATUS}" (Use for: Offer of employment, pleased to offer, job offer)
-        *   "${INTERVIEW_STATUS}" (Use for: Invitation to interview, schedule an interview, interview request)
-        *   "${ASSESSMENT_STATUS}" (Use for: Online assessment, coding challenge, technical test, skills test)
-        *   "${APPLICATION_VIEWED_STATUS}" (Use for: Application was viewed by recruiter, your profile was viewed for the role)
-        *   "Update/Other" (Use for: General updates or if the status is unclear)
+${statusOptions}
+        *   "${GEMINI_STATUS_UPDATE_OTHER}" (Use for: General updates or if the status is unclear)
+
+4.  "requisition_id":
+    *   Extract the employer's requisition, job or posting ID for this role if one appears in the subject, body, or a job link.
+    *   Common formats: Workday "JR12345" / "R-0012345" (often at the end of a myworkdayjobs.com link), Greenhouse numeric IDs (".../jobs/4012345" or "gh_jid=4012345"), Lever UUIDs ("jobs.lever.co/company/<uuid>"), iCIMS numeric IDs (".../jobs/1234/..."), or labels such as "Job ID:", "Req #", "Requisition ID:".
+    *   Output ONLY the ID itself, without labels. If there is no such ID, use null.
+
+5.  "details":
+    *   An object with the following keys, taken ONLY from THIS email. Use null for anything the email does not state; never guess.
+    *   "recruiter_name" and "recruiter_email": The recruiter or hiring contact who wrote or is named in the email (not a no-reply address).
+    *   "interview_start": The proposed or confirmed interview date and time as "YYYY-MM-DD HH:mm" in the time zone the email states (24-hour clock). If several slots are offered, use the first. Use "YYYY-MM-DD" if only the date is given.
+    *   "interview_timezone": The time zone exactly as written (e.g., "PT", "EST", "GMT+1", "Europe/London").
+    *   "meeting_link": The Zoom, Google Meet, Teams or other video link for the interview.
+    *   "location": The office or city of the role or interview.
+    *   "work_arrangement": One of "Remote", "Hybrid" or "On-site".
+    *   "salary_min" and "salary_max": The pay range as plain numbers (e.g., 120000). Use the same number for both if a single figure is given.
+    *   "salary_currency": The ISO currency code (e.g., "USD", "EUR").
+    *   "salary_period": One of "Hour", "Day", "Week", "Month" or "Year".
+
+6.  "email_type":
+    *   "${MESSAGE_ROUTES.APPLICATION_UPDATE}": About an application the user submitted (confirmation, status change, interview, assessment, offer, rejection).
+    *   "${MESSAGE_ROUTES.JOB_LEAD}": A job alert, job recommendations or a list of open positions the user has not applied to.
+    *   "${MESSAGE_ROUTES.RECRUITER_OUTREACH}": A recruiter or hiring manager reaching out about a role the user has not applied to.
+    *   "${MESSAGE_ROUTES.IRRELEVANT}": Anything else (newsletters, marketing, account notices).
+
+7.  "platform":
+    *   The job board or applicant tracking system the email came through, if the email makes it evident (e.g., "LinkedIn", "Indeed", "Wellfound", "Greenhouse", "Lever", "Workday", "Ashby", "iCIMS"). Otherwise use null.
+
+8.  "confidence":
+    *   An object with the keys "company_name", "job_title" and "status", each a number from 0 to 1: how certain you are that the value you returned is correct for THIS email.
+    *   Use 0.9 or more only when the email states the value explicitly; use 0.5 or less when you inferred or guessed it.
 
 **Output Requirements**:
 *   **ONLY JSON**: Your entire response must be a single, valid JSON object.
-*   **Structure**: {"company_name": "...", "job_title": "...", "status": "..."}
-*   **Irrelevant Emails**: If the email is clearly NOT a job application update (e.g., a newsletter, a job alert), your output MUST be: {"company_name": "${MANUAL_REVIEW_NEEDED}","job_title": "${MANUAL_REVIEW_NEEDED}","status": "Not an Application"}
+*   **Structure**: {"email_type": "...", "company_name": "...", "job_title": "...", "status": "...", "requisition_id": "..." or null, "platform": "..." or null, "details": {"recruiter_name": ..., "recruiter_email": ..., "interview_start": ..., "interview_timezone": ..., "meeting_link": ..., "location": ..., "work_arrangement": ..., "salary_min": ..., "salary_max": ..., "salary_currency": ..., "salary_period": ...}, "confidence": {"company_name": ..., "job_title": ..., "status": ...}}
+*   **Other Emails**: If "email_type" is not "${MESSAGE_ROUTES.APPLICATION_UPDATE}", "status" MUST be "${GEMINI_STATUS_NOT_APPLICATION}"; still fill in the company and job title if the email names them.
 
---- EMAIL TO PROCESS START ---
+${contextSection}--- EMAIL TO PROCESS START ---
 Subject: ${emailSubject}
 Body:
 ${bodySnippet}
@@ -129,19 +199,236 @@ ${bodySnippet}
 JSON Output:
 `;
 
-  const extractedData = _callGeminiAPI(prompt, apiKey, { logContext: "GEMINI_PARSE_APP" });
-
-  if (extractedData && typeof extractedData.company_name !== 'undefined' && typeof extractedData.job_title !== 'undefined' && typeof extractedData.status !== 'undefined') {
-    Logger.log(`[INFO] GEMINI_PARSE_APP: Success. C:"${extractedData.company_name}", T:"${extractedData.job_title}", S:"${extractedData.status}"`);
-    return {
-        company: extractedData.company_name || MANUAL_REVIEW_NEEDED,
-        title: extractedData.job_title || MANUAL_REVIEW_NEEDED,
-        status: extractedData.status || MANUAL_REVIEW_NEEDED
-    };
-  } else {
-    Logger.log(`[WARN] GEMINI_PARSE_APP: JSON from Gemini missing fields or API call failed. Output: ${JSON.stringify(extractedData)}`);
-    return {company:MANUAL_REVIEW_NEEDED, title:MANUAL_REVIEW_NEEDED, status:MANUAL_REVIEW_NEEDED};
+  const statusEnum = [...aiStatusOptions.map(option => option.status), GEMINI_STATUS_UPDATE_OTHER, GEMINI_STATUS_NOT_APPLICATION];
+  const responseSchema = _applicationResponseSchema(statusEnum);
+  const extractedData = _callGeminiAPI(prompt, apiKey, { logContext: "GEMINI_PARSE_APP", responseSchema: responseSchema });
+  const reviewResult = reason => {
+    Logger.log(`[WARN] GEMINI_PARSE_APP: Sending to manual review: ${reason}. Output: ${JSON.stringify(extractedData)}`);
+    return { company: MANUAL_REVIEW_NEEDED, title: MANUAL_REVIEW_NEEDED, status: MANUAL_REVIEW_NEEDED, requisitionId: null, details: null, reviewReason: reason };
+  };
+  if (!extractedData) return reviewResult("Gemini returned no usable JSON");
+
+  const repairs = _repairApplicationResponse(extractedData, statusEnum);
+  const errors = validateAgainstSchema(extractedData, responseSchema);
+  if (errors.length > 0) return reviewResult(`Gemini response failed validation (${errors.join("; ")})`);
+  if (repairs.length > 0) Logger.log(`[WARN] GEMINI_PARSE_APP: Repaired response: ${repairs.join("; ")}`);
+
+  Logger.log(`[INFO] GEMINI_PARSE_APP: Success. C:"${extractedData.company_name}", T:"${extractedData.job_title}", S:"${extractedData.status}"`);
+  return {
+      company: resolveCompanyAlias(extractedData.company_name || MANUAL_REVIEW_NEEDED),
+      title: extractedData.job_title || MANUAL_REVIEW_NEEDED,
+      status: extractedData.status,
+      emailType: extractedData.email_type,
+      requisitionId: _cleanRequisitionId(extractedData.requisition_id),
+      platformHint: extractedData.platform || null,
+      confidence: {
+        company: _modelConfidence(extractedData.confidence, "company_name"),
+        title: _modelConfidence(extractedData.confidence, "job_title"),
+        status: _modelConfidence(extractedData.confidence, "status")
+      },
+      details: extractedData.details || null,
+      reviewReason: extractedData.status === GEMINI_STATUS_NOT_APPLICATION ? "Gemini classified the email as not an application" : null
+  };
+}
+
+/**
+ * The response schema for `callGemini_forApplicationDetails`, in the OpenAPI subset Gemini accepts.
+ * @param {string[]} statusEnum The statuses Gemini may choose.
+ * @returns {object} The schema.
+ * @private
+ */
+function _applicationResponseSchema(statusEnum) {
+  const nullableString = { type: "STRING", nullable: true };
+  const nullableNumber = { type: "NUMBER", nullable: true };
+  return {
+    type: "OBJECT",
+    properties: {
+      email_type: { type: "STRING", enum: Object.values(MESSAGE_ROUTES) },
+      company_name: { type: "STRING" },
+      job_title: { type: "STRING" },
+      status: { type: "STRING", enum: statusEnum },
+      requisition_id: nullableString,
+      platform: nullableString,
+      details: {
+        type: "OBJECT",
+        nullable: true,
+        properties: {
+          recruiter_name: nullableString,
+          recruiter_email: nullableString,
+          interview_start: nullableString,
+          interview_timezone: nullableString,
+          meeting_link: nullableString,
+          location: nullableString,
+          work_arrangement: { type: "STRING", nullable: true, enum: WORK_ARRANGEMENTS },
+          salary_min: nullableNumber,
+          salary_max: nullableNumber,
+          salary_currency: nullableString,
+          salary_period: { type: "STRING", nullable: true, enum: SALARY_PERIODS }
+        }
+      },
+      confidence: {
+        type: "OBJECT",
+        nullable: true,
+        properties: {
+          company_name: nullableNumber,
+          job_title: nullableNumber,
+          status: nullableNumber
+        }
+      }
+    },
+    required: ["company_name", "job_title", "status"],
+    propertyOrdering: ["email_type", "company_name", "job_title", "status", "requisition_id", "platform", "details", "confidence"]
+  };
+}
+
+/**
+ * Fixes the small deviations models make before the response is validated: a status in the wrong
+ * case or spacing is mapped to its enum value, an "email_type" that is missing or contradicts a
+ * GEMINI_STATUS_NOT_APPLICATION status is derived from the status, a blank company or title becomes
+ * MANUAL_REVIEW_NEEDED, and optional fields of the wrong type are dropped. Changes `data` in place.
+ * @param {object} data The parsed response.
+ * @param {string[]} statusEnum The allowed statuses.
+ * @returns {string[]} A description of each repair made.
+ * @private
+ */
+function _repairApplicationResponse(data, statusEnum) {
+  const repairs = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return repairs;
+  const key = value => String(value).toLowerCase().replace(/[^a-z0-9+]/g, "");
+  if (typeof data.status === 'string' && !statusEnum.includes(data.status)) {
+    const match = statusEnum.find(status => key(status) === key(data.status));
+    if (match) {
+      repairs.push(`status "${data.status}" -> "${match}"`);
+      data.status = match;
+    }
+  }
+  const emailTypes = Object.values(MESSAGE_ROUTES);
+  if (data.email_type !== undefined && data.email_type !== null && !emailTypes.includes(data.email_type)) {
+    const match = emailTypes.find(type => key(type) === key(data.email_type)) || null;
+    repairs.push(`email_type ${JSON.stringify(data.email_type)} -> ${JSON.stringify(match)}`);
+    data.email_type = match;
+  }
+  if (!data.email_type && typeof data.status === 'string') {
+    data.email_type = data.status === GEMINI_STATUS_NOT_APPLICATION ? MESSAGE_ROUTES.IRRELEVANT : MESSAGE_ROUTES.APPLICATION_UPDATE;
+    repairs.push(`missing email_type -> "${data.email_type}"`);
+  } else if (data.email_type === MESSAGE_ROUTES.APPLICATION_UPDATE && data.status === GEMINI_STATUS_NOT_APPLICATION) {
+    // The status wins: an application update always has a pipeline status.
+    data.email_type = MESSAGE_ROUTES.IRRELEVANT;
+    repairs.push(`email_type "${MESSAGE_ROUTES.APPLICATION_UPDATE}" with status "${GEMINI_STATUS_NOT_APPLICATION}" -> "${data.email_type}"`);
+  }
+  ["company_name", "job_title"].forEach(field => {
+    if (data[field] === null || (typeof data[field] === 'string' && data[field].trim() === "")) {
+      repairs.push(`blank ${field} -> "${MANUAL_REVIEW_NEEDED}"`);
+      data[field] = MANUAL_REVIEW_NEEDED;
+    }
+  });
+  if (data.requisition_id !== undefined && data.requisition_id !== null && typeof data.requisition_id !== 'string') {
+    repairs.push(`requisition_id ${JSON.stringify(data.requisition_id)} -> "${data.requisition_id}"`);
+    data.requisition_id = String(data.requisition_id);
   }
+  if (data.confidence !== undefined && data.confidence !== null && (typeof data.confidence !== 'object' || Array.isArray(data.confidence))) {
+    repairs.push(`dropped confidence of type ${Array.isArray(data.confidence) ? 'array' : typeof data.confidence}`);
+    data.confidence = null;
+  }
+  if (data.confidence) {
+    Object.keys(data.confidence).forEach(field => {
+      const value = data.confidence[field];
+      if (value === null || typeof value === 'number') return;
+      // Percentages written as text ("85%") are kept as fractions; anything else is dropped.
+      const percent = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*%$/);
+      const repaired = percent ? parseFloat(percent[1]) / 100 : (isNaN(parseFloat(value)) ? null : parseFloat(value));
+      repairs.push(`confidence.${field} ${JSON.stringify(value)} -> ${JSON.stringify(repaired)}`);
+      data.confidence[field] = repaired;
+    });
+  }
+  if (data.details !== undefined && data.details !== null && (typeof data.details !== 'object' || Array.isArray(data.details))) {
+    repairs.push(`dropped details of type ${Array.isArray(data.details) ? 'array' : typeof data.details}`);
+    data.details = null;
+  }
+  if (data.details) {
+    const detailsSchema = _applicationResponseSchema(statusEnum).properties.details;
+    Object.keys(data.details).forEach(field => {
+      const fieldSchema = detailsSchema.properties[field];
+      const value = data.details[field];
+      if (!fieldSchema || validateAgainstSchema(value, fieldSchema).length === 0) return;
+      // Enum values in the wrong case ("onsite") and salaries written as text ("120k") are kept; anything else is dropped.
+      let repaired = null;
+      if (fieldSchema.enum && typeof value === 'string') repaired = fieldSchema.enum.find(option => key(option) === key(value)) || null;
+      else if (fieldSchema.type === "NUMBER") repaired = _parseSalaryAmount(value) || null;
+      repairs.push(`details.${field} ${JSON.stringify(value)} -> ${JSON.stringify(repaired)}`);
+      data.details[field] = repaired;
+    });
+  }
+  return repairs;
+}
+
+/**
+ * Checks a value against a Gemini response schema (types OBJECT, ARRAY, STRING, NUMBER, INTEGER
+ * and BOOLEAN, with `required`, `enum` and `nullable`).
+ * @param {*} value The value to check.
+ * @param {object} schema The schema.
+ * @param {string} [path] The value's path, used in the messages.
+ * @returns {string[]} One message per problem found; empty if the value is valid.
+ */
+function validateAgainstSchema(value, schema, path) {
+  const where = path || "response";
+  if (value === null || value === undefined) {
+    return schema.nullable ? [] : [`${where} is missing`];
+  }
+  switch (schema.type) {
+    case "OBJECT": {
+      if (typeof value !== 'object' || Array.isArray(value)) return [`${where} is not an object`];
+      const errors = [];
+      (schema.required || []).forEach(field => {
+        if (value[field] === undefined || value[field] === null) errors.push(`${where}.${field} is missing`);
+      });
+      Object.entries(schema.properties || {}).forEach(([field, fieldSchema]) => {
+        if (value[field] !== undefined && value[field] !== null) errors.push(...validateAgainstSchema(value[field], fieldSchema, `${where}.${field}`));
+      });
+      return errors;
+    }
+    case "ARRAY":
+      if (!Array.isArray(value)) return [`${where} is not an array`];
+      return schema.items ? value.flatMap((item, i) => validateAgainstSchema(item, schema.items, `${where}[${i}]`)) : [];
+    case "STRING":
+      if (typeof value !== 'string') return [`${where} is not a string`];
+      return schema.enum && !schema.enum.includes(value) ? [`${where} "${value}" is not one of the allowed values`] : [];
+    case "NUMBER":
+      return typeof value === 'number' && isFinite(value) ? [] : [`${where} is not a number`];
+    case "INTEGER":
+      return Number.isInteger(value) ? [] : [`${where} is not an integer`];
+    case "BOOLEAN":
+      return typeof value === 'boolean' ? [] : [`${where} is not a boolean`];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Reads one of Gemini's "confidence" values. Values above 1 are taken as percentages; anything
+ * outside 0-1 after that is ignored.
+ * @param {object|null} confidence The raw "confidence" object.
+ * @param {string} field The key to read.
+ * @returns {number|null} The confidence, or null if Gemini gave none.
+ * @private
+ */
+function _modelConfidence(confidence, field) {
+  const value = confidence ? confidence[field] : null;
+  if (typeof value !== 'number' || isNaN(value)) return null;
+  const fraction = value > 1 ? value / 100 : value;
+  return fraction >= 0 && fraction <= 1 ? fraction : null;
+}
+
+/**
+ * Normalizes a requisition ID returned by Gemini, discarding placeholders like "N/A".
+ * @param {*} value The raw "requisition_id" value.
+ * @returns {string|null} The cleaned ID or null.
+ * @private
+ */
+function _cleanRequisitionId(value) {
+  const id = String(value == null ? "" : value).trim();
+  if (!id || /^(?:n\/?a|null|none|unknown)$/i.test(id) || id === MANUAL_REVIEW_NEEDED || id.length > 64) return null;
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-/i.test(id) ? id.toLowerCase() : id.toUpperCase();
 }
 
 function callGemini_forJobLeads(emailBody, apiKey) {
@@ -202,12 +489,49 @@ ${emailBody.substring(0, 30000)}
 ---
 JSON Array Output:`;
 
-    const parsedData = _callGeminiAPI(promptText, apiKey, { logContext: "GEMINI_LEADS" });
+    const responseSchema = _jobLeadsResponseSchema();
+    const parsedData = _callGeminiAPI(promptText, apiKey, { logContext: "GEMINI_LEADS", responseSchema: responseSchema });
 
-    if (parsedData) {
-        return { success: true, data: parsedData, error: null };
-    } else {
+    if (!parsedData) {
         return { success: false, data: null, error: "Failed to get a valid response from Gemini API." };
     }
+    const jobs = _repairJobLeadsResponse(parsedData);
+    const errors = validateAgainstSchema(jobs, responseSchema);
+    if (errors.length > 0) {
+        Logger.log(`[GEMINI_LEADS WARN] Response failed validation: ${errors.join("; ")}. Output: ${JSON.stringify(parsedData).substring(0, 500)}`);
+        return { success: false, data: null, error: `Gemini response failed validation (${errors.join("; ")})` };
+    }
+    return { success: true, data: jobs, error: null };
+}
+
+/**
+ * The response schema for `callGemini_forJobLeads`: an array of job postings.
+ * @returns {object} The schema.
+ * @private
+ */
+function _jobLeadsResponseSchema() {
+    const fields = ["jobTitle", "company", "location", "source", "jobUrl", "notes"];
+    const properties = {};
+    fields.forEach(field => properties[field] = { type: "STRING" });
+    return { type: "ARRAY", items: { type: "OBJECT", properties: properties, required: fields, propertyOrdering: fields } };
+}
+
+/**
+ * Drops array entries that are not objects and fills missing or non-text fields with "N/A".
+ * A response that is not an array is returned unchanged, to fail validation.
+ * @param {*} data The parsed response.
+ * @returns {*} The repaired response.
+ * @private
+ */
+function _repairJobLeadsResponse(data) {
+    if (!Array.isArray(data)) return data;
+    const fields = _jobLeadsResponseSchema().items.required;
+    const jobs = data.filter(job => job && typeof job === 'object' && !Array.isArray(job)).map(job => {
+        const repaired = {};
+        fields.forEach(field => repaired[field] = (typeof job[field] === 'string' && job[field].trim() !== "") ? job[field] : "N/A");
+        return repaired;
+    });
+    if (jobs.length < data.length) Logger.log(`[GEMINI_LEADS WARN] Dropped ${data.length - jobs.length} entr(ies) that were not job objects.`);
+    return jobs;
 }
 
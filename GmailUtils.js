@@ -45,7 +45,8 @@ function getOrCreateLabel(labelName) {
 /**
  * Applies final labels to Gmail threads based on their processing outcome.
  * It removes the "processing" label and adds either a "processed" or "manual review" label.
- * @param {Object.<string, string>} threadOutcomes - An object mapping thread IDs to their outcome ('done' or 'manual').
+ * Threads with a routed outcome (see MessageRouting.js) get their route's label instead.
+ * @param {Object.<string, string>} threadOutcomes - An object mapping thread IDs to their outcome ('done', 'manual' or a routed outcome).
  * @param {GoogleAppsScript.Gmail.GmailLabel} processingLabel - The label indicating threads are being processed.
  * @param {GoogleAppsScript.Gmail.GmailLabel} processedLabelObj - The label for successfully processed threads.
  * @param {GoogleAppsScript.Gmail.GmailLabel} manualReviewLabelObj - The label for threads requiring manual review.
@@ -77,8 +78,14 @@ function applyFinalLabels(threadOutcomes, processingLabel, processedLabelObj, ma
   const toProcessLabelName = processingLabel.getName(); // Get name once
 
   for (const threadId of threadIdsToUpdate) {
-    const outcome = threadOutcomes[threadId]; // 'done' or 'manual'
-    const targetLabelToAdd = (outcome === 'manual') ? manualReviewLabelObj : processedLabelObj;
+    const outcome = threadOutcomes[threadId]; // 'done', 'manual' or routed
+    const routeLabelName = getRoutedOutcomeLabel(outcome);
+    const targetLabelToAdd = routeLabelName ? getOrCreateLabel(routeLabelName) : ((outcome === 'manual') ? manualReviewLabelObj : processedLabelObj);
+    if (!targetLabelToAdd) {
+      Logger.log(`[ERROR] LABEL_MGMT: Route label "${routeLabelName}" is unavailable. Leaving thread ${threadId} in "${processingLabel.getName()}".`);
+      labelErrors++;
+      continue;
+    }
     const targetLabelNameToAdd = targetLabelToAdd.getName(); // Get name once
 
     try {
@@ -131,3 +138,28 @@ function applyFinalLabels(threadOutcomes, processingLabel, processedLabelObj, ma
   }
   Logger.log(`[INFO] LABEL_MGMT: Finished applying final labels. Success changes/verified: ${successfulLabelChanges}. Errors: ${labelErrors}.`);
 }
+
+/**
+ * Deletes the Gmail filters that apply a given label for a given query (as created during module setup).
+ * Requires the Advanced Gmail Service.
+ * @param {string} filterQuery The filter's search criteria.
+ * @param {string} labelName The name of the label the filter adds.
+ * @returns {number} The number of filters deleted.
+ */
+function deleteGmailFiltersForLabel(filterQuery, labelName) {
+  try {
+    const labelsResponse = Gmail.Users.Labels.list('me');
+    const labelInfo = (labelsResponse.labels || []).find(l => l.name === labelName);
+    if (!labelInfo) return 0;
+
+    const filtersResponse = Gmail.Users.Settings.Filters.list('me');
+    const matchingFilters = (filtersResponse && Array.isArray(filtersResponse.filter) ? filtersResponse.filter : [])
+      .filter(f => f.criteria?.query === filterQuery && f.action?.addLabelIds?.includes(labelInfo.id));
+    matchingFilters.forEach(f => Gmail.Users.Settings.Filters.remove('me', f.id));
+    Logger.log(`[GMAIL_UTIL INFO] Deleted ${matchingFilters.length} filter(s) for label "${labelName}".`);
+    return matchingFilters.length;
+  } catch (e) {
+    Logger.log(`[GMAIL_UTIL ERROR] Failed to delete filters for label "${labelName}": ${e.message}`);
+    return 0;
+  }
+}
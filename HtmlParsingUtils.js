@@ -0,0 +1,223 @@
+/**
+ * @file Reads the HTML body of an email: anchor URLs with their link text ("View application",
+ * "Apply"), with tracking redirects unwrapped and tracking parameters dropped, and schema.org
+ * JobPosting data embedded as JSON-LD. The results give the parsers and Gemini cleaner input
+ * (see `buildParserEmailText`), job links for the sheets, and link evidence for PlatformDetection.js.
+ */
+
+/** @private Parsed HTML by message ID, for the current execution (see `getEmailHtmlInfo`). */
+let _emailHtmlInfoCache = new Map();
+
+/**
+ * Parses a message's HTML body once per execution.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message The message.
+ * @returns {{links: {url: string, text: string, kind: string}[], jobPostings: object[], text: string}}
+ *     See `parseEmailHtml`; empty when the message has no readable HTML body.
+ */
+function getEmailHtmlInfo(message) {
+  const msgId = message.getId();
+  if (_emailHtmlInfoCache.has(msgId)) return _emailHtmlInfoCache.get(msgId);
+  let html = "";
+  try {
+    html = message.getBody() || "";
+  } catch (e) {
+    Logger.log(`[getEmailHtmlInfo WARN] Could not read the HTML body of msg ${msgId}: ${e.message}`);
+  }
+  const info = parseEmailHtml(html);
+  if (_emailHtmlInfoCache.size >= 50) _emailHtmlInfoCache.clear();
+  _emailHtmlInfoCache.set(msgId, info);
+  return info;
+}
+
+/**
+ * Parses an HTML email body.
+ * @param {string} html The HTML.
+ * @returns {{links: {url: string, text: string, kind: string}[], jobPostings: {title: string, company: string, location: string, url: string, identifier: string, datePosted: string}[], text: string}}
+ *     Links in document order without duplicates, where `kind` is "application" (portal / status links),
+ *     "apply", "job", or "other"; the JobPostings found in JSON-LD; and the body as plain text.
+ */
+function parseEmailHtml(html) {
+  const source = String(html || "");
+  const links = [];
+  const seen = new Set();
+  const anchorPattern = /<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))[^>]*>([\s\S]*?)<\/a>/gi;
+  let match;
+  while ((match = anchorPattern.exec(source)) !== null) {
+    const url = canonicalizeUrl(_decodeHtmlEntities(match[1] || match[2] || match[3] || ""));
+    if (!/^https?:\/\//i.test(url) || seen.has(url)) continue;
+    seen.add(url);
+    const text = htmlToPlainText(match[4]).replace(/\s+/g, " ").trim();
+    links.push({ url: url, text: text, kind: _classifyEmailLink(url, text) });
+  }
+  return { links: links, jobPostings: _extractJobPostings(source), text: htmlToPlainText(source) };
+}
+
+/**
+ * Converts HTML to plain text: scripts, styles and comments are dropped, block elements become
+ * line breaks, tags are removed and entities decoded.
+ * @param {string} html The HTML (plain text passes through unchanged apart from entities).
+ * @returns {string} The text.
+ */
+function htmlToPlainText(html) {
+  const text = String(html || "")
+    .replace(/<(script|style|head|title)\b[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/?(?:p|div|li|tr|h[1-6]|table|ul|ol|section|article|header|footer)\b[^>]*>/gi, "\n")
+    .replace(/<[^>]+>/g, " ");
+  return _decodeHtmlEntities(text)
+    .replace(/[ \t\u00a0]+/g, " ")
+    .replace(/ *\n[ \n]*/g, "\n")
+    .trim();
+}
+
+/**
+ * Canonicalizes a link: redirect wrappers (Google, Outlook Safe Links, Proofpoint, mailer
+ * `?url=` links) are unwrapped, tracking parameters (TRACKING_URL_PARAMS) and fragments dropped.
+ * @param {string} url The URL.
+ * @returns {string} The canonical URL, or the input if it is not an http(s) URL.
+ */
+function canonicalizeUrl(url) {
+  let current = String(url || "").trim();
+  for (let hop = 0; hop < 3; hop++) {
+    const unwrapped = _unwrapRedirect(current);
+    if (!unwrapped || unwrapped === current) break;
+    current = unwrapped;
+  }
+  const parts = current.match(/^(https?:\/\/[^?#]+)(?:\?([^#]*))?/i);
+  if (!parts) return current;
+  const params = (parts[2] || "").split("&").filter(param => {
+    const name = _decodeUriComponentSafe(param.split("=")[0]).toLowerCase();
+    return name && !TRACKING_URL_PARAMS.includes(name) && !TRACKING_URL_PARAM_PREFIXES.some(prefix => name.startsWith(prefix));
+  });
+  return params.length > 0 ? `${parts[1]}?${params.join("&")}` : parts[1];
+}
+
+/**
+ * Builds the body text handed to the parsers and Gemini: the plain-text body with its links
+ * canonicalized, followed by the job and application links of the HTML body (with their link
+ * text) and any JobPosting data, which plain-text bodies often lack.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message The message.
+ * @param {string} plainBody The plain-text body.
+ * @returns {string} The text.
+ */
+function buildParserEmailText(message, plainBody) {
+  const info = getEmailHtmlInfo(message);
+  let text = String(plainBody || "").trim() || info.text;
+  text = text.replace(/https?:\/\/[^\s<>"')\]]+/g, url => canonicalizeUrl(url));
+
+  const jobLinks = info.links
+    .filter(link => link.kind !== "other" && !text.includes(link.url))
+    .slice(0, EMAIL_HTML_LINKS_FOR_PARSER);
+  if (jobLinks.length > 0) {
+    text += `\n\nLinks in this email:\n${jobLinks.map(link => `- ${link.text || link.kind}: ${link.url}`).join("\n")}`;
+  }
+  if (info.jobPostings.length > 0) {
+    const postings = info.jobPostings.map(posting =>
+      `- ${[posting.title, posting.company && `at ${posting.company}`, posting.location && `(${posting.location})`, posting.identifier && `ID ${posting.identifier}`, posting.url].filter(Boolean).join(" ")}`);
+    text += `\n\nJob postings in this email:\n${postings.join("\n")}`;
+  }
+  return text;
+}
+
+/**
+ * Picks the link that best identifies the job of an email: a JobPosting URL, else the first job or
+ * apply link, else the application portal link.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message The message.
+ * @returns {string} The URL, or "" if the email has none.
+ */
+function getPrimaryJobLink(message) {
+  const info = getEmailHtmlInfo(message);
+  const posting = info.jobPostings.find(p => p.url);
+  if (posting) return posting.url;
+  const link = info.links.find(l => l.kind === "job" || l.kind === "apply") || info.links.find(l => l.kind === "application");
+  return link ? link.url : "";
+}
+
+/** @private */
+function _classifyEmailLink(url, text) {
+  if (/unsubscribe|opt-?out|preferences|privacy|terms|help center/i.test(`${text} ${url}`)) return "other";
+  if (/view (?:your |my )?application|application status|check (?:your )?status|track (?:your )?application|candidate (?:portal|home|profile)|log ?in to/i.test(text)) return "application";
+  if (/^(?:easy )?apply\b|apply now|submit (?:your )?application/i.test(text)) return "apply";
+  if (/view (?:the )?job|see (?:the )?job|job details|view posting|job description/i.test(text)) return "job";
+  if (/\/jobs?\/|\/careers?\/|[?&](?:jk|gh_jid|jobid|job_id)=|\/view\/\d+|\/postings?\//i.test(url)) return "job";
+  return "other";
+}
+
+/**
+ * Reads schema.org JobPosting objects from the JSON-LD blocks of an HTML body.
+ * @private
+ */
+function _extractJobPostings(html) {
+  const postings = [];
+  const scriptPattern = /<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+  while ((match = scriptPattern.exec(html)) !== null) {
+    let data;
+    try {
+      data = JSON.parse(_decodeHtmlEntities(match[1]).trim());
+    } catch (e) {
+      Logger.log(`[parseEmailHtml WARN] Skipped a JSON-LD block that is not valid JSON: ${e.message}`);
+      continue;
+    }
+    const queue = Array.isArray(data) ? [...data] : [data];
+    while (queue.length > 0) {
+      const item = queue.shift();
+      if (!item || typeof item !== 'object') continue;
+      if (Array.isArray(item["@graph"])) queue.push(...item["@graph"]);
+      const types = [].concat(item["@type"] || []);
+      if (!types.includes("JobPosting")) continue;
+      const organization = item.hiringOrganization;
+      const address = [].concat(item.jobLocation || [])[0];
+      const place = address && (address.address || address);
+      postings.push({
+        title: String(item.title || "").trim(),
+        company: String((organization && (organization.name || organization)) || "").trim(),
+        location: place && typeof place === 'object'
+          ? [place.addressLocality, place.addressRegion, place.addressCountry && (place.addressCountry.name || place.addressCountry)].filter(Boolean).join(", ")
+          : String(place || ""),
+        url: item.url ? canonicalizeUrl(String(item.url)) : "",
+        identifier: String((item.identifier && (item.identifier.value || item.identifier)) || "").trim(),
+        datePosted: String(item.datePosted || "")
+      });
+    }
+  }
+  return postings;
+}
+
+/**
+ * Returns the destination of a redirect link, or null if the URL is not one.
+ * @private
+ */
+function _unwrapRedirect(url) {
+  // Proofpoint: https://urldefense.com/v3/__https://example.com/job__;!!token$
+  const proofpoint = url.match(/^https?:\/\/urldefense\.(?:com|proofpoint\.com)\/v3\/__(.+?)__;/i);
+  if (proofpoint) return proofpoint[1];
+  const query = url.split("#")[0].split("?")[1];
+  if (!query) return null;
+  for (const param of query.split("&")) {
+    const [name, value] = param.split("=");
+    if (!value || !REDIRECT_URL_PARAMS.includes(_decodeUriComponentSafe(name).toLowerCase())) continue;
+    const target = _decodeUriComponentSafe(value);
+    if (/^https?:\/\//i.test(target)) return target;
+  }
+  return null;
+}
+
+/** @private */
+function _decodeUriComponentSafe(value) {
+  try {
+    return decodeURIComponent(String(value || "").replace(/\+/g, " "));
+  } catch (e) {
+    return String(value || "");
+  }
+}
+
+/** @private */
+function _decodeHtmlEntities(text) {
+  const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", ndash: "–", mdash: "—", rsquo: "’", lsquo: "‘", hellip: "…" };
+  return String(text || "")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&([a-z]+);/gi, (entity, name) => named[name.toLowerCase()] ?? entity);
+}
@@ -0,0 +1,135 @@
+/**
+ * @file The keyword-rule engine behind `parseBodyForStatus`. Each status's rule combines the
+ * "Settings" sheet's keywords with the phrases of STATUS_KEYWORD_LANGUAGE_PACKS (Spanish, French,
+ * German, Portuguese). Phrases match whole words, ignoring case and accents, and are skipped right
+ * after a negation in the same sentence ("not an offer"). Phrases of three or more words also match
+ * with up to KEYWORD_PHRASE_MAX_GAP other words between theirs ("not *be* moving forward"). A status scores the weights of its matched phrases; of the
+ * statuses reaching KEYWORD_RULE_MIN_SCORE, the one with the highest keyword priority wins, and the
+ * result lists the phrases that decided it.
+ */
+
+/** @private Rules built from the pipeline they were built for (see `getKeywordRules`). */
+let _keywordRulesCache = null;
+
+/**
+ * Builds the keyword rules from the status pipeline and the language packs.
+ * @returns {{status: string, priority: number, phrases: {phrase: string, tokens: string[], weight: number, language: string}[]}[]}
+ *     One rule per status with phrases, highest priority first. `language` is "settings" for the sheet's keywords.
+ */
+function getKeywordRules() {
+  const pipeline = getStatusPipeline();
+  if (_keywordRulesCache && _keywordRulesCache.pipeline === pipeline) return _keywordRulesCache.rules;
+
+  const rulesByStatus = new Map();
+  const addPhrases = (status, priority, keywords, language) => {
+    if (!rulesByStatus.has(status)) rulesByStatus.set(status, { status: status, priority: priority, phrases: [] });
+    keywords.forEach(keyword => {
+      const phrase = _parseKeywordPhrase(keyword, language);
+      if (phrase) rulesByStatus.get(status).phrases.push(phrase);
+    });
+  };
+  getStatusKeywordRules().forEach(rule => addPhrases(rule.status, rule.priority, rule.keywords, "settings"));
+  Object.entries(STATUS_KEYWORD_LANGUAGE_PACKS).forEach(([language, pack]) => {
+    Object.entries(pack).forEach(([status, keywords]) => {
+      const entry = _findPipelineStatus(status);
+      if (entry) addPhrases(entry.name, entry.keywordPriority, keywords, language);
+    });
+  });
+
+  const rules = [...rulesByStatus.values()].filter(rule => rule.phrases.length > 0).sort((a, b) => b.priority - a.priority);
+  _keywordRulesCache = { pipeline: pipeline, rules: rules };
+  return rules;
+}
+
+/**
+ * Runs the keyword rules over a text.
+ * @param {string} text The text, usually an email body.
+ * @returns {{status: string, score: number, priority: number, matches: {phrase: string, weight: number, language: string}[]}|null}
+ *     The winning status with the phrases that matched, or null if no status reached KEYWORD_RULE_MIN_SCORE.
+ */
+function matchKeywordRules(text) {
+  // A negation only reaches as far as the end of its sentence.
+  const sentences = String(text || "").substring(0, 20000).split(/[.!?;\n]+/).map(sentence => normalizeKeywordText(sentence).split(" "));
+  const negationCues = new Set(KEYWORD_NEGATION_CUES);
+  let best = null;
+  getKeywordRules().forEach(rule => {
+    const matches = rule.phrases.filter(phrase => sentences.some(tokens => _hasUnnegatedOccurrence(tokens, phrase.tokens, negationCues)));
+    const score = matches.reduce((sum, phrase) => sum + phrase.weight, 0);
+    if (score < KEYWORD_RULE_MIN_SCORE) return;
+    if (best && (best.priority > rule.priority || (best.priority === rule.priority && best.score >= score))) return;
+    best = {
+      status: rule.status,
+      score: Math.round(score * 100) / 100,
+      priority: rule.priority,
+      matches: matches.map(phrase => ({ phrase: phrase.phrase, weight: phrase.weight, language: phrase.language }))
+    };
+  });
+  return best;
+}
+
+/**
+ * Describes a keyword match for logs, e.g. `Rejected (score 1.5: "unfortunately" [settings] 0.5, "otros candidatos" [es] 1)`.
+ * @param {object} match A result of `matchKeywordRules`.
+ * @returns {string} The description.
+ */
+function describeKeywordMatch(match) {
+  if (!match) return "no keyword rule matched";
+  const phrases = match.matches.map(m => `"${m.phrase}" [${m.language}] ${m.weight}`).join(", ");
+  return `${match.status} (score ${match.score}: ${phrases})`;
+}
+
+/**
+ * Normalizes text for keyword matching: lowercase, accents and apostrophes removed, and anything
+ * other than letters and digits turned into single spaces.
+ * @param {string} text The text.
+ * @returns {string} The normalized text.
+ */
+function normalizeKeywordText(text) {
+  return String(text || "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/ß/g, "ss")
+    .replace(/['‘’]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Parses a keyword such as "unfortunately" or "unfortunately:0.5" (weight 0.5).
+ * @returns {{phrase: string, tokens: string[], weight: number, language: string}|null}
+ * @private
+ */
+function _parseKeywordPhrase(keyword, language) {
+  const match = String(keyword || "").trim().match(/^(.*?)(?:\s*:\s*(\d+(?:\.\d+)?))?$/);
+  const phrase = match ? match[1].trim() : "";
+  const normalized = normalizeKeywordText(phrase);
+  if (!normalized) return null;
+  return { phrase: phrase, tokens: normalized.split(" "), weight: match[2] !== undefined ? Number(match[2]) : 1, language: language };
+}
+
+/**
+ * Checks whether a phrase occurs in a sentence's tokens without a negation cue in the KEYWORD_NEGATION_WINDOW words before it.
+ * @private
+ */
+function _hasUnnegatedOccurrence(tokens, phraseTokens, negationCues) {
+  const maxGap = phraseTokens.length >= 3 ? KEYWORD_PHRASE_MAX_GAP : 0;
+  for (let i = 0; i + phraseTokens.length <= tokens.length; i++) {
+    if (!_phraseMatchesAt(tokens, phraseTokens, i, maxGap)) continue;
+    const before = tokens.slice(Math.max(0, i - KEYWORD_NEGATION_WINDOW), i);
+    if (!before.some(token => negationCues.has(token))) return true;
+  }
+  return false;
+}
+
+/**
+ * Checks whether a phrase's words from `j` on start at token `pos`, with at most `maxGap` other words between each two of them.
+ * @private
+ */
+function _phraseMatchesAt(tokens, phraseTokens, pos, maxGap, j = 0) {
+  if (tokens[pos] !== phraseTokens[j]) return false;
+  if (j === phraseTokens.length - 1) return true;
+  for (let next = pos + 1; next <= pos + 1 + maxGap && next < tokens.length; next++) {
+    if (_phraseMatchesAt(tokens, phraseTokens, next, maxGap, j + 1)) return true;
+  }
+  return false;
+}
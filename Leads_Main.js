@@ -13,9 +13,18 @@
  * @returns {{success: boolean, messages: string[]}} An object containing the setup result and messages.
  */
 function runInitialSetup_JobLeadsModule(passedSpreadsheet) {
-    const leadsConfig = {
-        activeSS: passedSpreadsheet,
+    return setupRegisteredModule(getRegisteredModule("jobLeads"), passedSpreadsheet);
+}
+
+/**
+ * Registry definition of the Job Leads Tracker module (see ModuleRegistry.js).
+ * @returns {object} The module definition.
+ */
+function moduleDefinition_jobLeads() {
+    return {
+        id: "jobLeads",
         moduleName: "Job Leads Tracker",
+        order: 20,
         sheetTabName: LEADS_SHEET_TAB_NAME,
         sheetHeaders: LEADS_SHEET_HEADERS,
         columnWidths: LEADS_SHEET_COLUMN_WIDTHS,
@@ -24,11 +33,19 @@ function runInitialSetup_JobLeadsModule(passedSpreadsheet) {
         gmailLabelParent: LEADS_GMAIL_LABEL_PARENT,
         gmailLabelToProcess: LEADS_GMAIL_LABEL_TO_PROCESS,
         gmailLabelProcessed: LEADS_GMAIL_LABEL_PROCESSED,
+        gmailLabelManualReview: null,
         gmailFilterQuery: LEADS_GMAIL_FILTER_QUERY,
+        parserFunction: _leadsParser,
+        rulesParserFunction: _leadsRulesParser,
+        dataHandler: _leadsDataHandler,
+        sheetEmailIdsFunction: _leadsSheetEmailIds,
         triggerFunctionName: 'processJobLeads',
-        triggerIntervalHours: 3
+        triggerIntervalHours: 3,
+        menuItems: [
+            { caption: '📬 Process Job Leads', functionName: 'processJobLeads' },
+            { caption: '🔎 Preview Job Leads (Dry Run)', functionName: 'previewJobLeads' }
+        ]
     };
-    return _setupModule(leadsConfig);
 }
 
 /**
@@ -40,6 +57,30 @@ function _leadsParser(subject, body, key) {
     return callGemini_forJobLeads(body, key);
 }
 
+/**
+ * Rules-only parser for the Job Leads Tracker: job postings embedded in the HTML body, then the
+ * listings of the job-alert digest (see `extractJobLeadsFromDigest`).
+ * @param {string} subject
+ * @param {string} body
+ * @param {string|null} key Unused.
+ * @param {object|null} threadContext Unused.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} [message] The message being parsed.
+ * @returns {{success: boolean, data: object[]}} A result shaped like `callGemini_forJobLeads`'s.
+ */
+function _leadsRulesParser(subject, body, key, threadContext, message) {
+    const postings = message ? getEmailHtmlInfo(message).jobPostings.filter(posting => posting.title) : [];
+    const leads = postings.map(posting => ({
+        jobTitle: posting.title,
+        company: posting.company,
+        location: posting.location,
+        jobUrl: posting.url,
+        notes: "Extracted from the email's job posting data (no AI)."
+    }));
+    const postingUrls = new Set(leads.map(lead => lead.jobUrl).filter(Boolean));
+    extractJobLeadsFromDigest(body).forEach(lead => { if (!postingUrls.has(lead.jobUrl)) leads.push(lead); });
+    return { success: true, data: leads };
+}
+
 // In Leads_Main.js
 
 function _leadsDataHandler(geminiResult, message, companyIndex, dataSheet) {
@@ -51,7 +92,7 @@ function _leadsDataHandler(geminiResult, message, companyIndex, dataSheet) {
         const extractedJobsArray = geminiResult.data;
 
         if (extractedJobsArray.length > 0) {
-            Logger.log(`[_leadsDataHandler INFO] Gemini successfully extracted ${extractedJobsArray.length} job(s) from msg ${message.getId()}.`);
+            Logger.log(`[_leadsDataHandler INFO] Extracted ${extractedJobsArray.length} job(s) from msg ${message.getId()}.`);
 
             for (const jobData of extractedJobsArray) {
                 if (jobData && jobData.jobTitle && String(jobData.jobTitle).toLowerCase() !== 'n/a') {
@@ -59,10 +100,10 @@ function _leadsDataHandler(geminiResult, message, companyIndex, dataSheet) {
 
                     // Map the extracted data to the correct sheet columns
                     newRowData[LEADS_DATE_ADDED_COL - 1] = message.getDate();
-                    newRowData[LEADS_COMPANY_COL - 1] = jobData.company || "N/A";
+                    newRowData[LEADS_COMPANY_COL - 1] = resolveCompanyAlias(jobData.company || "N/A");
                     newRowData[LEADS_JOB_TITLE_COL - 1] = jobData.jobTitle || "N/A";
                     newRowData[LEADS_LOCATION_COL - 1] = jobData.location || "N/A";
-                    newRowData[LEADS_SOURCE_LINK_COL - 1] = jobData.jobUrl || "N/A";
+                    newRowData[LEADS_SOURCE_LINK_COL - 1] = /^https?:\/\//i.test(jobData.jobUrl || "") ? canonicalizeUrl(jobData.jobUrl) : (jobData.jobUrl || "N/A");
                     newRowData[LEADS_NOTES_COL - 1] = jobData.notes || "";
                     newRowData[LEADS_STATUS_COL - 1] = DEFAULT_LEAD_STATUS;
                     newRowData[LEADS_EMAIL_SUBJECT_COL - 1] = message.getSubject().substring(0, 500);
@@ -73,7 +114,7 @@ function _leadsDataHandler(geminiResult, message, companyIndex, dataSheet) {
                 }
             }
         } else {
-            Logger.log(`[_leadsDataHandler INFO] Msg ${message.getId()}: Gemini call was successful but no job listings were found in the email (returned empty array).`);
+            Logger.log(`[_leadsDataHandler INFO] Msg ${message.getId()}: Parsing was successful but no job listings were found in the email (returned empty array).`);
         }
     } else {
         // Handle cases where the API call itself failed
@@ -91,17 +132,38 @@ function _leadsDataHandler(geminiResult, message, companyIndex, dataSheet) {
     return { newRowData: newRows, requiresManualReview: requiresManualReview };
 }
 
-function processJobLeads() {
+/**
+ * Collects the message IDs already recorded in the leads sheet's "Source Email ID" column.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} dataSheet The "Potential Job Leads" sheet.
+ * @returns {Set<string>} The message IDs found in the sheet.
+ */
+function _leadsSheetEmailIds(dataSheet) {
+    const { sheet, headerMap } = getSheetAndHeaderMapping_forLeads(dataSheet.getParent().getId(), dataSheet.getName());
+    return getProcessedEmailIdsFromSheet_forLeads(sheet, headerMap);
+}
+
+/**
+ * Processes job lead emails. Also used directly as the time-driven trigger handler and menu item,
+ * in which case `options` is the trigger event (or absent).
+ * @param {{dryRun?: boolean, source?: string}|GoogleAppsScript.Events.TimeDriven} [options] See `runModuleProcessing`.
+ * @returns {{ran: boolean, holder: object|null}} `ran` is false if the leads module was already running.
+ */
+function processJobLeads(options) {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const scriptProperties = PropertiesService.getScriptProperties();
-    const leadsProcessingConfig = {
-        moduleName: "Job Leads Tracker",
-        sheetTabName: LEADS_SHEET_TAB_NAME,
-        gmailLabelToProcess: LEADS_GMAIL_LABEL_TO_PROCESS,
-        gmailLabelProcessed: LEADS_GMAIL_LABEL_PROCESSED,
-        gmailLabelManualReview: null,
-        parserFunction: _leadsParser,
-        dataHandler: _leadsDataHandler,
+    const runOptions = {
+        dryRun: !!(options && options.dryRun === true),
+        source: (options && options.source) || _resolveRunSource(options)
     };
-    _processingEngine(leadsProcessingConfig, ss, scriptProperties);
+    return runModuleProcessing(getRegisteredModule("jobLeads"), ss, scriptProperties, runOptions);
 }
+
+/**
+ * Menu handler: previews job lead processing without changing anything.
+ * Proposed changes are staged in the "Pending Changes" sheet.
+ */
+function previewJobLeads() {
+    const result = processJobLeads({ dryRun: true, source: 'menu' });
+    if (result.ran) _showPreviewFinished(SpreadsheetApp.getActiveSpreadsheet());
+}
+
@@ -83,28 +83,28 @@ function runFullProjectInitialSetup(passedSpreadsheet) {
         return { success: false, message: errorMsg, detailedMessages: setupMessages, sheetId: activeSS.getId(), sheetUrl: activeSS.getUrl()};
     }
 
-    const modules = [
-        { name: "Application Tracker", setupFunc: initialSetup_LabelsAndSheet },
-        { name: "Job Leads Tracker", setupFunc: runInitialSetup_JobLeadsModule }
-    ];
+    if (getOrCreateSettingsSheet(activeSS)) {
+        setupMessages.push(`Settings: "${SETTINGS_SHEET_NAME}" sheet verified.`);
+    }
+    loadStatusPipeline(activeSS);
+
+    const modules = getRegisteredModules();
 
     for (const module of modules) {
-        if (typeof module.setupFunc === "function") {
-            Logger.log(`\n[${FUNC_NAME} INFO] --- Starting ${module.name} Setup ---`);
-            try {
-                const result = module.setupFunc(activeSS);
-                if (result.messages) setupMessages.push(...result.messages.map(m => `${module.name}: ${m}`));
-                if (!result.success) {
-                    overallSuccess = false;
-                    Logger.log(`[${FUNC_NAME} ERROR] ${module.name} FAILED.`);
-                } else {
-                    Logger.log(`[${FUNC_NAME} INFO] ${module.name} Success.`);
-                }
-            } catch (e) {
-                Logger.log(`[${FUNC_NAME} CRITICAL ERROR] ${module.name} Exception: ${e.toString()}\n${e.stack}`);
-                setupMessages.push(`${module.name}: CRITICAL EXCEPTION - ${e.message}`);
+        Logger.log(`\n[${FUNC_NAME} INFO] --- Starting ${module.moduleName} Setup ---`);
+        try {
+            const result = setupRegisteredModule(module, activeSS);
+            if (result.messages) setupMessages.push(...result.messages.map(m => `${module.moduleName}: ${m}`));
+            if (!result.success) {
                 overallSuccess = false;
+                Logger.log(`[${FUNC_NAME} ERROR] ${module.moduleName} FAILED.`);
+            } else {
+                Logger.log(`[${FUNC_NAME} INFO] ${module.moduleName} Success.`);
             }
+        } catch (e) {
+            Logger.log(`[${FUNC_NAME} CRITICAL ERROR] ${module.moduleName} Exception: ${e.toString()}\n${e.stack}`);
+            setupMessages.push(`${module.moduleName}: CRITICAL EXCEPTION - ${e.message}`);
+            overallSuccess = false;
         }
     }
 
@@ -133,8 +133,19 @@ function runFullProjectInitialSetup(passedSpreadsheet) {
                 appSheet.getRange(2, 1, appSheet.getLastRow() - 1, appSheet.getLastColumn()).clearContent();
                 Logger.log(`[${FUNC_NAME} INFO] Cleared dummy data from Applications sheet.`);
             }
+            applyStatusPipelineFormatting(appSheet);
+            applyConfidenceFormatting(appSheet);
 
-            const tabOrder = [DASHBOARD_TAB_NAME, APP_TRACKER_SHEET_TAB_NAME, LEADS_SHEET_TAB_NAME, HELPER_SHEET_NAME];
+            if (getOrCreateCompanyAliasesSheet(activeSS)) {
+                setupMessages.push(`Company Aliases: "${COMPANY_ALIASES_SHEET_NAME}" sheet verified.`);
+            }
+            if (getOrCreateStatusHistorySheet(activeSS)) {
+                setupMessages.push(`Status History: "${STATUS_HISTORY_SHEET_NAME}" sheet verified.`);
+            }
+            if (getOrCreateApplicationDetailsSheet(activeSS)) {
+                setupMessages.push(`Application Details: "${APPLICATION_DETAILS_SHEET_NAME}" sheet verified.`);
+            }
+            const tabOrder = [DASHBOARD_TAB_NAME, ...modules.map(m => m.sheetTabName), APPLICATION_DETAILS_SHEET_NAME, COMPANY_ALIASES_SHEET_NAME, SETTINGS_SHEET_NAME, STATUS_HISTORY_SHEET_NAME, HELPER_SHEET_NAME];
             tabOrder.forEach((sheetName, index) => {
                 const sheetToMove = activeSS.getSheetByName(sheetName);
                 if (sheetToMove) {
@@ -146,6 +157,12 @@ function runFullProjectInitialSetup(passedSpreadsheet) {
             if (helperSheet && !helperSheet.isSheetHidden()) {
                 helperSheet.hideSheet();
             }
+            if (getOrCreateProcessedLedgerSheet(activeSS)) {
+                setupMessages.push(`Ledger: "${PROCESSED_LEDGER_SHEET_NAME}" sheet verified.`);
+            }
+            if (getOrCreateRunLogSheet(activeSS)) {
+                setupMessages.push(`Run Log: "${RUN_LOG_SHEET_NAME}" sheet verified.`);
+            }
             setupMessages.push("Branding: Tab order & helper data visibility verified.");
         } catch (e) {
             Logger.log(`[${FUNC_NAME} WARN] Error during final cleanup/ordering: ${e.message}`);
@@ -175,9 +192,18 @@ function runFullProjectInitialSetup(passedSpreadsheet) {
  * @returns {{success: boolean, messages: string[]}}
  */
 function initialSetup_LabelsAndSheet(activeSS) {
-    const trackerConfig = {
-        activeSS: activeSS,
+    return setupRegisteredModule(getRegisteredModule("applicationTracker"), activeSS);
+}
+
+/**
+ * Registry definition of the Application Tracker module (see ModuleRegistry.js).
+ * @returns {object} The module definition.
+ */
+function moduleDefinition_applicationTracker() {
+    return {
+        id: "applicationTracker",
         moduleName: "Application Tracker",
+        order: 10,
         sheetTabName: APP_TRACKER_SHEET_TAB_NAME,
         sheetHeaders: APP_TRACKER_SHEET_HEADERS,
         columnWidths: APP_SHEET_COLUMN_WIDTHS,
@@ -188,35 +214,94 @@ function initialSetup_LabelsAndSheet(activeSS) {
         gmailLabelProcessed: TRACKER_GMAIL_LABEL_PROCESSED,
         gmailLabelManualReview: TRACKER_GMAIL_LABEL_MANUAL_REVIEW,
         gmailFilterQuery: TRACKER_GMAIL_FILTER_QUERY_APP_UPDATES,
+        parserFunction: _trackerParser,
+        rulesParserFunction: _trackerRulesParser,
+        dataHandler: _trackerDataHandler,
+        classifierFunction: classifyApplicationEmail,
+        messageRoutes: {
+            [MESSAGE_ROUTES.JOB_LEAD]: { moduleId: "jobLeads" },
+            [MESSAGE_ROUTES.RECRUITER_OUTREACH]: { label: RECRUITER_OUTREACH_GMAIL_LABEL },
+            [MESSAGE_ROUTES.IRRELEVANT]: { label: NOT_JOB_RELATED_GMAIL_LABEL }
+        },
+        sheetEmailIdsFunction: _trackerSheetEmailIds,
         triggerFunctionName: 'processEmails_triggerHandler',
         triggerIntervalHours: 1,
-        staleRejectFunctionName: 'markStale_triggerHandler'
+        staleRejectFunctionName: 'markStale_triggerHandler',
+        useThreadContext: true,
+        seedDummyRows: true,
+        menuItems: [
+            { caption: '📧 Process Application Emails', functionName: 'processEmails_triggerHandler' },
+            { caption: '🗑️ Mark Stale Applications', functionName: 'markStale_triggerHandler' },
+            { caption: '🔎 Preview Application Emails (Dry Run)', functionName: 'previewJobApplicationEmails' }
+        ]
     };
-    return _setupModule(trackerConfig);
 }
 
 /**
  * Generic processing engine for all modules.
+ * If the time budget runs out (or a full batch suggests a backlog), progress is saved to a
+ * per-module checkpoint and a one-off continuation trigger is scheduled (see ProcessingCheckpoint.js).
+ * With `config.dryRun`, nothing is written, labeled, or checkpointed: the proposed changes are
+ * staged in the "Pending Changes" sheet instead (see PendingChanges.js).
+ * Every execution is recorded in the "Run Log" sheet (see RunLog.js).
  * @param {object} config The configuration for the module.
  * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
  * @param {GoogleAppsScript.Properties.Properties} scriptProperties The script's properties.
  */
 function _processingEngine(config, ss, scriptProperties) {
+    const runStats = createRunStats(config);
+    resetGeminiUsageStats();
+    try {
+        _runProcessingEngine(config, ss, scriptProperties, runStats);
+    } catch (e) {
+        runStats.outcome = 'Error';
+        runStats.notes = e.message;
+        throw e;
+    } finally {
+        const geminiUsage = getGeminiUsageStats();
+        runStats.geminiCalls = geminiUsage.calls;
+        runStats.geminiFailures = geminiUsage.failures;
+        runStats.finishedAt = new Date();
+        appendRunLogEntry(ss, runStats);
+    }
+}
+
+/**
+ * Body of `_processingEngine`; fills in `runStats` as it goes.
+ * @param {object} config The configuration for the module.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @param {GoogleAppsScript.Properties.Properties} scriptProperties The script's properties.
+ * @param {object} runStats The run metrics from `createRunStats`.
+ * @private
+ */
+function _runProcessingEngine(config, ss, scriptProperties, runStats) {
     const FUNC_NAME = "_processingEngine";
     const SCRIPT_START_TIME = new Date();
-    Logger.log(`\n==== ${FUNC_NAME}: STARTING (${SCRIPT_START_TIME.toLocaleString()}) - ${config.moduleName} ====`);
+    const dryRun = config.dryRun === true;
+    Logger.log(`\n==== ${FUNC_NAME}: STARTING (${SCRIPT_START_TIME.toLocaleString()}) - ${config.moduleName}${dryRun ? ' (PREVIEW)' : ''} ====`);
 
-    const geminiApiKey = scriptProperties.getProperty(GEMINI_API_KEY_PROPERTY);
-    if (!geminiApiKey || !geminiApiKey.startsWith("AIza") || geminiApiKey.length < 30) {
-        Logger.log(`[${FUNC_NAME} HALTING] Gemini API Key is not configured or invalid for ${config.moduleName}. Please set it via the menu.`);
+    // Rules-only modules parse locally and never read the key (see getModuleProcessingMode).
+    const processingMode = getModuleProcessingMode(scriptProperties, config);
+    const rulesOnly = processingMode === PROCESSING_MODES.RULES;
+    const parserFunction = rulesOnly ? config.rulesParserFunction : config.parserFunction;
+    Logger.log(`[ENGINE] Processing mode: ${rulesOnly ? 'rules only (no Gemini)' : 'AI'}.`);
+    const geminiApiKey = rulesOnly ? null : scriptProperties.getProperty(GEMINI_API_KEY_PROPERTY);
+    if (!rulesOnly && (!geminiApiKey || !geminiApiKey.startsWith("AIza") || geminiApiKey.length < 30)) {
+        Logger.log(`[${FUNC_NAME} HALTING] Gemini API Key is not configured or invalid for ${config.moduleName}. Please set it via the menu${config.rulesParserFunction ? ', or switch the module to rules-only processing' : ''}.`);
+        runStats.outcome = 'Aborted';
+        runStats.notes = 'Gemini API key is not configured or invalid.';
         return;
     }
     
     const dataSheet = ss.getSheetByName(config.sheetTabName);
     if (!dataSheet) {
         Logger.log(`[${FUNC_NAME} FATAL ERROR] Sheet "${config.sheetTabName}" not found. Aborting.`);
+        runStats.outcome = 'Aborted';
+        runStats.notes = `Sheet "${config.sheetTabName}" not found.`;
         return;
     }
+    // Sheets created before the newest columns existed get their headers before anything is written.
+    if (!config.dryRun) upgradeSheetHeaders(dataSheet, config.sheetHeaders, config.columnWidths);
 
     Logger.log(`[ENGINE] Fetching Gmail label: ${config.gmailLabelToProcess}`);
     const procLbl = GmailApp.getUserLabelByName(config.gmailLabelToProcess);
@@ -225,44 +310,118 @@ function _processingEngine(config, ss, scriptProperties) {
 
     if (!procLbl || !processedLblObj || !manualLblObj) {
         Logger.log(`[${FUNC_NAME} FATAL ERROR] Core Gmail labels for ${config.moduleName} not found. Aborting.`);
+        runStats.outcome = 'Aborted';
+        runStats.notes = 'Core Gmail labels not found.';
         return;
     }
     
+    // --- Resume from a checkpoint left by a run that stopped early ---
+    const checkpoint = loadProcessingCheckpoint(scriptProperties, config.moduleName);
+    const processedMessageIds = new Set(checkpoint ? checkpoint.processedMessageIds : []);
+    const threadProcessingOutcomes = checkpoint ? Object.assign({}, checkpoint.threadOutcomes) : {};
+    if (checkpoint) {
+        Logger.log(`[ENGINE] Resuming from checkpoint saved ${checkpoint.savedAt}. Last msg: ${checkpoint.lastMessageId || 'N/A'} (${checkpoint.lastMessageDate || 'N/A'}). ${processedMessageIds.size} msg(s) already handled.`);
+        const pendingWrites = checkpoint.pendingWrites;
+        const hasSheetWrites = pendingWrites.updates.length > 0 || pendingWrites.newRows.length > 0;
+        // Saved after each step, so a failure or a killed execution never repeats a step that succeeded.
+        const saveRemainingWrites = remaining => {
+            checkpoint.pendingWrites = remaining;
+            saveProcessingCheckpoint(scriptProperties, config.moduleName, Object.assign({}, checkpoint, { savedAt: new Date() }));
+        };
+        if (dryRun && hasSheetWrites) {
+            Logger.log(`[${FUNC_NAME} WARN] Preview does not include ${pendingWrites.updates.length + pendingWrites.newRows.length} pending write(s) from the checkpoint; the next regular run will flush them.`);
+        } else if (hasSheetWrites || pendingWrites.ledgerEntries.length > 0 || pendingWrites.statusHistoryEntries.length > 0 || pendingWrites.applicationDetailEntries.length > 0) {
+            try {
+                let remaining = pendingWrites;
+                if (hasSheetWrites) {
+                    _writeEngineResults(dataSheet, pendingWrites.updates, pendingWrites.newRows);
+                    remaining = {
+                        updates: [], newRows: [], ledgerEntries: pendingWrites.ledgerEntries,
+                        statusHistoryEntries: _historyForWrittenUpdates(pendingWrites.updates, pendingWrites.statusHistoryEntries),
+                        applicationDetailEntries: pendingWrites.applicationDetailEntries
+                    };
+                    saveRemainingWrites(remaining);
+                }
+                appendToProcessedLedger(ss, remaining.ledgerEntries);
+                _appendEngineRecords(ss, remaining.statusHistoryEntries, remaining.applicationDetailEntries);
+                saveRemainingWrites(emptyPendingWrites());
+                Logger.log(`[ENGINE] Flushed pending writes from checkpoint: ${pendingWrites.updates.length} update(s), ${pendingWrites.newRows.length} new row(s), ${pendingWrites.ledgerEntries.length} ledger entr(ies).`);
+            } catch (e) {
+                Logger.log(`[${FUNC_NAME} FATAL ERROR] Could not flush pending writes from checkpoint: ${e.message}. Will retry next run.`);
+                runStats.outcome = 'Write Failed';
+                runStats.notes = `Flushing checkpoint writes failed: ${e.message}`;
+                return;
+            }
+        }
+    }
+
+    loadCompanyAliases(ss);
+    loadStatusPipeline(ss);
     const allSheetData = dataSheet.getDataRange().getValues();
     const companyIndex = new Map();
     for (let i = 1; i < allSheetData.length; i++) {
         const rowData = allSheetData[i];
         const companyName = rowData[COMPANY_COL - 1];
         if (companyName && typeof companyName === 'string' && companyName.trim() !== "") {
-            const companyKey = companyName.toLowerCase();
+            const companyKey = companyMatchKey(companyName);
             if (!companyIndex.has(companyKey)) {
                 companyIndex.set(companyKey, []);
             }
             const cacheEntry = {
                 row: i + 1,
                 rowData: rowData,
+                readValues: rowData,
                 emailId: rowData[EMAIL_ID_COL - 1],
                 company: companyName,
                 title: rowData[JOB_TITLE_COL - 1],
                 status: rowData[STATUS_COL - 1],
-                peakStatus: rowData[PEAK_STATUS_COL - 1]
+                peakStatus: rowData[PEAK_STATUS_COL - 1],
+                requisitionId: rowData[REQUISITION_ID_COL - 1]
             };
             companyIndex.get(companyKey).push(cacheEntry);
         }
     }
+
+    // --- Message ledger: messages this module already applied are never applied again ---
+    // Previews only look the ledger up, so they leave the spreadsheet as it is.
+    const appliedMessageIds = loadProcessedMessageIds(ss, config.moduleName, dryRun);
+    if (typeof config.sheetEmailIdsFunction === 'function') {
+        config.sheetEmailIdsFunction(dataSheet, allSheetData).forEach(id => appliedMessageIds.add(id));
+    }
+    Logger.log(`[ENGINE] ${appliedMessageIds.size} message(s) already applied for ${config.moduleName}.`);
+    const useThreadContext = config.useThreadContext === true;
+    const threadKnownValues = useThreadContext ? loadThreadKnownValues(ss, config.moduleName, dryRun) : new Map();
     
     Logger.log(`[ENGINE] Fetching threads...`);
-    const batchSize = config.gmailBatchSize || 20;
+    const batchSize = config.gmailBatchSize || DEFAULT_GMAIL_BATCH_SIZE;
     const threadsToProcess = procLbl.getThreads(0, batchSize);
     Logger.log(`[ENGINE] Found ${threadsToProcess.length} threads.`);
+    runStats.threads = threadsToProcess.length;
     if (threadsToProcess.length === 0) {
         Logger.log(`[${FUNC_NAME} INFO] No new messages to process for ${config.moduleName}.`);
+        if (checkpoint && !dryRun) clearProcessingCheckpoint(scriptProperties, config.moduleName);
+        if (dryRun) stagePendingChanges(ss, config, allSheetData[0], [], {});
         return;
     }
 
     Logger.log(`[ENGINE] Flattening messages from threads...`);
-    const messagesToSort = threadsToProcess.flatMap(thread => thread.getMessages());
-    Logger.log(`[ENGINE] Found ${messagesToSort.length} total messages.`);
+    const threadMessageIds = {};
+    const threadMessagesById = {};
+    const allMessages = [];
+    threadsToProcess.forEach(thread => {
+        const threadMessages = thread.getMessages();
+        threadMessageIds[thread.getId()] = threadMessages.map(m => m.getId());
+        threadMessagesById[thread.getId()] = threadMessages;
+        allMessages.push(...threadMessages);
+    });
+    const messagesToSort = allMessages.filter(m => !processedMessageIds.has(m.getId()) && !appliedMessageIds.has(m.getId()));
+    Logger.log(`[ENGINE] Found ${allMessages.length} total messages, ${allMessages.length - messagesToSort.length} already applied or handled by a previous run.`);
+    // Threads made up entirely of already-applied messages only need their labels finalized.
+    for (const [threadId, ids] of Object.entries(threadMessageIds)) {
+        if (!threadProcessingOutcomes[threadId] && ids.every(id => appliedMessageIds.has(id))) {
+            threadProcessingOutcomes[threadId] = 'done';
+        }
+    }
 
     Logger.log(`[ENGINE] Sorting messages...`);
     messagesToSort.sort((a, b) => a.getDate() - b.getDate());
@@ -270,44 +429,76 @@ function _processingEngine(config, ss, scriptProperties) {
     Logger.log(`[ENGINE] Entering main processing loop...`);
     const dataToUpdate = [];
     const newRowsData = [];
-    let threadProcessingOutcomes = {};
+    const ledgerEntries = [];
+    const statusHistoryEntries = [];
+    const applicationDetailEntries = [];
+    const previewChanges = [];
+    const previewRowValues = new Map();
+    let stoppedEarly = false;
+    let lastHandledMessage = null;
 
     for (const message of messagesToSort) {
-        if ((new Date().getTime() - SCRIPT_START_TIME.getTime()) / 1000 > 320) {
-            Logger.log(`[${FUNC_NAME} WARN] Execution time limit nearing. Stopping.`);
+        if ((new Date().getTime() - SCRIPT_START_TIME.getTime()) / 1000 > PROCESSING_TIME_BUDGET_SECONDS) {
+            Logger.log(`[${FUNC_NAME} WARN] Execution time limit nearing. Stopping${dryRun ? '' : ' and saving checkpoint'}.`);
+            stoppedEarly = true;
+            runStats.stoppedEarly = true;
+            runStats.outcome = 'Stopped Early';
             break;
         }
 
         const msgId = message.getId();
         const threadId = message.getThread().getId();
         const emailSubject = message.getSubject();
+        runStats.messages++;
         const plainBodyText = message.getPlainBody();
         
         try {
-            const geminiResult = config.parserFunction(emailSubject, plainBodyText, geminiApiKey);
-            const handlerResult = config.dataHandler(geminiResult, message, companyIndex, dataSheet);
+            const threadContext = useThreadContext
+                ? buildThreadContext(message, threadMessagesById[threadId], threadKnownValues.get(threadId), companyIndex)
+                : null;
+            // Parsers get the body with clean links and the HTML body's job links and postings (see HtmlParsingUtils.js).
+            const parserBodyText = buildParserEmailText(message, plainBodyText);
+            const geminiResult = parserFunction(emailSubject, parserBodyText, geminiApiKey, threadContext, message);
+            // Emails the module's classifier routes elsewhere never reach the data handler (see MessageRouting.js).
+            const route = routeMessage(config, geminiResult, message);
+            // Preview runs pass no sheet so handlers cannot write error rows.
+            const handlerResult = route ? { route: route, requiresManualReview: false }
+                : config.dataHandler(geminiResult, message, companyIndex, dryRun ? null : dataSheet, threadContext);
+            if (dryRun) previewChanges.push(...buildPreviewChanges(handlerResult, message, allSheetData, previewRowValues));
             
             if (handlerResult.updateInfo) {
-                dataToUpdate.push(handlerResult.updateInfo);
-                const companyKey = (handlerResult.updateInfo.company || '').toLowerCase();
-                const existingEntry = companyIndex.get(companyKey)?.find(e => e.row === handlerResult.updateInfo.row);
+                const updateInfo = handlerResult.updateInfo;
+                if (updateInfo.row === -1) {
+                    // Follow-up to a row created earlier in this run: fold it into the pending insert.
+                    newRowsData[updateInfo.newRowIndex].splice(0, updateInfo.values.length, ...updateInfo.values);
+                } else {
+                    dataToUpdate.push(updateInfo);
+                }
+                const companyKey = companyMatchKey(updateInfo.company);
+                const existingEntry = companyIndex.get(companyKey)?.find(e => e.row === updateInfo.row && (e.row !== -1 || e.newRowIndex === updateInfo.newRowIndex));
                 if (existingEntry) {
-                    existingEntry.status = handlerResult.updateInfo.newStatus;
-                    existingEntry.peakStatus = handlerResult.updateInfo.newPeakStatus;
-                    Logger.log(`[ENGINE] Live cache UPDATED for row ${existingEntry.row}. New Status: ${existingEntry.status}`);
+                    existingEntry.status = updateInfo.newStatus;
+                    existingEntry.peakStatus = updateInfo.newPeakStatus;
+                    existingEntry.requisitionId = updateInfo.values[REQUISITION_ID_COL - 1];
+                    if (existingEntry.row !== -1) existingEntry.rowData = updateInfo.values;
+                    Logger.log(`[ENGINE] Live cache UPDATED for row ${existingEntry.row === -1 ? `(new #${existingEntry.newRowIndex + 1})` : existingEntry.row}. New Status: ${existingEntry.status}`);
                 }
             } else if (handlerResult.newRowData && handlerResult.newRowData.length > 0) {
+                const firstNewRowIndex = newRowsData.length;
                 newRowsData.push(...handlerResult.newRowData);
-                handlerResult.newRowData.forEach(newRow => {
-                    const companyKey = (newRow[COMPANY_COL - 1] || '').toLowerCase();
+                handlerResult.newRowData.forEach((newRow, i) => {
+                    const companyKey = companyMatchKey(newRow[COMPANY_COL - 1]);
                     if (companyKey) {
                         const newCacheEntry = {
                             row: -1,
+                            newRowIndex: firstNewRowIndex + i,
+                            rowData: newRow,
                             emailId: newRow[EMAIL_ID_COL - 1],
                             company: newRow[COMPANY_COL - 1],
                             title: newRow[JOB_TITLE_COL - 1],
                             status: newRow[STATUS_COL - 1],
-                            peakStatus: newRow[PEAK_STATUS_COL - 1]
+                            peakStatus: newRow[PEAK_STATUS_COL - 1],
+                            requisitionId: newRow[REQUISITION_ID_COL - 1]
                         };
                         if (!companyIndex.has(companyKey)) companyIndex.set(companyKey, []);
                         companyIndex.get(companyKey).push(newCacheEntry);
@@ -316,46 +507,258 @@ function _processingEngine(config, ss, scriptProperties) {
                 });
             }
             
-            threadProcessingOutcomes[threadId] = handlerResult.requiresManualReview ? 'manual' : 'done';
+            const messageOutcome = handlerResult.route ? routedOutcome(handlerResult.route.label) : (handlerResult.requiresManualReview ? 'manual' : 'done');
+            // A thread is only moved to a route's label if none of its messages was handled here.
+            const threadOutcome = threadProcessingOutcomes[threadId];
+            if (!handlerResult.route || !threadOutcome || getRoutedOutcomeLabel(threadOutcome)) threadProcessingOutcomes[threadId] = messageOutcome;
+            if (handlerResult.requiresManualReview) runStats.manualReview++;
+            if (handlerResult.statusChange) {
+                // The row lets the entry be dropped if a concurrent manual edit keeps the sheet's Status.
+                const updatedRow = handlerResult.updateInfo && handlerResult.updateInfo.row !== -1 ? handlerResult.updateInfo.row : undefined;
+                statusHistoryEntries.push(Object.assign({ runId: config.runId, row: updatedRow }, handlerResult.statusChange));
+            }
+            if (handlerResult.applicationDetails) applicationDetailEntries.push(handlerResult.applicationDetails);
+            const threadValues = handlerResult.threadValues || {};
+            if (useThreadContext && threadValues.company) threadKnownValues.set(threadId, threadValues);
+            ledgerEntries.push({
+                messageId: msgId, threadId: threadId, moduleName: config.moduleName, outcome: messageOutcome,
+                emailDate: message.getDate(), company: threadValues.company, title: threadValues.title
+            });
             
         } catch (e) {
             Logger.log(`[${FUNC_NAME} FATAL ERROR] in message loop for msgId ${msgId}: ${e.message}\n${e.stack}`);
             threadProcessingOutcomes[threadId] = 'manual';
+            runStats.manualReview++;
+            if (dryRun) previewChanges.push(buildPreviewErrorChange(message, e));
         }
+        processedMessageIds.add(msgId);
+        lastHandledMessage = message;
         
         Utilities.sleep(200);
     }
+
+    if (dryRun) {
+        const previewThreadOutcomes = {};
+        for (const [threadId, outcome] of Object.entries(threadProcessingOutcomes)) {
+            const idsInThread = threadMessageIds[threadId];
+            if (idsInThread && idsInThread.every(id => processedMessageIds.has(id) || appliedMessageIds.has(id))) previewThreadOutcomes[threadId] = outcome;
+        }
+        stagePendingChanges(ss, config, allSheetData[0], previewChanges, previewThreadOutcomes);
+        runStats.rowsInserted = newRowsData.length;
+        runStats.rowsUpdated = dataToUpdate.length;
+        Logger.log(`\n==== ${FUNC_NAME} PREVIEW FINISHED (${new Date().toLocaleString()}) - ${previewChanges.length} change(s) staged${stoppedEarly ? ', stopped early' : ''} ====`);
+        return;
+    }
     
-    dataToUpdate.forEach(update => dataSheet.getRange(update.row, 1, 1, update.values.length).setValues([update.values]));
+    let writeFailed = false;
+    let pendingWrites = emptyPendingWrites();
+    let firstNewRow = -1;
+    try {
+        firstNewRow = _writeEngineResults(dataSheet, dataToUpdate, newRowsData);
+        runStats.rowsInserted = newRowsData.length;
+        runStats.rowsUpdated = dataToUpdate.length;
+    } catch (e) {
+        writeFailed = true;
+        runStats.outcome = 'Write Failed';
+        runStats.notes = e.message;
+        pendingWrites = {
+            updates: dataToUpdate, newRows: newRowsData, ledgerEntries: ledgerEntries,
+            statusHistoryEntries: statusHistoryEntries, applicationDetailEntries: applicationDetailEntries
+        };
+        Logger.log(`[${FUNC_NAME} ERROR] Writing results to "${config.sheetTabName}" failed: ${e.message}. Writes will be kept in the checkpoint.`);
+    }
+    if (!writeFailed) {
+        try {
+            appendToProcessedLedger(ss, ledgerEntries);
+        } catch (e) {
+            // Sheet rows are already written; only the ledger entries and the records of those rows are retried.
+            writeFailed = true;
+            runStats.outcome = 'Write Failed';
+            runStats.notes = `Ledger: ${e.message}`;
+            pendingWrites = {
+                updates: [], newRows: [], ledgerEntries: ledgerEntries,
+                statusHistoryEntries: _historyForWrittenUpdates(dataToUpdate, statusHistoryEntries),
+                applicationDetailEntries: applicationDetailEntries
+            };
+            Logger.log(`[${FUNC_NAME} ERROR] Recording ledger entries failed: ${e.message}. Entries will be kept in the checkpoint.`);
+        }
+    }
+    if (!writeFailed) {
+        _appendEngineRecords(ss, _historyForWrittenUpdates(dataToUpdate, statusHistoryEntries), applicationDetailEntries);
+    }
 
-    if (newRowsData.length > 0) {
-        const firstNewRow = dataSheet.getLastRow() + 1;
-        dataSheet.getRange(firstNewRow, 1, newRowsData.length, newRowsData[0].length).setValues(newRowsData);
-        Logger.log(`[ENGINE INFO] Batch appended ${newRowsData.length} new rows.`);
+    if (firstNewRow !== -1) {
         newRowsData.forEach((rowData, i) => {
-            const companyKey = (rowData[COMPANY_COL - 1] || '').toLowerCase();
-            const emailId = rowData[EMAIL_ID_COL - 1];
-            const entryInCache = companyIndex.get(companyKey)?.find(e => e.row === -1 && e.emailId === emailId);
+            const companyKey = companyMatchKey(rowData[COMPANY_COL - 1]);
+            const entryInCache = companyIndex.get(companyKey)?.find(e => e.row === -1 && e.newRowIndex === i);
             if (entryInCache) {
                 entryInCache.row = firstNewRow + i;
+                delete entryInCache.newRowIndex;
                 Logger.log(`[ENGINE] Finalizing live cache row number for ${companyKey} to ${entryInCache.row}`);
             }
         });
     }
 
-    applyFinalLabels(threadProcessingOutcomes, procLbl, processedLblObj, manualLblObj);
+    // --- Only label threads whose messages have ALL been handled; the rest stay in "To Process" ---
+    const completedOutcomes = {};
+    const openOutcomes = {};
+    for (const [threadId, outcome] of Object.entries(threadProcessingOutcomes)) {
+        const idsInThread = threadMessageIds[threadId];
+        const isComplete = !writeFailed && !!idsInThread && idsInThread.every(id => processedMessageIds.has(id) || appliedMessageIds.has(id));
+        if (isComplete) completedOutcomes[threadId] = outcome;
+        else openOutcomes[threadId] = outcome;
+    }
+    applyFinalLabels(completedOutcomes, procLbl, processedLblObj, manualLblObj);
+
+    // --- Save or clear the checkpoint, and schedule a continuation if work remains ---
+    // A full batch means more threads may still be waiting under the "To Process" label.
+    const moreMayRemain = threadsToProcess.length >= batchSize;
+    if (stoppedEarly || writeFailed || moreMayRemain || Object.keys(openOutcomes).length > 0) {
+        const messageThreadIds = {};
+        for (const [threadId, ids] of Object.entries(threadMessageIds)) ids.forEach(id => messageThreadIds[id] = threadId);
+        const openMessageIds = [...processedMessageIds].filter(id => !messageThreadIds[id] || openOutcomes[messageThreadIds[id]]);
+        const checkpointReason = writeFailed ? 'write_failed' : (stoppedEarly ? 'time_limit' : (moreMayRemain ? 'backlog' : 'open_threads'));
+        if (!runStats.notes) runStats.notes = `Checkpoint saved (${checkpointReason}).`;
+        saveProcessingCheckpoint(scriptProperties, config.moduleName, {
+            reason: checkpointReason,
+            processedMessageIds: openMessageIds,
+            threadOutcomes: openOutcomes,
+            lastMessageId: lastHandledMessage ? lastHandledMessage.getId() : (checkpoint ? checkpoint.lastMessageId : null),
+            lastMessageDate: lastHandledMessage ? lastHandledMessage.getDate() : (checkpoint ? checkpoint.lastMessageDate : null),
+            pendingWrites: pendingWrites
+        });
+    } else if (checkpoint) {
+        clearProcessingCheckpoint(scriptProperties, config.moduleName);
+    }
+
+    if (stoppedEarly || writeFailed || moreMayRemain) {
+        scheduleContinuationTrigger();
+    }
     Logger.log(`\n==== ${FUNC_NAME} FINISHED (${new Date().toLocaleString()}) ====`);
 }
 
+/**
+ * Writes the engine's collected row updates and new rows to the module's sheet.
+ * Only the last update of each row is written; it already includes the earlier ones. An update that
+ * carries `readValues` (the row when the run read it) keeps every cell edited in the sheet since,
+ * and lists those columns in `keptColumns`.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} dataSheet The module's data sheet.
+ * @param {{row: number, values: any[], readValues?: any[], keptColumns?: number[]}[]} updates Existing rows to overwrite.
+ * @param {any[][]} newRows Rows to append.
+ * @returns {number} The sheet row of the first appended row, or -1 if nothing was appended.
+ * @private
+ */
+function _writeEngineResults(dataSheet, updates, newRows) {
+    const lastUpdateByRow = new Map();
+    updates.forEach(update => lastUpdateByRow.set(update.row, update));
+    const needsCurrentValues = updates.some(update => update.readValues);
+    const currentValues = needsCurrentValues ? dataSheet.getDataRange().getValues() : [];
+    lastUpdateByRow.forEach(update => {
+        if (update.readValues && currentValues[update.row - 1]) {
+            const keptColumns = mergeConcurrentEdits(update.readValues, currentValues[update.row - 1], update.values);
+            if (keptColumns.length > 0) {
+                updates.filter(u => u.row === update.row).forEach(u => u.keptColumns = keptColumns);
+                Logger.log(`[ENGINE WARN] Row ${update.row} was edited during the run; kept the sheet's ${keptColumns.map(col => columnToLetter(col)).join(", ")}.`);
+            }
+        }
+        dataSheet.getRange(update.row, 1, 1, update.values.length).setValues([update.values]);
+    });
+    if (newRows.length === 0) return -1;
+    const firstNewRow = dataSheet.getLastRow() + 1;
+    dataSheet.getRange(firstNewRow, 1, newRows.length, newRows[0].length).setValues(newRows);
+    Logger.log(`[ENGINE INFO] Batch appended ${newRows.length} new rows.`);
+    return firstNewRow;
+}
+
+/**
+ * Drops the Status History entries of updated rows whose Status a concurrent manual edit kept
+ * (see `_writeEngineResults`).
+ * @param {{row: number, keptColumns?: number[]}[]} updates The updates as written.
+ * @param {object[]} statusHistoryEntries The run's entries.
+ * @returns {object[]} The entries to record.
+ * @private
+ */
+function _historyForWrittenUpdates(updates, statusHistoryEntries) {
+    const keptStatusRows = new Set(updates.filter(u => u.keptColumns && u.keptColumns.includes(STATUS_COL)).map(u => u.row));
+    return statusHistoryEntries.filter(entry => !keptStatusRows.has(entry.row));
+}
+
+/**
+ * Records the Status History and Application Details entries of rows already written. Both are
+ * records only; a failed append is logged and does not hold back the run.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @param {object[]} statusHistoryEntries Entries for `appendStatusHistory`.
+ * @param {object[]} applicationDetailEntries Entries for `appendApplicationDetails`.
+ * @private
+ */
+function _appendEngineRecords(ss, statusHistoryEntries, applicationDetailEntries) {
+    try {
+        appendStatusHistory(ss, statusHistoryEntries);
+    } catch (e) {
+        Logger.log(`[ENGINE WARN] Recording ${statusHistoryEntries.length} status change(s) failed: ${e.message}`);
+    }
+    try {
+        appendApplicationDetails(ss, applicationDetailEntries);
+    } catch (e) {
+        Logger.log(`[ENGINE WARN] Recording details from ${applicationDetailEntries.length} email(s) failed: ${e.message}`);
+    }
+}
+
 /**
  * Parser function specific to the Application Tracker.
+ * Emails from a known ATS template are parsed without Gemini (see `parseWithAtsTemplate`).
  * @param {string} subject
  * @param {string} body
  * @param {string} key
+ * @param {object|null} [threadContext] Earlier messages and known values for the thread (see ThreadContext.js).
+ * @param {GoogleAppsScript.Gmail.GmailMessage} [message] The message being parsed.
  * @returns {object}
  */
-function _trackerParser(subject, body, key) {
-    return callGemini_forApplicationDetails(subject, body, key);
+function _trackerParser(subject, body, key, threadContext, message) {
+    const templateResult = message ? parseWithAtsTemplate(message, subject, body) : null;
+    if (templateResult) return templateResult;
+    return callGemini_forApplicationDetails(subject, body, key, threadContext);
+}
+
+/**
+ * Rules-only parser for the Application Tracker: ATS templates, then the regex fallback of
+ * ParsingUtils.js. The status is left to the data handler's keyword check (`parseBodyForStatus`).
+ * @param {string} subject
+ * @param {string} body
+ * @param {string|null} key Unused; rules-only runs have no key.
+ * @param {object|null} [threadContext] Unused; the data handler applies the thread's known values.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message The message being parsed.
+ * @returns {object} A result shaped like `callGemini_forApplicationDetails`'s.
+ */
+function _trackerRulesParser(subject, body, key, threadContext, message) {
+    const templateResult = parseWithAtsTemplate(message, subject, body);
+    if (templateResult) return templateResult;
+    const regexResult = extractCompanyAndTitle(message, detectPlatform(message).platform, subject, body);
+    return {
+        company: regexResult.company,
+        title: regexResult.title,
+        status: null,
+        requisitionId: regexResult.requisitionId,
+        parsedBy: PROCESSING_MODES.RULES,
+        details: null,
+        reviewReason: null
+    };
+}
+
+/**
+ * Collects the message IDs already written to the Applications sheet's Email ID column.
+ * Used alongside the ledger so rows written before the ledger existed are not replayed.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} dataSheet The Applications sheet.
+ * @param {any[][]} allSheetData The sheet's values, including the header row.
+ * @returns {Set<string>} The message IDs found in the sheet.
+ */
+function _trackerSheetEmailIds(dataSheet, allSheetData) {
+    const ids = new Set();
+    for (let i = 1; i < allSheetData.length; i++) {
+        const emailId = allSheetData[i][EMAIL_ID_COL - 1];
+        if (emailId && String(emailId).trim() !== "") ids.add(String(emailId).trim());
+    }
+    return ids;
 }
 
 /**
@@ -364,9 +767,13 @@ function _trackerParser(subject, body, key) {
  * @param {GoogleAppsScript.Gmail.GmailMessage} message
  * @param {Map<string, object[]>} companyIndex
  * @param {GoogleAppsScript.Spreadsheet.Sheet} dataSheet
- * @returns {{updateInfo?: object, newRowData?: any[], requiresManualReview: boolean}}
+ * @param {object|null} [threadContext] Earlier messages and known values for the thread (see ThreadContext.js).
+ * @returns {{updateInfo?: object, newRowData?: any[], requiresManualReview: boolean, threadValues?: {company: string, title: string}, statusChange?: object|null, applicationDetails?: object|null}}
+ *     An email whose confidence is in the review tier (see ParseConfidence.js) returns only `requiresManualReview` when it matches an existing row.
+ *     `statusChange` describes the Status transition for the "Status History" sheet (see StatusHistory.js);
+ *     `applicationDetails` holds the recruiter, interview and salary details for the "Application Details" sheet (see ApplicationDetails.js).
  */
-function _trackerDataHandler(geminiResult, message, companyIndex, dataSheet) {
+function _trackerDataHandler(geminiResult, message, companyIndex, dataSheet, threadContext) {
     const emailSubject = message.getSubject() || "";
     const msgId = message.getId();
 
@@ -382,19 +789,36 @@ function _trackerDataHandler(geminiResult, message, companyIndex, dataSheet) {
     let companyName = MANUAL_REVIEW_NEEDED;
     let jobTitle = MANUAL_REVIEW_NEEDED;
     let applicationStatus = null;
+    let statusSource = STATUS_HISTORY_SOURCES.AI;
+    let requisitionId = null;
+    let rawDetails = null;
+    let reviewReason = null;
+    let fieldConfidence;
+    const platformInfo = detectPlatform(message, geminiResult && !geminiResult.error ? geminiResult.platformHint : null);
+    Logger.log(`[_trackerDataHandler INFO] Platform: "${platformInfo.platform}" (from ${platformInfo.evidence}).`);
 
     if (geminiResult && !geminiResult.error) {
         companyName = geminiResult.company || MANUAL_REVIEW_NEEDED;
         jobTitle = geminiResult.title || MANUAL_REVIEW_NEEDED;
-        applicationStatus = (geminiResult.status && geminiResult.status !== "undefined") ? geminiResult.status : "Update/Other";
-        Logger.log(`[_trackerDataHandler INFO] Gemini Raw: C:"${companyName}", T:"${jobTitle}", S:"${geminiResult.status}" -> Parsed Status: "${applicationStatus}"`);
-        if (applicationStatus === "Update/Other" || applicationStatus === MANUAL_REVIEW_NEEDED) {
+        requisitionId = geminiResult.requisitionId || extractRequisitionId(emailSubject, message.getPlainBody());
+        rawDetails = geminiResult.details;
+        reviewReason = geminiResult.reviewReason || null;
+        applicationStatus = geminiResult.status || GEMINI_STATUS_UPDATE_OTHER;
+        if (geminiResult.atsTemplate) statusSource = STATUS_HISTORY_SOURCES.TEMPLATE;
+        fieldConfidence = scoreParsedFields(geminiResult, message, platformInfo.platform);
+        Logger.log(`[_trackerDataHandler INFO] ${geminiResult.atsTemplate ? `${geminiResult.atsTemplate} template` : "Gemini"} Raw: C:"${companyName}", T:"${jobTitle}", S:"${geminiResult.status}" -> Parsed Status: "${applicationStatus}"`);
+        if (applicationStatus === GEMINI_STATUS_UPDATE_OTHER || applicationStatus === MANUAL_REVIEW_NEEDED) {
             const keywordStatus = parseBodyForStatus(message.getPlainBody());
             if (keywordStatus) {
                 applicationStatus = keywordStatus;
+                statusSource = STATUS_HISTORY_SOURCES.REGEX;
+                fieldConfidence.status = keywordStatusConfidence(message.getPlainBody());
                 Logger.log(`[_trackerDataHandler INFO] Status enhanced by keywords to: "${applicationStatus}"`);
             }
         }
+        // Gemini's two non-pipeline answers never reach the Status column.
+        if (applicationStatus === GEMINI_STATUS_NOT_APPLICATION) applicationStatus = MANUAL_REVIEW_NEEDED;
+        if (applicationStatus === GEMINI_STATUS_UPDATE_OTHER) applicationStatus = null;
     } else {
         const errorInfo = {
             moduleName: "Application Tracker",
@@ -404,38 +828,121 @@ function _trackerDataHandler(geminiResult, message, companyIndex, dataSheet) {
             messageId: msgId
         };
         _writeErrorToSheet(dataSheet, errorInfo);
-        const regexResult = extractCompanyAndTitle(message, DEFAULT_PLATFORM, emailSubject, message.getPlainBody());
+        const regexResult = extractCompanyAndTitle(message, platformInfo.platform, emailSubject, message.getPlainBody());
         companyName = regexResult.company;
         jobTitle = regexResult.title;
+        requisitionId = regexResult.requisitionId;
         applicationStatus = parseBodyForStatus(message.getPlainBody());
+        statusSource = STATUS_HISTORY_SOURCES.REGEX;
+        fieldConfidence = {
+            company: sourceConfidence(companyName, "rules"),
+            title: sourceConfidence(jobTitle, "rules"),
+            status: applicationStatus ? keywordStatusConfidence(message.getPlainBody()) : null
+        };
+    }
+
+    // Job postings embedded in the HTML body (schema.org JobPosting) name both reliably.
+    const jobPosting = getEmailHtmlInfo(message).jobPostings[0];
+    if (jobPosting) {
+        if (companyName === MANUAL_REVIEW_NEEDED && jobPosting.company) {
+            companyName = jobPosting.company;
+            fieldConfidence.company = CONFIDENCE_SOURCE_SCORES.posting;
+        }
+        if (jobTitle === MANUAL_REVIEW_NEEDED && jobPosting.title) {
+            jobTitle = jobPosting.title;
+            fieldConfidence.title = CONFIDENCE_SOURCE_SCORES.posting;
+        }
+        if (!requisitionId && jobPosting.identifier) requisitionId = jobPosting.identifier;
+    }
+
+    // Replies often name neither the company nor the role; use what is already known for the thread.
+    if (threadContext) {
+        if (companyName === MANUAL_REVIEW_NEEDED && threadContext.knownCompany) {
+            companyName = threadContext.knownCompany;
+            fieldConfidence.company = CONFIDENCE_SOURCE_SCORES.thread;
+        }
+        if (jobTitle === MANUAL_REVIEW_NEEDED && threadContext.knownTitle) {
+            jobTitle = threadContext.knownTitle;
+            fieldConfidence.title = CONFIDENCE_SOURCE_SCORES.thread;
+        }
+        Logger.log(`[_trackerDataHandler INFO] Thread context: ${threadContext.priorMessages.length} earlier msg(s). Using C:"${companyName}", T:"${jobTitle}".`);
     }
+    companyName = resolveCompanyAlias(companyName);
 
     let existingRowInfoToUpdate = null;
     let targetSheetRowForUpdate = -1;
-    let requiresManualReview = (companyName === MANUAL_REVIEW_NEEDED || jobTitle === MANUAL_REVIEW_NEEDED);
+    let matchScore = "";
 
-    // Only attempt to find a row to update if BOTH company and title are valid.
-    if (companyName !== MANUAL_REVIEW_NEEDED && jobTitle !== MANUAL_REVIEW_NEEDED) {
-        const potentialMatches = companyIndex.get(String(companyName).toLowerCase()) || [];
+    // A requisition ID is the most reliable link (e.g., a rejection quoting "JR12345"), so it is tried first.
+    // It also supplies a company/title the email itself did not state.
+    const idMatch = findApplicationByRequisitionId(requisitionId, companyName, companyIndex);
+    if (idMatch) {
+        existingRowInfoToUpdate = idMatch;
+        matchScore = 1;
+        if (companyName === MANUAL_REVIEW_NEEDED) {
+            companyName = idMatch.company;
+            fieldConfidence.company = CONFIDENCE_SOURCE_SCORES.requisition;
+        }
+        if (jobTitle === MANUAL_REVIEW_NEEDED) {
+            jobTitle = idMatch.title || MANUAL_REVIEW_NEEDED;
+            fieldConfidence.title = sourceConfidence(jobTitle, "requisition");
+        }
+        Logger.log(`[_trackerDataHandler INFO] Requisition ID "${requisitionId}" links this email to "${idMatch.company}" / "${idMatch.title}".`);
+    }
 
-        // First, try for a perfect match of company and title.
-        existingRowInfoToUpdate = potentialMatches.find(e => e.title && e.title.toLowerCase() === jobTitle.toLowerCase());
+    // Low-confidence parses are flagged or left for manual review (see ParseConfidence.js).
+    const confidence = rateParseConfidence(fieldConfidence);
+    Logger.log(`[_trackerDataHandler INFO] Confidence ${confidence.overall} (${describeParseConfidence(fieldConfidence)}) -> ${confidence.tier}.`);
+    let requiresManualReview = (companyName === MANUAL_REVIEW_NEEDED || jobTitle === MANUAL_REVIEW_NEEDED || !!reviewReason || confidence.tier === CONFIDENCE_TIERS.REVIEW);
+    if (reviewReason) Logger.log(`[_trackerDataHandler INFO] Manual review: ${reviewReason}.`);
+
+    // Otherwise, only attempt to find a row to update if BOTH company and title are valid.
+    if (!existingRowInfoToUpdate && companyName !== MANUAL_REVIEW_NEEDED && jobTitle !== MANUAL_REVIEW_NEEDED) {
+        // Match on normalized, similarity-scored company AND title ("Acme, Inc." / "Sr. SWE" finds "Acme" / "Senior Software Engineer").
+        const bestMatch = findBestApplicationMatch(companyName, jobTitle, companyIndex);
+        if (bestMatch) {
+            existingRowInfoToUpdate = bestMatch.entry;
+            matchScore = bestMatch.score;
+            if (bestMatch.score < 1) {
+                Logger.log(`[_trackerDataHandler INFO] Near-match (score ${bestMatch.score}): "${companyName}" / "${jobTitle}" -> "${bestMatch.entry.company}" / "${bestMatch.entry.title}".`);
+            }
+        }
 
         // --- THIS IS THE KEY CHANGE ---
-        // If no exact match is found, DO NOT fall back to a company-only match.
+        // If no company+title match is found, DO NOT fall back to a company-only match.
         // This prevents updating the wrong job application. The system will create a new row instead.
-
-        if (existingRowInfoToUpdate && existingRowInfoToUpdate.row !== -1) {
-            targetSheetRowForUpdate = existingRowInfoToUpdate.row;
-            Logger.log(`[_trackerDataHandler INFO] Found existing row #${targetSheetRowForUpdate} to update for Company: "${companyName}", Title: "${jobTitle}".`);
+        // The one exception is the row an earlier message of this same thread wrote: the thread ties them together.
+        const knownEntry = threadContext && threadContext.knownEntry;
+        if (!existingRowInfoToUpdate && knownEntry && isSameCompany(knownEntry.company, companyName)) {
+            existingRowInfoToUpdate = knownEntry;
+            matchScore = Math.round(similarityScore(companyMatchKey(knownEntry.company), companyMatchKey(companyName)) * 100) / 100;
         }
-    } else {
+    } else if (!existingRowInfoToUpdate) {
         Logger.log(`[_trackerDataHandler INFO] Company or Title requires manual review. A new row will be created instead of attempting an update.`);
     }
 
+    if (existingRowInfoToUpdate && existingRowInfoToUpdate.row !== -1) {
+        targetSheetRowForUpdate = existingRowInfoToUpdate.row;
+        Logger.log(`[_trackerDataHandler INFO] Found existing row #${targetSheetRowForUpdate} to update for Company: "${companyName}", Title: "${jobTitle}".`);
+    } else if (existingRowInfoToUpdate && existingRowInfoToUpdate.newRowIndex !== undefined) {
+        Logger.log(`[_trackerDataHandler INFO] Found row created earlier in this run for Company: "${companyName}", Title: "${jobTitle}". Merging into it.`);
+    }
+
     const finalStatusToSet = applicationStatus || DEFAULT_STATUS;
 
-    if (targetSheetRowForUpdate !== -1 && existingRowInfoToUpdate) {
+    const threadValues = requiresManualReview ? undefined : { company: companyName, title: jobTitle };
+    const statusDetails = { source: statusSource, emailDate: emailDate, emailLink: emailPermaLink };
+    const details = normalizeApplicationDetails(rawDetails, message.getPlainBody(), getPrimaryJobLink(message));
+    const detailsEmailInfo = { emailDate: emailDate, emailLink: emailPermaLink, emailId: msgId };
+
+    const isExistingRow = !!existingRowInfoToUpdate && (targetSheetRowForUpdate !== -1 || existingRowInfoToUpdate.newRowIndex !== undefined);
+    if (isExistingRow && confidence.tier === CONFIDENCE_TIERS.REVIEW) {
+        // Too uncertain to change a tracked application; the email only gets the Manual Review label.
+        Logger.log(`[_trackerDataHandler INFO] Confidence ${confidence.overall} is below ${CONFIDENCE_REVIEW_THRESHOLD}; "${companyName}" / "${jobTitle}" left unchanged for manual review.`);
+        return { requiresManualReview: true };
+    }
+
+    if (isExistingRow) {
         // This is the "UPDATE an existing row" path.
         // (The existing logic for updating the rowDataForSheet array is good, keep it as is)
         const rowDataForSheet = [...existingRowInfoToUpdate.rowData];
@@ -444,31 +951,55 @@ function _trackerDataHandler(geminiResult, message, companyIndex, dataSheet) {
         rowDataForSheet[EMAIL_SUBJECT_COL - 1] = emailSubject;
         rowDataForSheet[EMAIL_LINK_COL - 1] = emailPermaLink;
         rowDataForSheet[EMAIL_ID_COL - 1] = msgId;
+        rowDataForSheet[MATCH_SCORE_COL - 1] = matchScore;
+        rowDataForSheet[CONFIDENCE_COL - 1] = confidence.overall;
+        if (requisitionId && !rowDataForSheet[REQUISITION_ID_COL - 1]) rowDataForSheet[REQUISITION_ID_COL - 1] = requisitionId;
+        // A platform found now fills a row that only had the generic one; a specific platform is never replaced.
+        const platformInSheet = String(rowDataForSheet[PLATFORM_COL - 1] || "").trim();
+        if (platformInfo.platform !== DEFAULT_PLATFORM && (!platformInSheet || platformInSheet === DEFAULT_PLATFORM)) {
+            rowDataForSheet[PLATFORM_COL - 1] = platformInfo.platform;
+        }
 
         const statInSheet = String(rowDataForSheet[STATUS_COL - 1]).trim() || DEFAULT_STATUS;
-        const curRank = STATUS_HIERARCHY[statInSheet] ?? 0;
-        const newRank = STATUS_HIERARCHY[finalStatusToSet] ?? 0;
-        if (newRank >= curRank || finalStatusToSet === REJECTED_STATUS || finalStatusToSet === OFFER_STATUS) {
-            rowDataForSheet[STATUS_COL - 1] = finalStatusToSet;
+        // An interview invite in a thread not yet linked to this application is a new round.
+        const continuesKnownThread = !!(threadContext && threadContext.knownCompany);
+        // An email that does not state a status leaves the current one as it is.
+        const statusToApply = !applicationStatus ? statInSheet
+            : (continuesKnownThread ? finalStatusToSet : _advanceInterviewRound(statInSheet, finalStatusToSet));
+        const curRank = getStatusRank(statInSheet) ?? 0;
+        const newRank = getStatusRank(statusToApply) ?? 0;
+        if (newRank >= curRank || isTerminalStatus(statusToApply)) {
+            rowDataForSheet[STATUS_COL - 1] = statusToApply;
         }
 
         const statAfterUpd = String(rowDataForSheet[STATUS_COL - 1]);
         let peakStat = existingRowInfoToUpdate.peakStatus || statInSheet;
-        const curPeakRank = STATUS_HIERARCHY[peakStat] ?? 0;
-        const newStatRankPeak = STATUS_HIERARCHY[statAfterUpd] ?? 0;
+        const curPeakRank = getStatusRank(peakStat) ?? 0;
+        const newStatRankPeak = getStatusRank(statAfterUpd) ?? 0;
         if (newStatRankPeak > curPeakRank) {
             rowDataForSheet[PEAK_STATUS_COL - 1] = statAfterUpd;
         }
 
+        // Cells the user corrected by hand keep their value (see FieldLocks.js).
+        const lockedFieldsKept = applyFieldLocks(existingRowInfoToUpdate.rowData, rowDataForSheet);
+        if (lockedFieldsKept.length > 0) {
+            Logger.log(`[_trackerDataHandler INFO] Locked field(s) ${lockedFieldsKept.join(", ")} kept on "${companyName}" / "${jobTitle}".`);
+        }
+
         return {
             updateInfo: {
                 row: targetSheetRowForUpdate,
+                newRowIndex: existingRowInfoToUpdate.newRowIndex,
                 values: rowDataForSheet,
+                readValues: existingRowInfoToUpdate.readValues,
                 newStatus: rowDataForSheet[STATUS_COL - 1],
                 newPeakStatus: rowDataForSheet[PEAK_STATUS_COL - 1],
                 company: rowDataForSheet[COMPANY_COL - 1]
             },
-            requiresManualReview: requiresManualReview
+            requiresManualReview: requiresManualReview,
+            threadValues: threadValues,
+            statusChange: buildStatusHistoryEntry(existingRowInfoToUpdate.rowData, rowDataForSheet, statusDetails),
+            applicationDetails: details ? buildApplicationDetailsEntry(rowDataForSheet, details, detailsEmailInfo) : null
         };
     } else {
         // This is the "CREATE a new row" path.
@@ -477,7 +1008,7 @@ function _trackerDataHandler(geminiResult, message, companyIndex, dataSheet) {
         const rowDataForSheet = new Array(TOTAL_COLUMNS_IN_APP_SHEET).fill("");
         rowDataForSheet[PROCESSED_TIMESTAMP_COL - 1] = currentTimestamp;
         rowDataForSheet[EMAIL_DATE_COL - 1] = emailDate;
-        rowDataForSheet[PLATFORM_COL - 1] = DEFAULT_PLATFORM;
+        rowDataForSheet[PLATFORM_COL - 1] = platformInfo.platform;
         rowDataForSheet[COMPANY_COL - 1] = companyName;
         rowDataForSheet[JOB_TITLE_COL - 1] = jobTitle;
         rowDataForSheet[STATUS_COL - 1] = finalStatusToSet;
@@ -486,32 +1017,63 @@ function _trackerDataHandler(geminiResult, message, companyIndex, dataSheet) {
         rowDataForSheet[EMAIL_SUBJECT_COL - 1] = emailSubject;
         rowDataForSheet[EMAIL_LINK_COL - 1] = emailPermaLink;
         rowDataForSheet[EMAIL_ID_COL - 1] = msgId;
+        const isLowConfidence = confidence.tier !== CONFIDENCE_TIERS.AUTO && companyName !== MANUAL_REVIEW_NEEDED && jobTitle !== MANUAL_REVIEW_NEEDED;
+        rowDataForSheet[NOTES_COL - 1] = reviewReason ? `${MANUAL_REVIEW_NEEDED}: ${reviewReason}`
+            : (isLowConfidence ? `Low confidence: ${describeParseConfidence(fieldConfidence)}` : "");
+        rowDataForSheet[REQUISITION_ID_COL - 1] = requisitionId || "";
+        rowDataForSheet[CONFIDENCE_COL - 1] = confidence.overall;
         
         return {
             newRowData: [rowDataForSheet], // Ensure this is returned as an array of rows
-            requiresManualReview: requiresManualReview
+            requiresManualReview: requiresManualReview,
+            threadValues: threadValues,
+            statusChange: buildStatusHistoryEntry(null, rowDataForSheet, statusDetails),
+            applicationDetails: details ? buildApplicationDetailsEntry(rowDataForSheet, details, detailsEmailInfo) : null
         };
     }
 }
 
 /**
- * Trigger handler for hourly email processing.
+ * Picks the next interview round for a new interview invite on an application that is already
+ * interviewing: "Interviewing" or "Interview 1" becomes "Interview 2", "Interview 2" becomes
+ * "Interview 3+". Applies only when the parsed status is the generic "Interviewing" or a round
+ * no later than the current one; an explicit later round, "Final Interview" or any other status is kept.
+ * @param {string} currentStatus The application's current status.
+ * @param {string} parsedStatus The status parsed from the new email.
+ * @returns {string} The status to apply.
+ * @private
+ */
+function _advanceInterviewRound(currentStatus, parsedStatus) {
+    const rounds = [INTERVIEW_STATUS, ...INTERVIEW_ROUND_STATUSES];
+    const currentIndex = rounds.indexOf(currentStatus);
+    const parsedIndex = rounds.indexOf(parsedStatus);
+    if (currentIndex === -1 || parsedIndex === -1 || parsedIndex > currentIndex) return parsedStatus;
+    // "Interviewing" is the first round whose number was not stated.
+    const nextRound = INTERVIEW_ROUND_STATUSES[Math.min(Math.max(currentIndex, 1), INTERVIEW_ROUND_STATUSES.length - 1)];
+    Logger.log(`[_trackerDataHandler INFO] New interview invite while "${currentStatus}": advancing to "${nextRound}".`);
+    return nextRound;
+}
+
+/**
+ * Trigger handler for hourly email processing. Also run from the menu.
+ * @param {GoogleAppsScript.Events.TimeDriven} [e] The trigger event (absent for menu runs).
  */
-function processEmails_triggerHandler() {
+function processEmails_triggerHandler(e) {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const scriptProperties = PropertiesService.getScriptProperties();
     Logger.log('Hourly email processing trigger started.');
-    processJobApplicationEmails(ss, scriptProperties);
+    processJobApplicationEmails(ss, scriptProperties, { source: _resolveRunSource(e) });
     Logger.log('Hourly email processing trigger finished.');
 }
 
 /**
- * Trigger handler for daily stale application checks.
+ * Trigger handler for daily stale application checks. Also run from the menu.
+ * @param {GoogleAppsScript.Events.TimeDriven} [e] The trigger event (absent for menu runs).
  */
-function markStale_triggerHandler() {
+function markStale_triggerHandler(e) {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     Logger.log('Daily stale check trigger started.');
-    markStaleApplicationsAsRejected(ss);
+    markStaleApplicationsAsRejected(ss, _resolveRunSource(e));
     Logger.log('Daily stale check trigger finished.');
 }
 
@@ -519,68 +1081,69 @@ function markStale_triggerHandler() {
  * Main "stub" function for processing job application emails.
  * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
  * @param {GoogleAppsScript.Properties.Properties} scriptProperties
+ * @param {{dryRun?: boolean, source?: string}} [options] See `runModuleProcessing`.
+ * @returns {{ran: boolean, holder: object|null}} `ran` is false if the tracker was already running.
  */
-function processJobApplicationEmails(ss, scriptProperties) {
-    const trackerProcessingConfig = {
-        moduleName: "Application Tracker",
-        sheetTabName: APP_TRACKER_SHEET_TAB_NAME,
-        gmailLabelToProcess: TRACKER_GMAIL_LABEL_TO_PROCESS,
-        gmailLabelProcessed: TRACKER_GMAIL_LABEL_PROCESSED,
-        gmailLabelManualReview: TRACKER_GMAIL_LABEL_MANUAL_REVIEW,
-        parserFunction: _trackerParser,
-        dataHandler: _trackerDataHandler
-    };
-    _processingEngine(trackerProcessingConfig, ss, scriptProperties);
+function processJobApplicationEmails(ss, scriptProperties, options) {
+    return runModuleProcessing(getRegisteredModule("applicationTracker"), ss, scriptProperties, options);
 }
 
 /**
- * Marks stale applications as "Rejected".
+ * Menu handler: previews application email processing without changing anything.
+ * Proposed changes are staged in the "Pending Changes" sheet.
+ */
+function previewJobApplicationEmails() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const result = processJobApplicationEmails(ss, PropertiesService.getScriptProperties(), { dryRun: true, source: 'menu' });
+    if (result.ran) _showPreviewFinished(ss);
+}
+
+/**
+ * Shows the staging sheet after a preview run, if the UI is available.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @private
+ */
+function _showPreviewFinished(ss) {
+    try {
+        const stagingSheet = ss.getSheetByName(PENDING_CHANGES_SHEET_NAME);
+        if (stagingSheet) stagingSheet.activate();
+        const ui = SpreadsheetApp.getUi();
+        ui.alert('Preview Finished', `No sheets or Gmail labels were changed. Review the proposed changes in "${PENDING_CHANGES_SHEET_NAME}", then use "Apply Pending Changes" or "Discard Pending Changes".`, ui.ButtonSet.OK);
+    } catch (e) { /* UI not available */ }
+}
+
+
+/**
+ * Marks stale applications as "No Response / Ghosted" (see StaleApplications.js); the name is
+ * kept for existing triggers and callers. Holds the Application Tracker run lease so it
+ * cannot overwrite rows an email processing run is writing at the same time.
  * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @param {string} [source] Where the run was started from ('trigger' or 'menu').
+ * @returns {{ran: boolean, holder: object|null}} `ran` is false if the tracker was already running.
  */
-function markStaleApplicationsAsRejected(ss) {
+function markStaleApplicationsAsRejected(ss, source) {
     const FUNC_NAME = "markStaleApplicationsAsRejected";
     Logger.log(`\n==== ${FUNC_NAME}: START (${new Date().toLocaleString()}) ====`);
     
     if (!ss) {
       Logger.log(`[${FUNC_NAME} FATAL ERROR] Main spreadsheet not passed. Aborting.`);
-      return;
-    }
-  
-    let dataSheet;
-    try {
-      dataSheet = ss.getSheetByName(APP_TRACKER_SHEET_TAB_NAME);
-      if (!dataSheet) {
-          Logger.log(`[${FUNC_NAME} FATAL ERROR] Tab "${APP_TRACKER_SHEET_TAB_NAME}" not found in "${ss.getName()}". Aborting.`);
-          return;
-      }
-    } catch (e) {
-      Logger.log(`[${FUNC_NAME} FATAL ERROR] Accessing tab "${APP_TRACKER_SHEET_TAB_NAME}": ${e.message}. Aborting.`);
-      return;
-    }
-    
-    const dataRange = dataSheet.getDataRange();
-    const sheetValues = dataRange.getValues();
-    const currentDate = new Date();
-    const staleThresholdDate = new Date();
-    staleThresholdDate.setDate(currentDate.getDate() - (WEEKS_THRESHOLD * 7));
-    
-    let updatedApplicationsCount = 0;
-    for (let i = 1; i < sheetValues.length; i++) {
-        const currentStatus = sheetValues[i][STATUS_COL - 1];
-        const lastUpdateDate = new Date(sheetValues[i][LAST_UPDATE_DATE_COL - 1]);
-        if (!FINAL_STATUSES_FOR_STALE_CHECK.has(currentStatus) && lastUpdateDate < staleThresholdDate) {
-            sheetValues[i][STATUS_COL - 1] = REJECTED_STATUS;
-            sheetValues[i][LAST_UPDATE_DATE_COL - 1] = currentDate;
-            updatedApplicationsCount++;
-        }
-    }
-  
-    if (updatedApplicationsCount > 0) {
-      dataRange.setValues(sheetValues);
-      Logger.log(`[${FUNC_NAME} INFO] Updated ${updatedApplicationsCount} stale applications to Rejected.`);
-    } else {
-      Logger.log(`[${FUNC_NAME} INFO] No stale applications found needing update.`);
+      return { ran: false, holder: null };
     }
+
+    const moduleName = getRegisteredModule("applicationTracker").moduleName;
+    const outcome = withModuleRunLease(ss, moduleName, source || 'unknown', lease => _markStaleApplications(ss, lease.runId));
+    if (!outcome.ran) notifyRunAlreadyInProgress(moduleName, outcome.holder, source || 'unknown');
+    return { ran: outcome.ran, holder: outcome.holder };
+}
+
+/**
+ * Simple trigger: records manual Status edits on the Applications sheet in the "Status History" sheet
+ * and locks manually corrected fields against automation (see FieldLocks.js).
+ * @param {GoogleAppsScript.Events.SheetsOnEdit} e The edit event.
+ */
+function onEdit(e) {
+  recordManualStatusEdit(e);
+  recordManualFieldLocks(e);
 }
 
 /**
@@ -594,15 +1157,29 @@ function onOpen(e) {
   
   menu.addItem('🚀 Finalize Project Setup', 'userDrivenFullSetup');
   menu.addSeparator();
-  menu.addSubMenu(ui.createMenu('Manual Processing')
-      .addItem('📧 Process Application Emails', 'processEmails_triggerHandler')
-      .addItem('🗑️ Mark Stale Applications', 'markStale_triggerHandler')
-      .addItem('📬 Process Job Leads', 'processJobLeads'));
+  const processingMenu = ui.createMenu('Manual Processing');
+  getRegisteredModules().forEach(module => {
+    (module.menuItems || []).forEach(item => processingMenu.addItem(item.caption, item.functionName));
+  });
+  processingMenu.addSeparator()
+      .addItem('✅ Apply Pending Changes', 'applyPendingChanges_UI')
+      .addItem('🧹 Discard Pending Changes', 'discardPendingChanges_UI');
+  menu.addSubMenu(processingMenu);
+  menu.addSubMenu(ui.createMenu('Data Tools')
+      .addItem('🔗 Find & Merge Duplicates', 'findAndMergeDuplicates_UI')
+      .addItem('↩️ Undo Last Merge', 'undoLastMerge_UI')
+      .addItem('🕒 Show Status Timeline', 'showStatusTimeline_UI')
+      .addItem('⏪ Revert Last Stale Run', 'revertLastStaleRun_UI'));
   menu.addSeparator();
   menu.addSubMenu(ui.createMenu('Admin & Config')
       .addItem('🔑 Set Gemini API Key', 'setSharedGeminiApiKey_UI')
       .addItem('🔄 Activate AI Features & Sync Key', 'activateAiFeatures')
-      .addItem('🔍 Show All User Properties', 'showAllUserProperties'));
+      .addItem('🔍 Show All User Properties', 'showAllUserProperties')
+      .addItem('🎛️ Apply Status Settings', 'applyStatusSettings_UI')
+      .addItem('📬 Stale Digest Email On/Off', 'toggleStaleDigest_UI')
+      .addItem('🔒 AI / Rules-Only Processing', 'setProcessingMode_UI')
+      .addItem('🩺 Module Diagnostics', 'showModuleDiagnostics_UI')
+      .addItem('📊 Recent Processing Runs', 'showRecentRunsSummary_UI'));
   menu.addSeparator();
   menu.addItem('❌ Uninstall Backend', 'uninstall');
   menu.addToUi();
@@ -653,10 +1230,14 @@ function uninstall() {
     const triggers = ScriptApp.getProjectTriggers();
     triggers.forEach(trigger => ScriptApp.deleteTrigger(trigger));
     Logger.log(`[${FUNC_NAME}] All triggers removed.`);
-    
-    // Additional cleanup for filters if needed
-    
-    ui.alert('Uninstall Complete', 'All triggers have been removed.', ui.ButtonSet.OK);
+
+    let filtersRemoved = 0;
+    getRegisteredModules().forEach(module => {
+      filtersRemoved += deleteGmailFiltersForLabel(module.gmailFilterQuery, module.gmailLabelToProcess);
+    });
+    Logger.log(`[${FUNC_NAME}] ${filtersRemoved} Gmail filter(s) removed.`);
+
+    ui.alert('Uninstall Complete', `All triggers and ${filtersRemoved} Gmail filter(s) have been removed.`, ui.ButtonSet.OK);
   } else {
     ui.alert('Uninstall Canceled', 'No changes made.', ui.ButtonSet.OK);
   }
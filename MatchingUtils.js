@@ -0,0 +1,199 @@
+/**
+ * @file Normalizes and compares company names and job titles so that an email about
+ * "Acme, Inc." / "Sr. Software Engineer" updates the existing "Acme" / "Senior Software Engineer"
+ * row instead of creating a new one. Thresholds and word lists live in Config.js; company aliases
+ * ("Facebook" -> "Meta") come from the "Company Aliases" sheet.
+ */
+
+/**
+ * Normalizes a company name for comparison: lowercase, "&" as "and", no punctuation,
+ * no leading "the" and no legal-entity suffixes (Inc, LLC, GmbH, ...).
+ * @param {string} name The company name.
+ * @returns {string} The normalized name, or "" if nothing is left.
+ */
+function normalizeCompanyName(name) {
+  const tokens = _normalizeTokens(name);
+  if (tokens[0] === "the" && tokens.length > 1) tokens.shift();
+  // Suffixes are only dropped from the end, and never down to an empty name ("The Company Co").
+  while (tokens.length > 1 && COMPANY_LEGAL_SUFFIXES.includes(tokens[tokens.length - 1])) tokens.pop();
+  return tokens.join(" ");
+}
+
+/**
+ * Normalizes a job title for comparison: lowercase, no punctuation, abbreviations expanded.
+ * @param {string} title The job title.
+ * @returns {string} The normalized title, or "" if nothing is left.
+ */
+function normalizeJobTitle(title) {
+  return _normalizeTokens(title)
+    .map(token => JOB_TITLE_ABBREVIATIONS[token] || token)
+    .join(" ");
+}
+
+/**
+ * Builds the key a company is matched under: its canonical name (see CompanyAliases.js), normalized.
+ * @param {string} name The company name.
+ * @returns {string} The match key.
+ */
+function companyMatchKey(name) {
+  return normalizeCompanyName(resolveCompanyAlias(name));
+}
+
+/**
+ * Scores how similar two normalized strings are, from 0 to 1.
+ * Takes the better of a word-overlap score (robust to word order and extra words)
+ * and an edit-distance score (robust to typos and spacing).
+ * Used for company names; job titles are compared with `titleSimilarityScore`.
+ * @param {string} a A normalized string.
+ * @param {string} b Another normalized string.
+ * @returns {number} The similarity score.
+ */
+function similarityScore(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const tokensA = new Set(a.split(" "));
+  const tokensB = new Set(b.split(" "));
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+  const tokenScore = (2 * shared) / (tokensA.size + tokensB.size);
+  const compactA = a.replace(/ /g, "");
+  const compactB = b.replace(/ /g, "");
+  const editScore = 1 - _levenshteinDistance(compactA, compactB) / Math.max(compactA.length, compactB.length);
+  return Math.max(tokenScore, editScore);
+}
+
+/**
+ * Scores how similar two normalized job titles are, from 0 to 1, word by word. Level words
+ * (see JOB_TITLE_LEVEL_TOKENS) and numbers must be identical, or the score is 0; other words may
+ * be in any order and may differ by a typo ("Enginer"), but not by a different word ("Project"
+ * vs "Product"). The score is the share of words the two titles have in common.
+ * @param {string} a A title normalized with `normalizeJobTitle`.
+ * @param {string} b Another normalized title.
+ * @returns {number} The similarity score.
+ */
+function titleSimilarityScore(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const tokensA = a.split(" ");
+  const tokensB = b.split(" ");
+  const levels = tokens => tokens.filter(_isTitleLevelToken).map(token => token === "i" ? "1" : token).sort().join(" ");
+  if (levels(tokensA) !== levels(tokensB)) return 0;
+
+  const wordsA = tokensA.filter(token => !_isTitleLevelToken(token));
+  const wordsB = tokensB.filter(token => !_isTitleLevelToken(token));
+  if (wordsA.length === 0 || wordsB.length === 0) return wordsA.length === wordsB.length ? 1 : 0;
+  const unused = [...wordsB];
+  let shared = 0;
+  wordsA.forEach(word => {
+    let j = unused.indexOf(word);
+    if (j === -1) j = unused.findIndex(other => _isTitleTypo(word, other));
+    if (j === -1) return;
+    unused.splice(j, 1);
+    shared++;
+  });
+  return (2 * shared) / (wordsA.length + wordsB.length);
+}
+
+/**
+ * Finds the application row an email most likely refers to.
+ * A row only matches when BOTH its company and its title clear their thresholds; there is
+ * deliberately no company-only fallback, so a second role at the same company gets its own row.
+ * @param {string} companyName The company parsed from the email.
+ * @param {string} jobTitle The job title parsed from the email.
+ * @param {Map<string, object[]>} companyIndex The engine's cache, keyed by `companyMatchKey`.
+ * @returns {{entry: object, score: number, companyScore: number, titleScore: number}|null} The best match, or null.
+ */
+function findBestApplicationMatch(companyName, jobTitle, companyIndex) {
+  const companyKey = companyMatchKey(companyName);
+  const titleKey = normalizeJobTitle(jobTitle);
+  if (!companyKey || !titleKey) return null;
+
+  let best = null;
+  for (const [indexKey, entries] of companyIndex) {
+    const companyScore = indexKey === companyKey ? 1 : similarityScore(companyKey, indexKey);
+    if (companyScore < COMPANY_MATCH_THRESHOLD) continue;
+    for (const entry of entries) {
+      if (!entry.title) continue;
+      const titleScore = titleSimilarityScore(titleKey, normalizeJobTitle(entry.title));
+      if (titleScore < JOB_TITLE_MATCH_THRESHOLD) continue;
+      const score = Math.round(companyScore * titleScore * 100) / 100;
+      if (!best || score > best.score) best = { entry: entry, score: score, companyScore: companyScore, titleScore: titleScore };
+    }
+  }
+  return best;
+}
+
+/**
+ * Finds the application row carrying a requisition ID. IDs are only unique within one employer,
+ * so when the company is known the row must be for the same company; when it is not, the ID
+ * must identify exactly one row.
+ * @param {string|null} requisitionId The ID found in the email.
+ * @param {string} companyName The company parsed from the email (may be MANUAL_REVIEW_NEEDED).
+ * @param {Map<string, object[]>} companyIndex The engine's cache.
+ * @returns {object|null} The matching cache entry, or null.
+ */
+function findApplicationByRequisitionId(requisitionId, companyName, companyIndex) {
+  if (!requisitionId) return null;
+  const wanted = String(requisitionId).trim().toUpperCase();
+  const companyKnown = !!companyName && companyName !== MANUAL_REVIEW_NEEDED;
+  const matches = [];
+  for (const entries of companyIndex.values()) {
+    for (const entry of entries) {
+      if (!entry.requisitionId || String(entry.requisitionId).trim().toUpperCase() !== wanted) continue;
+      if (companyKnown && !isSameCompany(entry.company, companyName)) continue;
+      matches.push(entry);
+    }
+  }
+  if (companyKnown) return matches[0] || null;
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Checks whether two company names refer to the same company.
+ * @param {string} a A company name.
+ * @param {string} b Another company name.
+ * @returns {boolean} True if their similarity clears COMPANY_MATCH_THRESHOLD.
+ */
+function isSameCompany(a, b) {
+  return similarityScore(companyMatchKey(a), companyMatchKey(b)) >= COMPANY_MATCH_THRESHOLD;
+}
+
+/** @private */
+function _normalizeTokens(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+}
+
+/** @private */
+function _isTitleLevelToken(token) {
+  return /^\d+$/.test(token) || JOB_TITLE_LEVEL_TOKENS.includes(token);
+}
+
+/**
+ * Checks whether two title words differ only by a typo: one edit for words of 5-7 letters, two
+ * from 8 letters; shorter words must be identical.
+ * @private
+ */
+function _isTitleTypo(a, b) {
+  const length = Math.min(a.length, b.length);
+  const allowed = length >= 8 ? 2 : (length >= 5 ? 1 : 0);
+  return allowed > 0 && Math.abs(a.length - b.length) <= allowed && _levenshteinDistance(a, b) <= allowed;
+}
+
+/** @private */
+function _levenshteinDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
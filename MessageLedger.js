@@ -0,0 +1,108 @@
+/**
+ * @file Maintains the shared "Processed Messages" ledger used by the processing engine
+ * to apply each Gmail message exactly once per module.
+ */
+
+/**
+ * Gets or creates the hidden ledger sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The ledger sheet or null if it could not be created.
+ */
+function getOrCreateProcessedLedgerSheet(ss) {
+  const FUNC_NAME = "getOrCreateProcessedLedgerSheet";
+  let ledgerSheet = ss.getSheetByName(PROCESSED_LEDGER_SHEET_NAME);
+  if (ledgerSheet) {
+    // Ledgers created before the Company/Job Title columns existed get the new headers appended.
+    if (ledgerSheet.getLastColumn() < PROCESSED_LEDGER_HEADERS.length) {
+      ledgerSheet.getRange(1, 1, 1, PROCESSED_LEDGER_HEADERS.length).setValues([PROCESSED_LEDGER_HEADERS]);
+      Logger.log(`[${FUNC_NAME} INFO] Added missing ledger columns.`);
+    }
+    return ledgerSheet;
+  }
+
+  try {
+    ledgerSheet = ss.insertSheet(PROCESSED_LEDGER_SHEET_NAME);
+    const widths = PROCESSED_LEDGER_COLUMN_WIDTHS.map((width, i) => ({ col: i + 1, width: width }));
+    setupSheetFormatting(ledgerSheet, PROCESSED_LEDGER_HEADERS, widths, false);
+    ledgerSheet.setTabColor(BRAND_COLORS.CHARCOAL);
+    ledgerSheet.hideSheet();
+    Logger.log(`[${FUNC_NAME} INFO] Created hidden ledger sheet "${PROCESSED_LEDGER_SHEET_NAME}".`);
+    return ledgerSheet;
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Failed to create ledger sheet: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Loads the IDs of all messages a module has already applied.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @param {string} moduleName The module name (e.g., "Application Tracker").
+ * @param {boolean} [readOnly] True for preview runs: the ledger is only looked up, never created or upgraded.
+ * @returns {Set<string>} The set of message IDs recorded in the ledger for this module.
+ */
+function loadProcessedMessageIds(ss, moduleName, readOnly) {
+  const FUNC_NAME = "loadProcessedMessageIds";
+  const ids = new Set();
+  const ledgerSheet = _getProcessedLedgerSheet(ss, readOnly);
+  if (!ledgerSheet || ledgerSheet.getLastRow() < 2) return ids;
+
+  const moduleColIndex = PROCESSED_LEDGER_HEADERS.indexOf("Module");
+  const values = ledgerSheet.getRange(2, 1, ledgerSheet.getLastRow() - 1, moduleColIndex + 1).getValues();
+  values.forEach(row => {
+    if (row[0] && row[moduleColIndex] === moduleName) ids.add(String(row[0]).trim());
+  });
+  if (DEBUG_MODE) Logger.log(`[${FUNC_NAME} DEBUG] ${ids.size} ledger entries for ${moduleName}.`);
+  return ids;
+}
+
+/**
+ * Loads the company and job title most recently recorded for each of a module's threads,
+ * so a later reply in the thread can be matched even if it names neither.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @param {string} moduleName The module name.
+ * @param {boolean} [readOnly] True for preview runs: the ledger is only looked up, never created or upgraded.
+ * @returns {Map<string, {company: string, title: string}>} Known values keyed by thread ID.
+ */
+function loadThreadKnownValues(ss, moduleName, readOnly) {
+  const known = new Map();
+  const ledgerSheet = _getProcessedLedgerSheet(ss, readOnly);
+  if (!ledgerSheet || ledgerSheet.getLastRow() < 2) return known;
+
+  const threadColIndex = PROCESSED_LEDGER_HEADERS.indexOf("Thread ID");
+  const moduleColIndex = PROCESSED_LEDGER_HEADERS.indexOf("Module");
+  const companyColIndex = PROCESSED_LEDGER_HEADERS.indexOf("Company");
+  const titleColIndex = PROCESSED_LEDGER_HEADERS.indexOf("Job Title");
+  const values = ledgerSheet.getRange(2, 1, ledgerSheet.getLastRow() - 1, PROCESSED_LEDGER_HEADERS.length).getValues();
+  values.forEach(row => {
+    if (row[moduleColIndex] !== moduleName || !row[threadColIndex] || !row[companyColIndex]) return;
+    known.set(String(row[threadColIndex]), { company: String(row[companyColIndex]), title: String(row[titleColIndex] || "") });
+  });
+  return known;
+}
+
+/**
+ * Appends entries to the ledger in a single batch write.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @param {{messageId: string, threadId: string, moduleName: string, outcome: string, emailDate: Date, company?: string, title?: string}[]} entries The messages to record.
+ */
+function appendToProcessedLedger(ss, entries) {
+  const FUNC_NAME = "appendToProcessedLedger";
+  if (!entries || entries.length === 0) return;
+  const ledgerSheet = getOrCreateProcessedLedgerSheet(ss);
+  if (!ledgerSheet) {
+    throw new Error(`Ledger sheet "${PROCESSED_LEDGER_SHEET_NAME}" is unavailable.`);
+  }
+  const now = new Date();
+  const rows = entries.map(entry => [entry.messageId, entry.threadId, entry.moduleName, entry.outcome, entry.emailDate || "", now, entry.company || "", entry.title || ""]);
+  ledgerSheet.getRange(ledgerSheet.getLastRow() + 1, 1, rows.length, PROCESSED_LEDGER_HEADERS.length).setValues(rows);
+  Logger.log(`[${FUNC_NAME} INFO] Recorded ${rows.length} message(s) in the ledger.`);
+}
+
+/**
+ * Returns the ledger sheet for reading. A missing ledger reads as empty in read-only mode.
+ * @private
+ */
+function _getProcessedLedgerSheet(ss, readOnly) {
+  return readOnly ? ss.getSheetByName(PROCESSED_LEDGER_SHEET_NAME) : getOrCreateProcessedLedgerSheet(ss);
+}
@@ -0,0 +1,75 @@
+/**
+ * @file The classification stage the processing engine runs between a module's parser and its data
+ * handler. A module with a `classifierFunction` sorts each email into one of MESSAGE_ROUTES; emails
+ * on a route listed in the module's `messageRoutes` are not handed to the data handler but moved to
+ * that route's Gmail label, or to another module's "To Process" label (job alerts go to the Job Leads Tracker).
+ */
+
+/**
+ * Classifies an Application Tracker email. Gemini's "email_type" is used when it returned one;
+ * otherwise a job-alert subject marks a job lead and anything else is treated as an application update.
+ * @param {object|null} parsed The parser's result (see `callGemini_forApplicationDetails`).
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message The message.
+ * @returns {{route: string, reason: string}} The route and why it was chosen.
+ */
+function classifyApplicationEmail(parsed, message) {
+  if (parsed && Object.values(MESSAGE_ROUTES).includes(parsed.emailType)) {
+    return { route: parsed.emailType, reason: "Gemini" };
+  }
+  const subject = String(message.getSubject() || "").toLowerCase();
+  const alertPhrase = JOB_ALERT_SUBJECT_PHRASES.find(phrase => subject.includes(phrase));
+  if (alertPhrase) return { route: MESSAGE_ROUTES.JOB_LEAD, reason: `subject contains "${alertPhrase}"` };
+  return { route: MESSAGE_ROUTES.APPLICATION_UPDATE, reason: "default" };
+}
+
+/**
+ * Runs a module's classifier on a parsed message and decides whether it leaves the module.
+ * @param {object} config The module's processing config.
+ * @param {object|null} parsed The parser's result.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message The message.
+ * @returns {{route: string, reason: string, label: string}|null} Where the message goes, or null if the module handles it.
+ */
+function routeMessage(config, parsed, message) {
+  if (typeof config.classifierFunction !== 'function' || !config.messageRoutes) return null;
+  const classification = config.classifierFunction(parsed, message);
+  const label = classification ? resolveMessageRouteLabel(config, classification.route) : null;
+  if (!label) return null;
+  Logger.log(`[routeMessage INFO] Msg ${message.getId()} classified as ${classification.route} (${classification.reason}); moving it to "${label}".`);
+  return Object.assign({ label: label }, classification);
+}
+
+/**
+ * Looks up the Gmail label a route sends messages to. A route is either `{label}` or
+ * `{moduleId}`, in which case the other module's "To Process" label is used.
+ * @param {object} config The module's processing config.
+ * @param {string} route One of MESSAGE_ROUTES.
+ * @returns {string|null} The label name, or null if the route is not configured (or its module is not registered).
+ */
+function resolveMessageRouteLabel(config, route) {
+  const target = (config.messageRoutes || {})[route];
+  if (!target) return null;
+  if (target.moduleId) {
+    const targetModule = getRegisteredModule(target.moduleId);
+    if (!targetModule) Logger.log(`[resolveMessageRouteLabel WARN] Route "${route}" targets module "${target.moduleId}", which is not registered.`);
+    return targetModule ? targetModule.gmailLabelToProcess : null;
+  }
+  return target.label || null;
+}
+
+/**
+ * Builds the thread/ledger outcome for a routed message.
+ * @param {string} label The label the message was moved to.
+ * @returns {string} The outcome.
+ */
+function routedOutcome(label) {
+  return `${ROUTED_OUTCOME_PREFIX}${label}`;
+}
+
+/**
+ * Returns the label of a routed outcome.
+ * @param {string} outcome A thread or ledger outcome.
+ * @returns {string|null} The label, or null if the outcome is not a routed one.
+ */
+function getRoutedOutcomeLabel(outcome) {
+  return typeof outcome === 'string' && outcome.startsWith(ROUTED_OUTCOME_PREFIX) ? outcome.substring(ROUTED_OUTCOME_PREFIX.length) : null;
+}
@@ -0,0 +1,202 @@
+/**
+ * @file Registry of email-processing modules. Setup, processing, the spreadsheet menu,
+ * uninstall, diagnostics and checkpoint continuations are all driven from it.
+ *
+ * To add a module, create one file that declares a global function named
+ * `moduleDefinition_<something>()` returning the module's definition (see
+ * `_validateModuleDefinition` for the fields). Definitions are returned from functions,
+ * not top-level objects, because Apps Script evaluates files one after another and
+ * Config.js constants may not exist yet when another file's top level runs.
+ */
+
+/** @private Cache of validated definitions for the current execution. */
+let _moduleRegistryCache = null;
+
+/**
+ * Returns every registered module definition, sorted by `order`.
+ * @returns {object[]} The module definitions.
+ */
+function getRegisteredModules() {
+  if (_moduleRegistryCache) return _moduleRegistryCache;
+  const FUNC_NAME = "getRegisteredModules";
+  const definitions = [];
+
+  Object.keys(globalThis)
+    .filter(name => name.startsWith(MODULE_DEFINITION_PREFIX) && typeof globalThis[name] === 'function')
+    .forEach(name => {
+      try {
+        const definition = globalThis[name]();
+        const problems = _validateModuleDefinition(definition);
+        if (problems.length > 0) {
+          Logger.log(`[${FUNC_NAME} ERROR] Module from ${name}() is invalid and was skipped: ${problems.join('; ')}`);
+          return;
+        }
+        if (definitions.some(d => d.id === definition.id || d.moduleName === definition.moduleName)) {
+          Logger.log(`[${FUNC_NAME} ERROR] Module from ${name}() duplicates id "${definition.id}" or name "${definition.moduleName}" and was skipped.`);
+          return;
+        }
+        definitions.push(definition);
+      } catch (e) {
+        Logger.log(`[${FUNC_NAME} ERROR] ${name}() threw: ${e.message}`);
+      }
+    });
+
+  definitions.sort((a, b) => (a.order ?? 100) - (b.order ?? 100));
+  _moduleRegistryCache = definitions;
+  return definitions;
+}
+
+/**
+ * Looks up a module by its id or display name.
+ * @param {string} idOrName The module id (e.g., "applicationTracker") or name (e.g., "Application Tracker").
+ * @returns {object|null} The module definition or null if not registered.
+ */
+function getRegisteredModule(idOrName) {
+  return getRegisteredModules().find(d => d.id === idOrName || d.moduleName === idOrName) || null;
+}
+
+/**
+ * Runs the sheet, label, filter and trigger setup for one module.
+ * @param {object} definition The module definition.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} activeSS The spreadsheet object.
+ * @returns {{success: boolean, messages: string[]}}
+ */
+function setupRegisteredModule(definition, activeSS) {
+  return _setupModule(Object.assign({ activeSS: activeSS }, definition));
+}
+
+/**
+ * Runs the processing engine for one module, unless another execution is already processing it.
+ * @param {object} definition The module definition.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @param {GoogleAppsScript.Properties.Properties} scriptProperties The script's properties.
+ * @param {{dryRun?: boolean, source?: string}} [options] `dryRun` stages changes instead of applying them;
+ *     `source` ('trigger', 'menu', 'webapp', 'continuation') is recorded in the run lease.
+ * @returns {{ran: boolean, holder: object|null}} `ran` is false if the module was already running.
+ */
+function runModuleProcessing(definition, ss, scriptProperties, options) {
+  const source = (options && options.source) || 'unknown';
+  const config = Object.assign({}, definition, { dryRun: !!(options && options.dryRun === true), runSource: source });
+  const outcome = withModuleRunLease(ss, definition.moduleName, source, lease => {
+    config.runId = lease.runId;
+    return _processingEngine(config, ss, scriptProperties);
+  });
+  if (!outcome.ran) notifyRunAlreadyInProgress(definition.moduleName, outcome.holder, source);
+  return { ran: outcome.ran, holder: outcome.holder };
+}
+
+/**
+ * Collects a status report for every registered module.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @returns {{moduleName: string, lines: string[], healthy: boolean}[]} One report per module.
+ */
+function getModuleDiagnostics(ss) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const triggerHandlers = ScriptApp.getProjectTriggers().map(t => t.getHandlerFunction());
+
+  return getRegisteredModules().map(definition => {
+    const lines = [];
+    let healthy = true;
+
+    const sheet = ss.getSheetByName(definition.sheetTabName);
+    if (sheet) lines.push(`Sheet "${definition.sheetTabName}": ${Math.max(sheet.getLastRow() - 1, 0)} row(s).`);
+    else { lines.push(`Sheet "${definition.sheetTabName}": MISSING.`); healthy = false; }
+
+    const toProcessLabel = GmailApp.getUserLabelByName(definition.gmailLabelToProcess);
+    const labelNames = [definition.gmailLabelToProcess, definition.gmailLabelProcessed, definition.gmailLabelManualReview].filter(Boolean);
+    const missingLabels = labelNames.filter(name => !GmailApp.getUserLabelByName(name));
+    if (missingLabels.length > 0) { lines.push(`Labels MISSING: ${missingLabels.join(', ')}.`); healthy = false; }
+    else lines.push(`Labels: OK. ${toProcessLabel.getThreads(0, 100).length} thread(s) waiting in "${definition.gmailLabelToProcess}".`);
+
+    [definition.triggerFunctionName, definition.staleRejectFunctionName].filter(Boolean).forEach(handler => {
+      if (triggerHandlers.includes(handler)) lines.push(`Trigger "${handler}": OK.`);
+      else { lines.push(`Trigger "${handler}": MISSING.`); healthy = false; }
+    });
+
+    lines.push(`Processing mode: ${getModuleProcessingMode(scriptProperties, definition) === PROCESSING_MODES.RULES ? 'rules only (no Gemini)' : 'AI'}.`);
+    if (hasProcessingCheckpoint(scriptProperties, definition.moduleName)) lines.push("Checkpoint: a partial run is waiting to resume.");
+    const lease = getModuleRunLease(ss, definition.moduleName);
+    if (lease) lines.push(`Running now: ${describeRunLease(lease)}.`);
+    return { moduleName: definition.moduleName, lines: lines, healthy: healthy };
+  });
+}
+
+/**
+ * Reads a module's processing mode. Only modules with a `rulesParserFunction` can run rules-only.
+ * @param {GoogleAppsScript.Properties.Properties} scriptProperties The script's properties.
+ * @param {object} definition The module definition (or its processing config).
+ * @returns {string} One of PROCESSING_MODES.
+ */
+function getModuleProcessingMode(scriptProperties, definition) {
+  const stored = scriptProperties.getProperty(`${PROCESSING_MODE_PROPERTY_PREFIX}${definition.id}`);
+  return stored === PROCESSING_MODES.RULES && typeof definition.rulesParserFunction === 'function'
+    ? PROCESSING_MODES.RULES : PROCESSING_MODES.AI;
+}
+
+/**
+ * Menu handler: switches each module that supports it between AI and rules-only processing.
+ */
+function setProcessingMode_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const modules = getRegisteredModules().filter(definition => typeof definition.rulesParserFunction === 'function');
+  if (modules.length === 0) {
+    ui.alert('Processing Mode', 'No registered module supports rules-only processing.', ui.ButtonSet.OK);
+    return;
+  }
+  const summary = modules.map(definition => {
+    const rulesOnly = getModuleProcessingMode(scriptProperties, definition) === PROCESSING_MODES.RULES;
+    const response = ui.alert(`Processing Mode: ${definition.moduleName}`,
+      `${definition.moduleName} currently runs ${rulesOnly ? 'RULES-ONLY: emails are parsed locally and never sent to Gemini' : 'with AI: email content is sent to Gemini'}.\n\nSwitch it to ${rulesOnly ? 'AI' : 'rules-only'} processing?`,
+      ui.ButtonSet.YES_NO);
+    const nowRulesOnly = response === ui.Button.YES ? !rulesOnly : rulesOnly;
+    if (nowRulesOnly !== rulesOnly) {
+      scriptProperties.setProperty(`${PROCESSING_MODE_PROPERTY_PREFIX}${definition.id}`, nowRulesOnly ? PROCESSING_MODES.RULES : PROCESSING_MODES.AI);
+      Logger.log(`[setProcessingMode_UI INFO] ${definition.moduleName} switched to ${nowRulesOnly ? 'rules-only' : 'AI'} processing.`);
+    }
+    return `${definition.moduleName}: ${nowRulesOnly ? 'rules only' : 'AI'}`;
+  });
+  ui.alert('Processing Mode', summary.join('\n'), ui.ButtonSet.OK);
+}
+
+/**
+ * Menu handler: shows the module diagnostics in a dialog.
+ */
+function showModuleDiagnostics_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const reports = getModuleDiagnostics(SpreadsheetApp.getActiveSpreadsheet());
+  const text = reports.map(r => `${r.healthy ? '✅' : '⚠️'} ${r.moduleName}\n  - ${r.lines.join('\n  - ')}`).join('\n\n');
+  Logger.log(`[showModuleDiagnostics_UI INFO]\n${text}`);
+  ui.alert('Module Diagnostics', text || 'No modules are registered.', ui.ButtonSet.OK);
+}
+
+/**
+ * Checks a module definition for the fields the engine and setup rely on.
+ * Required: id, moduleName, sheetTabName, sheetHeaders, gmailLabelParent, gmailLabelToProcess,
+ * gmailLabelProcessed, gmailFilterQuery, parserFunction, dataHandler, triggerFunctionName,
+ * triggerIntervalHours. parserFunction is called with (subject, body, apiKey, threadContext, message).
+ * Optional: order, columnWidths, bandingTheme, tabColor, gmailLabelManualReview,
+ * sheetEmailIdsFunction, staleRejectFunctionName, seedDummyRows, gmailBatchSize,
+ * useThreadContext (pass earlier thread messages to the parser and handler),
+ * classifierFunction and messageRoutes (route emails away before the handler; see MessageRouting.js),
+ * rulesParserFunction (same signature as parserFunction, without Gemini; enables rules-only mode),
+ * menuItems ([{caption, functionName}]).
+ * @param {object} definition The definition to check.
+ * @returns {string[]} A list of problems; empty if the definition is valid.
+ * @private
+ */
+function _validateModuleDefinition(definition) {
+  if (!definition || typeof definition !== 'object') return ["definition is not an object"];
+  const problems = [];
+  ['id', 'moduleName', 'sheetTabName', 'gmailLabelParent', 'gmailLabelToProcess', 'gmailLabelProcessed', 'gmailFilterQuery', 'triggerFunctionName']
+    .forEach(field => { if (!definition[field] || typeof definition[field] !== 'string') problems.push(`"${field}" must be a non-empty string`); });
+  ['parserFunction', 'dataHandler']
+    .forEach(field => { if (typeof definition[field] !== 'function') problems.push(`"${field}" must be a function`); });
+  if (!Array.isArray(definition.sheetHeaders) || definition.sheetHeaders.length === 0) problems.push(`"sheetHeaders" must be a non-empty array`);
+  if (!(definition.triggerIntervalHours > 0)) problems.push(`"triggerIntervalHours" must be a positive number`);
+  if (definition.menuItems && !definition.menuItems.every(item => item.caption && item.functionName)) problems.push(`"menuItems" entries need a caption and functionName`);
+  if (definition.classifierFunction !== undefined && typeof definition.classifierFunction !== 'function') problems.push(`"classifierFunction" must be a function`);
+  if (definition.rulesParserFunction !== undefined && typeof definition.rulesParserFunction !== 'function') problems.push(`"rulesParserFunction" must be a function`);
+  if (definition.messageRoutes && !Object.values(definition.messageRoutes).every(target => target && (target.label || target.moduleId))) problems.push(`"messageRoutes" entries need a label or moduleId`);
+  return problems;
+}
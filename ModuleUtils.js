@@ -21,6 +21,7 @@ function _setupModule(config) {
       Logger.log(`[${FUNC_NAME} INFO] Created new sheet: "${config.sheetTabName}".`);
     } else {
       Logger.log(`[${FUNC_NAME} INFO] Found existing sheet: "${config.sheetTabName}".`);
+      upgradeSheetHeaders(dataSh, config.sheetHeaders, config.columnWidths);
     }
     if (!setupSheetFormatting(dataSh, config.sheetHeaders, config.columnWidths, true, config.bandingTheme)) {
       throw new Error(`Formatting failed for "${config.sheetTabName}".`);
@@ -45,6 +46,10 @@ function _setupModule(config) {
       if (config.gmailLabelManualReview) {
         getOrCreateLabel(config.gmailLabelManualReview); Utilities.sleep(100); // From Config.gs
       }
+      // Labels of routes that leave the module (routes to another module use that module's labels).
+      Object.values(config.messageRoutes || {}).filter(target => target.label).forEach(target => {
+        getOrCreateLabel(target.label); Utilities.sleep(100);
+      });
 
       if (toProcessLabelObject) {
         Utilities.sleep(300);
@@ -61,7 +66,7 @@ function _setupModule(config) {
         } else { Logger.log(`[${FUNC_NAME} WARN} No labels returned by Advanced Gmail Service.`); }
       }
       if (!trackerToProcessLabelId) throw new Error(`CRITICAL: Could not get ID for Gmail label "${config.gmailLabelToProcess}". Filter creation will fail.`);
-      messages.push("Tracker Labels & 'To Process' ID: OK.");
+      messages.push("Labels & 'To Process' ID: OK.");
 
       // Filter Creation
       const filterQuery = config.gmailFilterQuery; // from Config.gs
@@ -79,10 +84,10 @@ function _setupModule(config) {
         const filterResource = { criteria: { query: filterQuery }, action: { addLabelIds: [trackerToProcessLabelId] } };
         const createdFilterResponse = gmailApiServiceForFilter.Users.Settings.Filters.create(filterResource, 'me');
         if (!createdFilterResponse || !createdFilterResponse.id) {
-          throw new Error(`Gmail filter creation for tracker FAILED or did not return ID. Response: ${JSON.stringify(createdFilterResponse)}`);
+          throw new Error(`Gmail filter creation for ${config.moduleName} FAILED or did not return ID. Response: ${JSON.stringify(createdFilterResponse)}`);
         }
-        messages.push("Tracker Filter: CREATED.");
-      } else { messages.push("Tracker Filter: Exists."); }
+        messages.push("Filter: CREATED.");
+      } else { messages.push("Filter: Exists."); }
 
     } catch (e) {
       Logger.log(`[${FUNC_NAME} ERROR] Gmail Label/Filter setup: ${e.toString()}`);
@@ -92,7 +97,8 @@ function _setupModule(config) {
 
   // --- C. Add Dummy Data ---
   let dummyRows = []; // To scope it for removal block
-  if (moduleSuccess && dataSh && dataSh.getLastRow() <= 1) { // Only if sheet is truly empty (just header)
+  let dummyDataWasAdded = false;
+  if (moduleSuccess && config.seedDummyRows && dataSh && dataSh.getLastRow() <= 1) { // Only if sheet is truly empty (just header)
     Logger.log(`[${FUNC_NAME} INFO] Adding dummy data to "${config.sheetTabName}".`);
     try {
       const today = new Date();
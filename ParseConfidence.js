@@ -0,0 +1,143 @@
+/**
+ * @file Scores how far the company, job title and status parsed from an application email can be
+ * trusted, from 0 to 1, and decides what happens to the email (see CONFIDENCE_TIERS). Gemini's own
+ * confidence is raised when the rules-only parsers (subject/body patterns and keyword rules) find the
+ * same value and lowered when they find a different one; values from ATS templates, JobPostings, the
+ * thread or a requisition ID match have a fixed score (see CONFIDENCE_SOURCE_SCORES). The lowest field
+ * score is the email's confidence, written to the Applications sheet's "Confidence" column.
+ */
+
+/**
+ * Scores the fields of a parser result.
+ * @param {object} parsed The parser's result (see `callGemini_forApplicationDetails`, `parseWithAtsTemplate`
+ *     and `_trackerRulesParser`).
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message The message.
+ * @param {string} platform The email's platform (see `detectPlatform`), used by the pattern check.
+ * @returns {{company: number, title: number, status: number|null}} The confidence of each field;
+ *     `status` is null when the parser stated none (the keyword rules may still supply one).
+ */
+function scoreParsedFields(parsed, message, platform) {
+  const hasStatus = !!parsed.status && parsed.status !== GEMINI_STATUS_UPDATE_OTHER;
+  if (parsed.atsTemplate || parsed.parsedBy === PROCESSING_MODES.RULES) {
+    const source = parsed.atsTemplate ? "template" : "rules";
+    return {
+      company: sourceConfidence(parsed.company, source),
+      title: sourceConfidence(parsed.title, source),
+      status: hasStatus ? sourceConfidence(parsed.status, source) : null
+    };
+  }
+
+  const model = parsed.confidence || {};
+  const plainBody = message.getPlainBody() || "";
+  const regexResult = extractCompanyAndTitle(message, platform, message.getSubject() || "", plainBody);
+  const keywordMatch = matchKeywordRules(plainBody);
+  const sameTitle = (a, b) => titleSimilarityScore(normalizeJobTitle(a), normalizeJobTitle(b)) >= JOB_TITLE_MATCH_THRESHOLD;
+  return {
+    company: _checkedModelConfidence(parsed.company, model.company, regexResult.company, isSameCompany),
+    title: _checkedModelConfidence(parsed.title, model.title, regexResult.title, sameTitle),
+    status: hasStatus ? _checkedModelConfidence(parsed.status, model.status, keywordMatch ? keywordMatch.status : null, (a, b) => a === b) : null
+  };
+}
+
+/**
+ * Returns the fixed confidence of a value taken from a source other than Gemini.
+ * @param {string} value The value.
+ * @param {string} source A key of CONFIDENCE_SOURCE_SCORES.
+ * @returns {number} The confidence; 0 if the value is blank or MANUAL_REVIEW_NEEDED.
+ */
+function sourceConfidence(value, source) {
+  return !value || value === MANUAL_REVIEW_NEEDED ? 0 : CONFIDENCE_SOURCE_SCORES[source];
+}
+
+/**
+ * Scores the status the keyword rules find in a body: CONFIDENCE_SOURCE_SCORES.keywords at
+ * KEYWORD_RULE_MIN_SCORE, 0.1 more per further point, up to CONFIDENCE_KEYWORDS_MAX.
+ * @param {string} plainBody The plain-text body.
+ * @returns {number|null} The confidence, or null if no status matched.
+ */
+function keywordStatusConfidence(plainBody) {
+  const match = matchKeywordRules(plainBody || "");
+  if (!match) return null;
+  const score = CONFIDENCE_SOURCE_SCORES.keywords + 0.1 * (match.score - KEYWORD_RULE_MIN_SCORE);
+  return _roundConfidence(Math.min(score, CONFIDENCE_KEYWORDS_MAX));
+}
+
+/**
+ * Combines field scores into the email's confidence and its tier.
+ * @param {{company: number, title: number, status: number|null}} fields The field scores.
+ * @returns {{overall: number, tier: string}} The lowest field score and one of CONFIDENCE_TIERS.
+ */
+function rateParseConfidence(fields) {
+  const scores = Object.values(fields).filter(score => typeof score === 'number');
+  const overall = _roundConfidence(scores.length > 0 ? Math.min(...scores) : 0);
+  const tier = overall >= CONFIDENCE_AUTO_APPLY_THRESHOLD ? CONFIDENCE_TIERS.AUTO
+    : (overall >= CONFIDENCE_REVIEW_THRESHOLD ? CONFIDENCE_TIERS.FLAG : CONFIDENCE_TIERS.REVIEW);
+  return { overall: overall, tier: tier };
+}
+
+/**
+ * Describes field scores for logs and notes.
+ * @param {{company: number, title: number, status: number|null}} fields The field scores.
+ * @returns {string} E.g. "company 95%, title 60%, status 70%".
+ */
+function describeParseConfidence(fields) {
+  return Object.entries(fields)
+    .filter(([, score]) => typeof score === 'number')
+    .map(([field, score]) => `${field} ${Math.round(score * 100)}%`)
+    .join(", ");
+}
+
+/**
+ * Formats the Applications sheet's "Confidence" column as a percentage and colors rows below the
+ * thresholds: yellow for applied-and-flagged, red for manual review. Adds the header to sheets
+ * created before the column existed. Conditional format rules on other columns are left alone.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Applications sheet.
+ * @returns {boolean} True if the formatting was applied.
+ */
+function applyConfidenceFormatting(sheet) {
+  const FUNC_NAME = "applyConfidenceFormatting";
+  if (!sheet) return false;
+  try {
+    if (sheet.getRange(1, CONFIDENCE_COL).getValue() !== APP_TRACKER_SHEET_HEADERS[CONFIDENCE_COL - 1]) {
+      sheet.getRange(1, CONFIDENCE_COL).setValue(APP_TRACKER_SHEET_HEADERS[CONFIDENCE_COL - 1]).setFontWeight('bold');
+    }
+    const range = sheet.getRange(2, CONFIDENCE_COL, Math.max(sheet.getMaxRows() - 1, 1), 1);
+    range.setNumberFormat("0%");
+    const otherRules = sheet.getConditionalFormatRules().filter(rule =>
+      !rule.getRanges().every(r => r.getNumColumns() === 1 && r.getColumn() === CONFIDENCE_COL));
+    const confidenceRules = [
+      SpreadsheetApp.newConditionalFormatRule().whenNumberLessThan(CONFIDENCE_REVIEW_THRESHOLD)
+        .setBackground(CONFIDENCE_REVIEW_COLOR).setRanges([range]).build(),
+      SpreadsheetApp.newConditionalFormatRule().whenNumberLessThan(CONFIDENCE_AUTO_APPLY_THRESHOLD)
+        .setBackground(CONFIDENCE_FLAG_COLOR).setRanges([range]).build()
+    ];
+    sheet.setConditionalFormatRules([...otherRules, ...confidenceRules]);
+    Logger.log(`[${FUNC_NAME} INFO] Formatted the "${APP_TRACKER_SHEET_HEADERS[CONFIDENCE_COL - 1]}" column of "${sheet.getName()}".`);
+    return true;
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Failed to format the confidence column on "${sheet.getName()}": ${e.message}`);
+    return false;
+  }
+}
+
+/**
+ * Adjusts Gemini's confidence in a value by whether a rules-only parser agrees with it.
+ * @param {string} value Gemini's value.
+ * @param {number|null} modelScore Gemini's confidence, or null (CONFIDENCE_AI_DEFAULT is used).
+ * @param {string|null} checkValue The value the rules found, if any.
+ * @param {function(string, string): boolean} isSame Compares two values.
+ * @returns {number} The confidence; 0 if the value is blank or MANUAL_REVIEW_NEEDED.
+ * @private
+ */
+function _checkedModelConfidence(value, modelScore, checkValue, isSame) {
+  if (!value || value === MANUAL_REVIEW_NEEDED) return 0;
+  const base = typeof modelScore === 'number' ? modelScore : CONFIDENCE_AI_DEFAULT;
+  if (!checkValue || checkValue === MANUAL_REVIEW_NEEDED) return _roundConfidence(base);
+  const score = isSame(value, checkValue) ? base + (1 - base) * CONFIDENCE_AGREEMENT_WEIGHT : base * CONFIDENCE_DISAGREEMENT_FACTOR;
+  return _roundConfidence(score);
+}
+
+/** @private */
+function _roundConfidence(score) {
+  return Math.round(score * 100) / 100;
+}
@@ -55,7 +55,7 @@ function parseCompanyFromSenderName(sender) {
  * @param {string} platform The platform the email originated from (e.g., "Wellfound", "Lever").
  * @param {string} emailSubject The subject of the email.
  * @param {string} plainBody The plain text body of the email.
- * @returns {{company: string, title: string}} An object containing the extracted company and title.
+ * @returns {{company: string, title: string, requisitionId: string|null}} The extracted company, title and requisition ID.
  */
 function extractCompanyAndTitle(message, platform, emailSubject, plainBody) {
   let company = MANUAL_REVIEW_NEEDED; // From Config.gs
@@ -120,7 +120,7 @@ function extractCompanyAndTitle(message, platform, emailSubject, plainBody) {
   if (company === MANUAL_REVIEW_NEEDED && tempCompanyFromName) company = tempCompanyFromName;
 
   if ((company === MANUAL_REVIEW_NEEDED || title === MANUAL_REVIEW_NEEDED || company === DEFAULT_PLATFORM || title === DEFAULT_STATUS) && plainBody) {
-    const bodyCleaned = plainBody.substring(0, 1000).replace(/<[^>]+>/g, ' ');
+    const bodyCleaned = htmlToPlainText(plainBody.substring(0, 1000));
     if (company === MANUAL_REVIEW_NEEDED || company === DEFAULT_PLATFORM) {
       let bodyCompanyMatch = bodyCleaned.match(/(?:applying to|application with|interview with|position at|role at|opportunity at|Thank you for your interest in working at)\s+([A-Z][A-Za-z\s.&'-]+(?:LLC|Inc\.?|Ltd\.?|Corp\.?|GmbH|Group|Solutions|Technologies)?)(?:[.,\s\n\(]|$)/i);
       if (bodyCompanyMatch && bodyCompanyMatch[1]) company = bodyCompanyMatch[1].trim();
@@ -133,46 +133,274 @@ function extractCompanyAndTitle(message, platform, emailSubject, plainBody) {
 
   if (company === MANUAL_REVIEW_NEEDED && tempCompanyFromDomain) company = tempCompanyFromDomain;
 
-  const cleanE = (entity, isTitle = false) => {
-    if (!entity || entity === MANUAL_REVIEW_NEEDED || entity === DEFAULT_STATUS || entity === DEFAULT_PLATFORM || entity.toLowerCase() === "n/a") return MANUAL_REVIEW_NEEDED;
-    let cl = entity.split(/[\n\r#(]| - /)[0];
-    cl = cl.replace(/ (?:inc|llc|ltd|corp|gmbh)[\.,]?$/i, '').replace(/[,"']?$/, '');
-    cl = cl.replace(/^(?:The|A)\s+/i, '');
-    cl = cl.replace(/\s+/g, ' ').trim();
-    if (isTitle) {
-        cl = cl.replace(/JR\d+\s*[-–—]?\s*/i, '');
-        cl = cl.replace(/\(Senior\)/i, 'Senior');
-        cl = cl.replace(/\(.*?(?:remote|hybrid|onsite|contract|part-time|full-time|intern|co-op|stipend|urgent|hiring|opening|various locations).*?\)/gi, '');
-        cl = cl.replace(/[-–—:]\s*(?:remote|hybrid|onsite|contract|part-time|full-time|intern|co-op|various locations)\s*$/gi, '');
-        cl = cl.replace(/^[-\s#*]+|[,\s]+$/g, '');
+  company = resolveCompanyAlias(_cleanParsedEntity(company)); // Canonical name from the "Company Aliases" sheet
+  title = _cleanParsedEntity(title, true);
+
+  // Requisition codes are stripped from titles above; keep them as the application's ID instead.
+  const requisitionId = extractRequisitionId(emailSubject, plainBody);
+
+  if (DEBUG_MODE) Logger.log(`[DEBUG] RGX_PARSE: Final Fallback Result -> Company:"${company}", Title:"${title}", Req ID:"${requisitionId || 'none'}"`);
+  return {company: company, title: title, requisitionId: requisitionId};
+}
+
+/**
+ * Cleans a company name or job title taken from an email: cuts trailing clauses, legal suffixes
+ * and work-arrangement noise, and normalizes quotes and spacing.
+ * @param {string} entity The raw company or title.
+ * @param {boolean} [isTitle=false] True for a job title.
+ * @returns {string} The cleaned value, or MANUAL_REVIEW_NEEDED if nothing usable is left.
+ * @private
+ */
+function _cleanParsedEntity(entity, isTitle = false) {
+  if (!entity || entity === MANUAL_REVIEW_NEEDED || entity === DEFAULT_STATUS || entity === DEFAULT_PLATFORM || entity.toLowerCase() === "n/a") return MANUAL_REVIEW_NEEDED;
+  let cl = entity.split(/[\n\r#(]| - /)[0];
+  cl = cl.replace(/ (?:inc|llc|ltd|corp|gmbh)[\.,]?$/i, '').replace(/[,"']?$/, '');
+  cl = cl.replace(/^(?:The|A)\s+/i, '');
+  cl = cl.replace(/\s+/g, ' ').trim();
+  if (isTitle) {
+      cl = cl.replace(/JR\d+\s*[-–—]?\s*/i, '');
+      cl = cl.replace(/\(Senior\)/i, 'Senior');
+      cl = cl.replace(/\(.*?(?:remote|hybrid|onsite|contract|part-time|full-time|intern|co-op|stipend|urgent|hiring|opening|various locations).*?\)/gi, '');
+      cl = cl.replace(/[-–—:]\s*(?:remote|hybrid|onsite|contract|part-time|full-time|intern|co-op|various locations)\s*$/gi, '');
+      cl = cl.replace(/^[-\s#*]+|[,\s]+$/g, '');
+  }
+  cl = cl.replace(/[\u2018\u2019\u201A\u201B\u2032\u2035]/g, "'").replace(/[\u201C\u201D\u201E\u201F\u2033\u2036]/g, '"').replace(/&/gi, '&').replace(/ /gi, ' '); // Includes & to &
+  cl = cl.trim();
+  return cl.length < 2 ? MANUAL_REVIEW_NEEDED : cl;
+}
+
+/**
+ * Extracts an employer's requisition/posting ID from an email, checking ATS links first
+ * (Workday, Greenhouse, Lever, iCIMS), then labelled IDs ("Job ID: 12345"), then bare codes ("JR12345").
+ * @param {string} emailSubject The subject of the email.
+ * @param {string} plainBody The plain text body of the email.
+ * @returns {string|null} The requisition ID (upper-cased unless it is a Lever UUID), or null if none was found.
+ */
+function extractRequisitionId(emailSubject, plainBody) {
+  const text = `${emailSubject || ""}\n${(plainBody || "").substring(0, 20000)}`;
+  const patterns = [
+    { ats: "Workday", r: /myworkdayjobs\.com\/[^\s"'<>]*?_((?:JR|REQ|R)-?\d{4,})/i },          // .../job/City/Title_JR12345
+    { ats: "Greenhouse", r: /(?:greenhouse\.io\/[^\s"'<>]*?\/jobs\/|[?&]gh_jid=)(\d{5,})/i },   // .../jobs/4012345 or ?gh_jid=4012345
+    { ats: "Lever", r: /jobs\.lever\.co\/[^\s"'<>\/]+\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i },
+    { ats: "iCIMS", r: /\.icims\.com\/jobs\/(\d{3,})/i },                                         // .../jobs/1234/title/job
+    { ats: "Label", r: /\b(?:job|requisition|req|posting|position|vacancy)\s*(?:id|#|no\.?|number|code)\s*[:#]?\s*((?=[A-Z_-]*\d)[A-Z0-9][A-Z0-9_-]{2,24})\b/i },
+    { ats: "Code", r: /\b((?:JR|REQ)-?\d{4,}|R-?\d{5,})\b/ }
+  ];
+  for (const p of patterns) {
+    const m = text.match(p.r);
+    if (m && m[1]) {
+      const id = p.ats === "Lever" ? m[1].toLowerCase() : m[1].toUpperCase();
+      if (DEBUG_MODE) Logger.log(`[DEBUG] RGX_REQ_ID: Found ${p.ats} requisition ID "${id}".`);
+      return id;
     }
-    cl = cl.replace(/[\u2018\u2019\u201A\u201B\u2032\u2035]/g, "'").replace(/[\u201C\u201D\u201E\u201F\u2033\u2036]/g, '"').replace(/&/gi, '&').replace(/ /gi, ' '); // Includes & to &
-    cl = cl.trim();
-    return cl.length < 2 ? MANUAL_REVIEW_NEEDED : cl;
-  };
-    
-  company = cleanE(company);
-  title = cleanE(title, true);
-
-  if (DEBUG_MODE) Logger.log(`[DEBUG] RGX_PARSE: Final Fallback Result -> Company:"${company}", Title:"${title}"`);
-  return {company: company, title: title};
+  }
+  return null;
 }
 
 /**
  * Parses the email body for keywords to determine the application status.
- * It uses predefined keyword lists from `Config.js` to check for different statuses.
+ * Keywords come from the status pipeline in the "Settings" sheet and the language packs; see
+ * KeywordRules.js for how phrases are matched, weighted and prioritized.
  * @param {string} plainBody The plain text body of the email.
  * @returns {string|null} The determined application status or null if no keywords are matched.
  */
 function parseBodyForStatus(plainBody) {
   if (!plainBody || plainBody.length < 10) { if (DEBUG_MODE) Logger.log("[DEBUG] RGX_STATUS: Body too short/missing for status parse."); return null; }
-  let bL = plainBody.toLowerCase().replace(/[.,!?;:()\[\]{}'"“”‘’\-–—]/g, ' ').replace(/\s+/g, ' ').trim(); // Normalize
-  // Keywords from Config.gs
-  if (OFFER_KEYWORDS.some(k => bL.includes(k))) { Logger.log(`[DEBUG] RGX_STATUS: Matched OFFER_STATUS.`); return OFFER_STATUS; }
-  if (INTERVIEW_KEYWORDS.some(k => bL.includes(k))) { Logger.log(`[DEBUG] RGX_STATUS: Matched INTERVIEW_STATUS.`); return INTERVIEW_STATUS; }
-  if (ASSESSMENT_KEYWORDS.some(k => bL.includes(k))) { Logger.log(`[DEBUG] RGX_STATUS: Matched ASSESSMENT_STATUS.`); return ASSESSMENT_STATUS; }
-  if (APPLICATION_VIEWED_KEYWORDS.some(k => bL.includes(k))) { Logger.log(`[DEBUG] RGX_STATUS: Matched APPLICATION_VIEWED_STATUS.`); return APPLICATION_VIEWED_STATUS; }
-  if (REJECTION_KEYWORDS.some(k => bL.includes(k))) { Logger.log(`[DEBUG] RGX_STATUS: Matched REJECTED_STATUS.`); return REJECTED_STATUS; }
+  const match = matchKeywordRules(plainBody);
+  if (match) { Logger.log(`[DEBUG] RGX_STATUS: Matched ${describeKeywordMatch(match)}.`); return match.status; }
   if (DEBUG_MODE) Logger.log("[DEBUG] RGX_STATUS: No specific status keywords found by regex.");
   return null; // No specific status matched
 }
+
+/**
+ * Parses an application email with the template of the ATS that sent it (see `_atsTemplateParsers`),
+ * so the common confirmation, interview and rejection emails need no Gemini call. A template
+ * matches on the sender's domain or on the ATS's links in the body, and only counts when both the
+ * company and the job title were found; otherwise the email goes to Gemini as usual.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message The message.
+ * @param {string} [emailSubject] The subject, if already read.
+ * @param {string} [plainBody] The plain-text body, if already read.
+ * @returns {{company: string, title: string, status: string|null, emailType: string, requisitionId: string|null, platformHint: string, atsTemplate: string, details: null, reviewReason: null}|null}
+ *     A result shaped like `callGemini_forApplicationDetails`'s, or null if no template matched.
+ */
+function parseWithAtsTemplate(message, emailSubject, plainBody) {
+  const sender = message.getFrom() || "";
+  const subject = emailSubject != null ? emailSubject : (message.getSubject() || "");
+  const body = plainBody != null ? plainBody : (message.getPlainBody() || "");
+  const senderAddress = (sender.match(/<([^>]+)>/) || [null, sender])[1].trim().toLowerCase();
+  const text = `${subject}\n${body.substring(0, 5000)}`;
+
+  for (const template of _atsTemplateParsers()) {
+    if (!template.senderPattern.test(senderAddress) && !template.bodyPattern.test(body)) continue;
+    const fields = {};
+    for (const pattern of template.patterns) {
+      const m = text.match(pattern);
+      if (!m || !m.groups) continue;
+      if (!fields.company && m.groups.company) fields.company = m.groups.company;
+      if (!fields.title && m.groups.title) fields.title = m.groups.title;
+      if (fields.company && fields.title) break;
+    }
+    // ATS senders are usually named after the employer ("Acme <acme@myworkday.com>").
+    const company = _cleanParsedEntity(fields.company || parseCompanyFromSenderName(sender) || "");
+    const title = _cleanParsedEntity(fields.title || "", true);
+    if (company === MANUAL_REVIEW_NEEDED || title === MANUAL_REVIEW_NEEDED) {
+      Logger.log(`[parseWithAtsTemplate INFO] ${template.ats} template matched msg ${message.getId()} but found no ${company === MANUAL_REVIEW_NEEDED ? "company" : "job title"}; using Gemini.`);
+      return null;
+    }
+    const statusRule = template.statusRules.find(rule => rule.r.test(text));
+    const requisitionId = extractRequisitionId(subject, body);
+    Logger.log(`[parseWithAtsTemplate INFO] ${template.ats} template: C:"${company}", T:"${title}", S:"${statusRule ? statusRule.status : "none"}", Req ID:"${requisitionId || "none"}".`);
+    return {
+      company: company,
+      title: title,
+      status: statusRule ? statusRule.status : null,
+      emailType: MESSAGE_ROUTES.APPLICATION_UPDATE,
+      requisitionId: requisitionId,
+      platformHint: template.ats,
+      atsTemplate: template.ats,
+      details: null,
+      reviewReason: null
+    };
+  }
+  return null;
+}
+
+/**
+ * The ATS templates `parseWithAtsTemplate` knows. Each has sender and body fingerprints, patterns
+ * with named `company`/`title` groups tried in order over the subject and body, and status rules
+ * checked in order (rejections first, as they usually open with thanks for applying).
+ * To support another ATS, add an entry here.
+ * @returns {{ats: string, senderPattern: RegExp, bodyPattern: RegExp, patterns: RegExp[], statusRules: {status: string, r: RegExp}[]}[]}
+ * @private
+ */
+function _atsTemplateParsers() {
+  const end = "(?=[.!,;:\\n]|\\s+(?:has|have|is|and|we|with)\\b|$)";
+  const company = "(?<company>[A-Z0-9][^\\n.!,;:]{0,60}?)";
+  const title = "(?<title>[^\\n!;:]{2,100}?)";
+  const commonPatterns = [
+    new RegExp(`application for (?:the )?(?:position of )?${title} (?:position |role |job )?(?:at|with) ${company}${end}`, "i"),
+    new RegExp(`(?:applying|applied) (?:for|to) (?:the )?${title} (?:position |role |job )?(?:at|with) ${company}${end}`, "i"),
+    new RegExp(`interest in (?:the )?${title} (?:position|role|opening|job) (?:at|with) ${company}${end}`, "i")
+  ];
+  const commonStatusRules = [
+    { status: REJECTED_STATUS, r: /(?:decided|chosen|decision) (?:not )?to (?:move|proceed) forward with other|not (?:to )?(?:move|moving|proceed|proceeding) forward with your (?:application|candidacy)|(?:will not|won't) be (?:moving|proceeding) forward|unfortunately,? (?:we|after careful)|position has been filled/i },
+    { status: INTERVIEW_STATUS, r: /(?:schedule|invite you (?:to|for)|like to set up) (?:an? |your )?(?:interview|call|conversation|chat)|interview (?:has been )?(?:scheduled|confirmed)/i },
+    { status: ASSESSMENT_STATUS, r: /(?:complete|invited to take|link to) (?:an? |the |your )?(?:online |coding |technical )?(?:assessment|challenge|exercise|test)/i },
+    { status: DEFAULT_STATUS, r: /(?:received|receipt of) your application|thank(?:s| you) for (?:applying|your application|submitting)/i }
+  ];
+  return [
+    {
+      ats: "Greenhouse",
+      senderPattern: /@(?:[\w-]+\.)*greenhouse(?:-mail)?\.io$/,
+      bodyPattern: /(?:boards|job-boards|app)\.greenhouse\.io|greenhouse-mail\.io/i,
+      patterns: [
+        ...commonPatterns,
+        new RegExp(`received your application for (?:the )?${title}(?: position| role)?${end}`, "i"),
+        new RegExp(`thank you for (?:applying to|your interest in) ${company}${end}`, "i")
+      ],
+      statusRules: commonStatusRules
+    },
+    {
+      ats: "Lever",
+      senderPattern: /@(?:[\w-]+\.)*lever\.co$/,
+      bodyPattern: /jobs\.lever\.co|hire\.lever\.co/i,
+      patterns: [
+        ...commonPatterns,
+        new RegExp(`your application (?:to|with) ${company}${end}`, "i"),
+        new RegExp(`application for (?:the )?${title}(?: position| role)?${end}`, "i")
+      ],
+      statusRules: commonStatusRules
+    },
+    {
+      ats: "Workday",
+      senderPattern: /@(?:[\w-]+\.)*(?:myworkday|workday)\.com$/,
+      bodyPattern: /myworkdayjobs\.com|myworkday\.com/i,
+      patterns: [
+        ...commonPatterns,
+        // "Thank you for applying for the Data Analyst (JR12345) position." The company comes from the sender's name.
+        new RegExp(`(?:applying|applied) (?:for|to) (?:the )?${title}(?: position| role)?${end}`, "i")
+      ],
+      statusRules: [
+        { status: REJECTED_STATUS, r: /status of your application .{0,40}has changed to "?(?:not selected|closed)/i },
+        ...commonStatusRules
+      ]
+    },
+    {
+      ats: "Ashby",
+      senderPattern: /@(?:[\w-]+\.)*ashbyhq\.com$/,
+      bodyPattern: /jobs\.ashbyhq\.com|ashbyhq\.com/i,
+      patterns: [
+        ...commonPatterns,
+        new RegExp(`thanks for applying to ${company}${end}`, "i"),
+        new RegExp(`for the ${title} role${end}`, "i")
+      ],
+      statusRules: commonStatusRules
+    },
+    {
+      ats: "iCIMS",
+      senderPattern: /@(?:[\w-]+\.)*icims\.com$/,
+      bodyPattern: /\.icims\.com/i,
+      patterns: [
+        ...commonPatterns,
+        new RegExp(`for the position of ${title}${end}`, "i"),
+        new RegExp(`employment opportunities (?:at|with) ${company}${end}`, "i")
+      ],
+      statusRules: commonStatusRules
+    }
+  ];
+}
+
+/**
+ * Pulls job listings out of a job-alert digest (LinkedIn, Indeed, Glassdoor, ZipRecruiter...) without AI.
+ * Digests list each job as a few short lines (title, company, location) followed by its link, so
+ * the lines just before each job link are read as one listing. "Company · Location" and
+ * "Title at Company" lines are split.
+ * @param {string} plainBody The plain text body of the email.
+ * @returns {{jobTitle: string, company: string, location: string, jobUrl: string, notes: string}[]} The listings, in email order.
+ */
+function extractJobLeadsFromDigest(plainBody) {
+  const jobLinkPattern = /\/jobs?\/|\/careers?\/|[?&](?:jk|jobid|job_id|gh_jid)=|\/rc\/clk|\/view\/\d+/i;
+  const boilerplatePattern = /^(?:view (?:job|details|all)|apply(?: now)?|easy apply|see (?:all|more)|unsubscribe|manage|new jobs? |\d+\+? new jobs?|your job alert|jobs? (?:you|for you)|recommended|promoted|actively recruiting|be an early applicant|\d+ (?:applicants?|connections?)|posted|https?:)/i;
+  const leads = [];
+  const seenUrls = new Set();
+  let pending = [];
+
+  String(plainBody || "").split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/\s+/g, " ").trim();
+    const urlMatch = line.match(/https?:\/\/[^\s<>"')\]]+/);
+    if (!urlMatch) {
+      // Sections appended by `buildParserEmailText` start a new listing.
+      if (/^(?:links|job postings) in this email:?$/i.test(line)) pending = [];
+      else if (line.length >= 2 && line.length <= 120 && !boilerplatePattern.test(line)) pending.push(line);
+      return;
+    }
+    const url = urlMatch[0];
+    if (!jobLinkPattern.test(url)) return;
+    // A link may carry its own label ("- Data Analyst at Initech: https://...").
+    const inlineText = line.slice(0, urlMatch.index).replace(/^[-*•\s]+|[:\s]+$/g, "");
+    const block = pending.length > 0 ? pending.slice(-3)
+      : (inlineText.length >= 2 && !boilerplatePattern.test(inlineText) ? [inlineText] : []);
+    pending = [];
+    // Tracking parameters differ per link; only keep the query when it is what identifies the job (Indeed's "jk").
+    const canonicalUrl = /[?&](?:jk|jobid|job_id|gh_jid)=/i.test(url) ? url : url.split("?")[0];
+    if (block.length === 0 || seenUrls.has(canonicalUrl)) return;
+
+    let [jobTitle, company = "", location = ""] = block;
+    if (/ · | \| /.test(company) && !location) [company, location] = company.split(/ · | \| /, 2);
+    const atMatch = !company && jobTitle.match(/^(.+?) at (.+)$/);
+    if (atMatch) [jobTitle, company] = [atMatch[1], atMatch[2]];
+    jobTitle = _cleanParsedEntity(jobTitle, true);
+    if (jobTitle === MANUAL_REVIEW_NEEDED) return;
+    seenUrls.add(canonicalUrl);
+    const cleanedCompany = _cleanParsedEntity(company.replace(/\s*[-–—]\s*(?:remote|hybrid|on-?site)$/i, ""));
+    leads.push({
+      jobTitle: jobTitle,
+      company: cleanedCompany === MANUAL_REVIEW_NEEDED ? "" : cleanedCompany,
+      location: location.trim(),
+      jobUrl: url,
+      notes: "Extracted by rules (no AI)."
+    });
+  });
+  if (DEBUG_MODE) Logger.log(`[DEBUG] RGX_LEADS: Found ${leads.length} listing(s) in the digest.`);
+  return leads;
+}
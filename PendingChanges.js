@@ -0,0 +1,390 @@
+/**
+ * @file Manages the "Pending Changes" staging sheet used by preview (dry-run) processing runs.
+ * A preview run stages the inserts/updates it would make; they can then be applied
+ * (after verifying the target rows have not changed) or discarded from the menu.
+ */
+
+/**
+ * Gets or creates the "Pending Changes" staging sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The staging sheet or null if it could not be created.
+ */
+function getOrCreatePendingChangesSheet(ss) {
+  const FUNC_NAME = "getOrCreatePendingChangesSheet";
+  let stagingSheet = ss.getSheetByName(PENDING_CHANGES_SHEET_NAME);
+  if (stagingSheet) return stagingSheet;
+
+  try {
+    stagingSheet = ss.insertSheet(PENDING_CHANGES_SHEET_NAME);
+    const widths = PENDING_CHANGES_COLUMN_WIDTHS.map((width, i) => ({ col: i + 1, width: width }));
+    setupSheetFormatting(stagingSheet, PENDING_CHANGES_HEADERS, widths, false);
+    stagingSheet.setTabColor(BRAND_COLORS.PALE_ORANGE);
+    Logger.log(`[${FUNC_NAME} INFO] Created staging sheet "${PENDING_CHANGES_SHEET_NAME}".`);
+    return stagingSheet;
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Failed to create staging sheet: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Converts the handler result for one message into staged change records.
+ * Before-values of updates are taken from `stagedRowValues` so that several updates
+ * to the same row within one preview chain correctly.
+ * @param {{updateInfo?: object, newRowData?: any[][], route?: object, requiresManualReview: boolean}} handlerResult The module handler's result.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message The message that was handled.
+ * @param {any[][]} allSheetData The target sheet's values at the start of the run (including headers).
+ * @param {Map<number, any[]>} stagedRowValues Latest staged values per sheet row; updated in place.
+ * @returns {object[]} The staged change records for this message.
+ */
+function buildPreviewChanges(handlerResult, message, allSheetData, stagedRowValues) {
+  const base = {
+    messageId: message.getId(),
+    threadId: message.getThread().getId(),
+    outcome: handlerResult.route ? routedOutcome(handlerResult.route.label) : (handlerResult.requiresManualReview ? 'manual' : 'done'),
+    subject: message.getSubject() || "",
+    emailDate: message.getDate()
+  };
+
+  if (handlerResult.route) {
+    const note = `Route to "${handlerResult.route.label}" as ${handlerResult.route.route} (${handlerResult.route.reason})`;
+    return [Object.assign({ action: 'Route', row: null, before: null, after: null, note: note }, base)];
+  }
+  if (handlerResult.updateInfo && handlerResult.updateInfo.row === -1) {
+    // A follow-up to a row inserted earlier in the same run; the engine folds it into that Insert.
+    return [Object.assign({ action: 'Merge', row: null, before: null, after: handlerResult.updateInfo.values }, base)];
+  }
+  if (handlerResult.updateInfo) {
+    const row = handlerResult.updateInfo.row;
+    const before = stagedRowValues.get(row) || allSheetData[row - 1] || [];
+    stagedRowValues.set(row, handlerResult.updateInfo.values);
+    return [Object.assign({ action: 'Update', row: row, before: before, after: handlerResult.updateInfo.values }, base)];
+  }
+  if (handlerResult.newRowData && handlerResult.newRowData.length > 0) {
+    return handlerResult.newRowData.map(newRow => Object.assign({ action: 'Insert', row: null, before: null, after: newRow }, base));
+  }
+  return [Object.assign({ action: 'No Change', row: null, before: null, after: null }, base)];
+}
+
+/**
+ * Builds the staged record for a message whose handling threw an error.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message The message that failed.
+ * @param {Error} error The error thrown by the parser or handler.
+ * @returns {object} The staged change record.
+ */
+function buildPreviewErrorChange(message, error) {
+  return {
+    action: 'Error', row: null, before: null, after: null, note: error.message,
+    messageId: message.getId(), threadId: message.getThread().getId(), outcome: 'error',
+    subject: message.getSubject() || "", emailDate: message.getDate()
+  };
+}
+
+/**
+ * Replaces a module's staged changes with the results of a new preview run.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @param {object} config The module's processing config (moduleName, sheetTabName).
+ * @param {any[]} headerRow The target sheet's header row, used to describe changed fields.
+ * @param {object[]} changes Records from `buildPreviewChanges` / `buildPreviewErrorChange`.
+ * @param {Object.<string, string>} threadOutcomes Label outcomes for threads whose messages were all handled.
+ * @returns {number} The number of staged rows written.
+ */
+function stagePendingChanges(ss, config, headerRow, changes, threadOutcomes) {
+  const FUNC_NAME = "stagePendingChanges";
+  const stagingSheet = getOrCreatePendingChangesSheet(ss);
+  if (!stagingSheet) {
+    throw new Error(`Staging sheet "${PENDING_CHANGES_SHEET_NAME}" is unavailable.`);
+  }
+
+  const now = new Date();
+  const keptRows = _readPendingChanges(stagingSheet)
+    .filter(change => change.module !== config.moduleName)
+    .map(change => change.values);
+  const newRows = changes.map(change => [
+    now,
+    config.moduleName,
+    change.action,
+    config.sheetTabName,
+    change.row || "",
+    change.action === 'Error' ? `ERROR: ${change.note}` : (change.note || _describeChangedFields(headerRow, change.before, change.after)),
+    change.before ? _serializeStagedValues(change.before) : "",
+    change.after ? _serializeStagedValues(change.after) : "",
+    change.messageId,
+    change.threadId,
+    change.outcome,
+    threadOutcomes[change.threadId] || "",
+    String(change.subject).substring(0, 500),
+    change.emailDate || "",
+    ""
+  ]);
+
+  _rewritePendingChanges(stagingSheet, keptRows.concat(newRows));
+  Logger.log(`[${FUNC_NAME} INFO] Staged ${newRows.length} change(s) for ${config.moduleName}.`);
+  return newRows.length;
+}
+
+/**
+ * Applies all staged changes. For every message, Update rows are checked against the
+ * current sheet first; if any target row no longer matches its staged before-values, the
+ * whole message is left staged with a conflict note and its thread is not relabeled.
+ * Applied messages are recorded in the ledger and removed from the staging sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @returns {{applied: number, conflicts: number, skipped: number, busy: number}} Message counts, plus modules skipped because they were running.
+ */
+function applyPendingChanges(ss) {
+  const FUNC_NAME = "applyPendingChanges";
+  Logger.log(`\n==== ${FUNC_NAME}: STARTING ====`);
+  const summary = { applied: 0, conflicts: 0, skipped: 0, busy: 0 };
+  const stagingSheet = ss.getSheetByName(PENDING_CHANGES_SHEET_NAME);
+  if (!stagingSheet) return summary;
+
+  const staged = _readPendingChanges(stagingSheet);
+  const remainingRows = [];
+  const moduleNames = [...new Set(staged.map(change => change.module))];
+
+  for (const moduleName of moduleNames) {
+    const moduleChanges = staged.filter(change => change.module === moduleName);
+    const config = getRegisteredModule(moduleName);
+    const dataSheet = config ? ss.getSheetByName(config.sheetTabName) : null;
+    if (!dataSheet) {
+      Logger.log(`[${FUNC_NAME} ERROR] No processing config or sheet for module "${moduleName}". Its changes stay staged.`);
+      moduleChanges.forEach(change => remainingRows.push(_withApplyStatus(change, "Not applied: module or sheet not found")));
+      continue;
+    }
+
+    // Hold the module's run lease so a processing run cannot write the same rows meanwhile.
+    const { acquired, lease, holder } = acquireModuleRunLease(ss, moduleName, 'menu');
+    if (!acquired) {
+      moduleChanges.forEach(change => remainingRows.push(_withApplyStatus(change, `Not applied: ${moduleName} is running (${describeRunLease(holder)})`)));
+      summary.busy++;
+      continue;
+    }
+
+    try {
+      const appliedIds = loadProcessedMessageIds(ss, moduleName);
+      const currentValues = dataSheet.getDataRange().getValues();
+      const updates = [];
+      const newRows = [];
+      const ledgerEntries = [];
+      const statusHistoryEntries = [];
+      const recordsStatusHistory = config.sheetTabName === APP_TRACKER_SHEET_TAB_NAME;
+      const threadOutcomes = {};
+      const blockedThreads = new Set();
+
+      const messageIds = [...new Set(moduleChanges.map(change => change.messageId))];
+      for (const messageId of messageIds) {
+        const messageChanges = moduleChanges.filter(change => change.messageId === messageId);
+        const first = messageChanges[0];
+
+        if (appliedIds.has(messageId)) {
+          Logger.log(`[${FUNC_NAME} INFO] Msg ${messageId} was already applied by a regular run. Dropping its staged changes.`);
+          summary.skipped++;
+          continue;
+        }
+
+        const conflict = messageChanges.find(change => change.action === 'Update' &&
+          !_stagedValuesMatch(_deserializeStagedValues(change.values[PENDING_CHANGES_HEADERS.indexOf("Before Values")]), currentValues[change.targetRow - 1]));
+        if (conflict) {
+          Logger.log(`[${FUNC_NAME} WARN] Row ${conflict.targetRow} changed since msg ${messageId} was previewed. Leaving it staged.`);
+          messageChanges.forEach(change => remainingRows.push(_withApplyStatus(change, `Conflict: row ${conflict.targetRow} changed since preview`)));
+          blockedThreads.add(first.threadId);
+          summary.conflicts++;
+          continue;
+        }
+
+        messageChanges.forEach(change => {
+          const after = _deserializeStagedValues(change.values[PENDING_CHANGES_HEADERS.indexOf("After Values")]);
+          const before = change.action === 'Update' ? currentValues[change.targetRow - 1] : null;
+          if (change.action === 'Update') {
+            updates.push({ row: change.targetRow, values: after });
+            currentValues[change.targetRow - 1] = after;
+          } else if (change.action === 'Insert') {
+            newRows.push(after);
+          }
+          if (recordsStatusHistory && (change.action === 'Update' || change.action === 'Insert')) {
+            const historyEntry = buildStatusHistoryEntry(before, after, {
+              source: STATUS_HISTORY_SOURCES.PREVIEW_APPLY, emailDate: first.emailDate, emailLink: after[EMAIL_LINK_COL - 1], runId: lease.runId
+            });
+            if (historyEntry) statusHistoryEntries.push(historyEntry);
+          }
+          if (change.threadOutcome) threadOutcomes[change.threadId] = change.threadOutcome;
+        });
+        if (first.outcome !== 'error') {
+          ledgerEntries.push({ messageId: messageId, threadId: first.threadId, moduleName: moduleName, outcome: first.outcome, emailDate: first.emailDate });
+        }
+        summary.applied++;
+      }
+
+      _writeEngineResults(dataSheet, updates, newRows);
+      appendToProcessedLedger(ss, ledgerEntries);
+      try {
+        appendStatusHistory(ss, statusHistoryEntries);
+      } catch (e) {
+        Logger.log(`[${FUNC_NAME} WARN] Recording ${statusHistoryEntries.length} status change(s) failed: ${e.message}`);
+      }
+      blockedThreads.forEach(threadId => delete threadOutcomes[threadId]);
+
+      const procLbl = GmailApp.getUserLabelByName(config.gmailLabelToProcess);
+      const processedLblObj = GmailApp.getUserLabelByName(config.gmailLabelProcessed);
+      const manualLblObj = config.gmailLabelManualReview ? GmailApp.getUserLabelByName(config.gmailLabelManualReview) : processedLblObj;
+      applyFinalLabels(threadOutcomes, procLbl, processedLblObj, manualLblObj);
+      Logger.log(`[${FUNC_NAME} INFO] ${moduleName}: ${updates.length} update(s), ${newRows.length} insert(s) applied.`);
+    } finally {
+      releaseModuleRunLease(ss, lease);
+    }
+  }
+
+  _rewritePendingChanges(stagingSheet, remainingRows);
+  Logger.log(`==== ${FUNC_NAME}: FINISHED (applied ${summary.applied}, conflicts ${summary.conflicts}, skipped ${summary.skipped}) ====`);
+  return summary;
+}
+
+/**
+ * Removes all staged changes without applying them.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @returns {number} The number of staged rows removed.
+ */
+function discardPendingChanges(ss) {
+  const stagingSheet = ss.getSheetByName(PENDING_CHANGES_SHEET_NAME);
+  if (!stagingSheet) return 0;
+  const count = _readPendingChanges(stagingSheet).length;
+  _rewritePendingChanges(stagingSheet, []);
+  Logger.log(`[discardPendingChanges INFO] Discarded ${count} staged change(s).`);
+  return count;
+}
+
+/**
+ * Menu wrapper: confirms and applies the staged changes.
+ */
+function applyPendingChanges_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const stagingSheet = ss.getSheetByName(PENDING_CHANGES_SHEET_NAME);
+  const stagedCount = stagingSheet ? _readPendingChanges(stagingSheet).length : 0;
+  if (stagedCount === 0) {
+    ui.alert('No Pending Changes', 'There are no staged changes to apply. Run a preview first.', ui.ButtonSet.OK);
+    return;
+  }
+  const response = ui.alert('Apply Pending Changes', `Apply ${stagedCount} staged change(s) to your sheets and Gmail labels?`, ui.ButtonSet.YES_NO);
+  if (response !== ui.Button.YES) return;
+
+  const summary = applyPendingChanges(ss);
+  let message = `Applied changes from ${summary.applied} email(s).`;
+  if (summary.skipped > 0) message += `\n${summary.skipped} email(s) were already processed by a regular run and were dropped.`;
+  if (summary.busy > 0) message += `\n${summary.busy} module(s) were busy processing email; their changes remain staged. Try again in a few minutes.`;
+  if (summary.conflicts > 0) message += `\n${summary.conflicts} email(s) conflict with edits made since the preview and remain in "${PENDING_CHANGES_SHEET_NAME}". Discard them and run a new preview.`;
+  ui.alert('Pending Changes Applied', message, ui.ButtonSet.OK);
+}
+
+/**
+ * Menu wrapper: confirms and discards the staged changes.
+ */
+function discardPendingChanges_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.alert('Discard Pending Changes', 'Remove all staged changes without applying them?', ui.ButtonSet.YES_NO);
+  if (response !== ui.Button.YES) return;
+  const count = discardPendingChanges(SpreadsheetApp.getActiveSpreadsheet());
+  ui.alert('Pending Changes Discarded', `${count} staged change(s) removed.`, ui.ButtonSet.OK);
+}
+
+/**
+ * Reads the staged rows as objects. `values` holds the raw row for rewriting.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} stagingSheet The staging sheet.
+ * @returns {object[]} The staged changes in sheet order.
+ * @private
+ */
+function _readPendingChanges(stagingSheet) {
+  if (stagingSheet.getLastRow() < 2) return [];
+  const col = name => PENDING_CHANGES_HEADERS.indexOf(name);
+  return stagingSheet.getRange(2, 1, stagingSheet.getLastRow() - 1, PENDING_CHANGES_HEADERS.length).getValues()
+    .filter(row => row[col("Module")] && row[col("Message ID")])
+    .map(row => ({
+      values: row,
+      module: row[col("Module")],
+      action: row[col("Action")],
+      targetRow: Number(row[col("Target Row")]) || null,
+      messageId: String(row[col("Message ID")]),
+      threadId: String(row[col("Thread ID")]),
+      outcome: row[col("Message Outcome")],
+      threadOutcome: row[col("Thread Outcome")],
+      emailDate: row[col("Email Date")]
+    }));
+}
+
+/**
+ * Replaces all staged rows below the header.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} stagingSheet The staging sheet.
+ * @param {any[][]} rows The rows to keep.
+ * @private
+ */
+function _rewritePendingChanges(stagingSheet, rows) {
+  if (stagingSheet.getLastRow() > 1) {
+    stagingSheet.getRange(2, 1, stagingSheet.getLastRow() - 1, PENDING_CHANGES_HEADERS.length).clearContent();
+  }
+  if (rows.length > 0) {
+    stagingSheet.getRange(2, 1, rows.length, PENDING_CHANGES_HEADERS.length).setValues(rows);
+  }
+}
+
+/**
+ * Returns a copy of a staged row with its "Apply Status" set.
+ * @private
+ */
+function _withApplyStatus(change, status) {
+  const row = [...change.values];
+  row[PENDING_CHANGES_HEADERS.indexOf("Apply Status")] = status;
+  return row;
+}
+
+/**
+ * Summarizes the differences between two row arrays as "Header: old → new" pairs.
+ * @private
+ */
+function _describeChangedFields(headerRow, before, after) {
+  if (!after) return "";
+  const parts = [];
+  after.forEach((value, i) => {
+    const header = headerRow[i] || `Column ${i + 1}`;
+    if (!before) {
+      if (value !== "" && value !== null) parts.push(`${header}: ${_formatStagedValue(value)}`);
+    } else if (_stagedValueKey(before[i]) !== _stagedValueKey(value)) {
+      parts.push(`${header}: ${_formatStagedValue(before[i])} → ${_formatStagedValue(value)}`);
+    }
+  });
+  return parts.join("; ").substring(0, 2000);
+}
+
+/** @private */
+function _formatStagedValue(value) {
+  if (value instanceof Date) return Utilities.formatDate(value, Session.getScriptTimeZone(), "yyyy-MM-dd HH:mm");
+  return (value === "" || value === null || value === undefined) ? "(blank)" : String(value);
+}
+
+/** @private */
+function _stagedValueKey(value) {
+  if (value instanceof Date) return `D:${value.getTime()}`;
+  return (value === null || value === undefined) ? "" : String(value);
+}
+
+/**
+ * Checks that the current sheet row still holds the staged before-values.
+ * @private
+ */
+function _stagedValuesMatch(before, current) {
+  if (!before || !current) return false;
+  return before.every((value, i) => _stagedValueKey(value) === _stagedValueKey(current[i]));
+}
+
+/**
+ * Serializes row values to JSON, keeping Dates distinguishable from strings.
+ * @private
+ */
+function _serializeStagedValues(values) {
+  return JSON.stringify(values.map(v => v instanceof Date ? { __date: v.toISOString() } : v));
+}
+
+/** @private */
+function _deserializeStagedValues(json) {
+  if (!json) return null;
+  return JSON.parse(json).map(v => (v && typeof v === 'object' && typeof v.__date === 'string') ? new Date(v.__date) : v);
+}
@@ -0,0 +1,96 @@
+/**
+ * @file Detects the job board or applicant tracking system (ATS) an application email came through,
+ * for the Applications sheet's Platform column. Evidence is checked from strongest to weakest:
+ * the sender's domain, Reply-To, List-Id and Return-Path headers, the sender's display name
+ * ("Acme via Greenhouse"), posting/application links in the HTML body, and finally Gemini's hint.
+ */
+
+/**
+ * Detects the platform of an email.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message The message.
+ * @param {string|null} [geminiHint] The platform Gemini named, if any; only known platform names are accepted.
+ * @returns {{platform: string, evidence: string}} The platform (DEFAULT_PLATFORM if none was found) and where it was found.
+ */
+function detectPlatform(message, geminiHint) {
+  const sender = message.getFrom() || "";
+  const headerChecks = [
+    ["sender", _extractEmailAddress(sender)],
+    ["Reply-To", _extractEmailAddress(message.getReplyTo() || "")],
+    ["List-Id", _readHeader(message, "List-Id")],
+    ["Return-Path", _extractEmailAddress(_readHeader(message, "Return-Path"))]
+  ];
+  for (const [evidence, value] of headerChecks) {
+    const platform = platformForHost(_hostOf(value));
+    if (platform) return { platform: platform, evidence: evidence };
+  }
+
+  const displayName = sender.replace(/<[^>]*>/, "").toLowerCase();
+  const nameKeyword = Object.keys(PLATFORM_SENDER_NAME_KEYWORDS).find(keyword => new RegExp(`\\b${keyword}\\b`).test(displayName));
+  if (nameKeyword) return { platform: PLATFORM_SENDER_NAME_KEYWORDS[nameKeyword], evidence: "sender name" };
+
+  const linkPlatform = _platformFromLinks(getEmailHtmlInfo(message).links);
+  if (linkPlatform) return { platform: linkPlatform, evidence: "links" };
+
+  const knownPlatforms = [...new Set([...Object.values(PLATFORM_DOMAIN_KEYWORDS), ...Object.values(PLATFORM_SENDER_NAME_KEYWORDS)])];
+  const hinted = geminiHint ? knownPlatforms.find(platform => platform.toLowerCase() === String(geminiHint).trim().toLowerCase()) : null;
+  if (hinted) return { platform: hinted, evidence: "Gemini" };
+
+  return { platform: DEFAULT_PLATFORM, evidence: "none" };
+}
+
+/**
+ * Maps a host name to its platform (see PLATFORM_DOMAIN_KEYWORDS); subdomains match their parent.
+ * @param {string} host The host, e.g. "boards.greenhouse.io".
+ * @returns {string|null} The platform name or null.
+ */
+function platformForHost(host) {
+  if (!host) return null;
+  const domain = Object.keys(PLATFORM_DOMAIN_KEYWORDS).find(key => host === key || host.endsWith(`.${key}`));
+  return domain ? PLATFORM_DOMAIN_KEYWORDS[domain] : null;
+}
+
+/**
+ * Picks the platform most posting/application links in the body point to (after tracking
+ * redirects are unwrapped; see HtmlParsingUtils.js). Links that do not look like job links
+ * (social footers, logos) are ignored.
+ * @private
+ */
+function _platformFromLinks(links) {
+  const counts = {};
+  links.forEach(link => {
+    const platform = platformForHost(_hostOf(link.url));
+    if (platform && (link.kind !== "other" || PLATFORM_JOB_LINK_PATTERN.test(link.url))) counts[platform] = (counts[platform] || 0) + 1;
+  });
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return ranked.length > 0 ? ranked[0][0] : null;
+}
+
+/**
+ * Returns the lowercased host of a URL, email address or List-Id value.
+ * @private
+ */
+function _hostOf(value) {
+  const text = String(value || "").trim().toLowerCase().replace(/^<|>$/g, "");
+  if (!text) return "";
+  if (text.includes("@")) return text.split("@").pop();
+  const urlMatch = text.match(/^https?:\/\/([^\/?#:]+)/);
+  if (urlMatch) return urlMatch[1];
+  // List-Id values look like "Acme Jobs <jobs.acme.greenhouse.io>".
+  const listIdMatch = text.match(/<([^>]+)>/);
+  return listIdMatch ? listIdMatch[1] : text;
+}
+
+/** @private */
+function _extractEmailAddress(value) {
+  const match = String(value || "").match(/<([^>]+)>/);
+  return match ? match[1] : String(value || "").trim();
+}
+
+/** @private */
+function _readHeader(message, name) {
+  try {
+    return message.getHeader(name) || "";
+  } catch (e) {
+    return "";
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * @file Persists per-module processing checkpoints so that a run which hits the
+ * execution time budget can be resumed by a one-off continuation trigger
+ * without reprocessing or losing messages.
+ */
+
+/**
+ * Builds the base ScriptProperty key for a module's checkpoint.
+ * @param {string} moduleName The module name (e.g., "Application Tracker").
+ * @returns {string} The property key prefix for this module.
+ * @private
+ */
+function _checkpointKey(moduleName) {
+  return CHECKPOINT_PROPERTY_PREFIX + String(moduleName).replace(/[^A-Za-z0-9]+/g, '_');
+}
+
+/**
+ * JSON replacer that preserves Date objects (e.g., inside pending row writes).
+ * Uses `this[key]` because Date.prototype.toJSON runs before the replacer sees the value.
+ * @private
+ */
+function _checkpointReplacer(key, value) {
+  const raw = this[key];
+  if (raw instanceof Date) return { __date: raw.toISOString() };
+  return value;
+}
+
+/**
+ * JSON reviver that restores Date objects written by `_checkpointReplacer`.
+ * @private
+ */
+function _checkpointReviver(key, value) {
+  if (value && typeof value === 'object' && typeof value.__date === 'string') return new Date(value.__date);
+  return value;
+}
+
+/**
+ * Returns a checkpoint's `pendingWrites` with nothing pending.
+ * @returns {{updates: object[], newRows: any[][], ledgerEntries: object[], statusHistoryEntries: object[], applicationDetailEntries: object[]}}
+ *     Sheet row updates and inserts, ledger entries, and the "Status History" and "Application Details" entries of those rows.
+ */
+function emptyPendingWrites() {
+  return { updates: [], newRows: [], ledgerEntries: [], statusHistoryEntries: [], applicationDetailEntries: [] };
+}
+
+/**
+ * Loads the saved checkpoint for a module.
+ * @param {GoogleAppsScript.Properties.Properties} scriptProperties The script's properties.
+ * @param {string} moduleName The module name.
+ * @returns {object|null} The checkpoint object or null if none is stored or it is unreadable.
+ */
+function loadProcessingCheckpoint(scriptProperties, moduleName) {
+  const FUNC_NAME = "loadProcessingCheckpoint";
+  const baseKey = _checkpointKey(moduleName);
+  const chunkCount = parseInt(scriptProperties.getProperty(`${baseKey}_chunks`) || "0", 10);
+  if (!chunkCount) return null;
+
+  let json = "";
+  for (let i = 0; i < chunkCount; i++) {
+    const chunk = scriptProperties.getProperty(`${baseKey}_${i}`);
+    if (chunk === null) {
+      Logger.log(`[${FUNC_NAME} WARN] Checkpoint for ${moduleName} is missing chunk ${i}/${chunkCount}. Discarding it.`);
+      clearProcessingCheckpoint(scriptProperties, moduleName);
+      return null;
+    }
+    json += chunk;
+  }
+
+  try {
+    const checkpoint = JSON.parse(json, _checkpointReviver);
+    checkpoint.processedMessageIds = checkpoint.processedMessageIds || [];
+    checkpoint.threadOutcomes = checkpoint.threadOutcomes || {};
+    checkpoint.pendingWrites = Object.assign(emptyPendingWrites(), checkpoint.pendingWrites);
+    return checkpoint;
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Could not parse checkpoint for ${moduleName}: ${e.message}. Discarding it.`);
+    clearProcessingCheckpoint(scriptProperties, moduleName);
+    return null;
+  }
+}
+
+/**
+ * Saves a module's checkpoint, splitting it across several properties if needed.
+ * @param {GoogleAppsScript.Properties.Properties} scriptProperties The script's properties.
+ * @param {string} moduleName The module name.
+ * @param {object} checkpoint The checkpoint to persist.
+ * @param {string[]} checkpoint.processedMessageIds Message IDs already handled in threads that are not yet labeled.
+ * @param {Object.<string, string>} checkpoint.threadOutcomes Outcomes ('done' or 'manual') for those threads.
+ * @param {string} [checkpoint.lastMessageId] The last message handled before stopping.
+ * @param {Date} [checkpoint.lastMessageDate] The date of that message.
+ * @param {object} [checkpoint.pendingWrites] Writes that could not be flushed (see `emptyPendingWrites`).
+ * @returns {boolean} True if the checkpoint was saved.
+ */
+function saveProcessingCheckpoint(scriptProperties, moduleName, checkpoint) {
+  const FUNC_NAME = "saveProcessingCheckpoint";
+  try {
+    clearProcessingCheckpoint(scriptProperties, moduleName);
+    const baseKey = _checkpointKey(moduleName);
+    const json = JSON.stringify(Object.assign({ moduleName: moduleName, savedAt: new Date() }, checkpoint), _checkpointReplacer);
+    const chunks = {};
+    let chunkCount = 0;
+    for (let i = 0; i < json.length; i += CHECKPOINT_PROPERTY_CHUNK_SIZE) {
+      chunks[`${baseKey}_${chunkCount}`] = json.substring(i, i + CHECKPOINT_PROPERTY_CHUNK_SIZE);
+      chunkCount++;
+    }
+    chunks[`${baseKey}_chunks`] = String(chunkCount);
+    scriptProperties.setProperties(chunks);
+    Logger.log(`[${FUNC_NAME} INFO] Saved checkpoint for ${moduleName}: ${checkpoint.processedMessageIds.length} processed msg(s) in open threads, last msg ${checkpoint.lastMessageId || 'N/A'} (${chunkCount} chunk(s)).`);
+    return true;
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Failed to save checkpoint for ${moduleName}: ${e.message}`);
+    return false;
+  }
+}
+
+/**
+ * Removes a module's checkpoint.
+ * @param {GoogleAppsScript.Properties.Properties} scriptProperties The script's properties.
+ * @param {string} moduleName The module name.
+ */
+function clearProcessingCheckpoint(scriptProperties, moduleName) {
+  const baseKey = _checkpointKey(moduleName);
+  const chunkCount = parseInt(scriptProperties.getProperty(`${baseKey}_chunks`) || "0", 10);
+  for (let i = 0; i < chunkCount; i++) {
+    scriptProperties.deleteProperty(`${baseKey}_${i}`);
+  }
+  scriptProperties.deleteProperty(`${baseKey}_chunks`);
+}
+
+/**
+ * Checks whether a module has a saved checkpoint waiting to be resumed.
+ * @param {GoogleAppsScript.Properties.Properties} scriptProperties The script's properties.
+ * @param {string} moduleName The module name.
+ * @returns {boolean} True if a checkpoint exists.
+ */
+function hasProcessingCheckpoint(scriptProperties, moduleName) {
+  return !!scriptProperties.getProperty(`${_checkpointKey(moduleName)}_chunks`);
+}
+
+/**
+ * Creates a one-off trigger that resumes processing shortly, unless one is already pending.
+ * @returns {boolean} True if a new continuation trigger was created.
+ */
+function scheduleContinuationTrigger() {
+  const FUNC_NAME = "scheduleContinuationTrigger";
+  try {
+    const alreadyScheduled = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === CONTINUATION_TRIGGER_FUNCTION);
+    if (alreadyScheduled) {
+      Logger.log(`[${FUNC_NAME} INFO] Continuation trigger already pending.`);
+      return false;
+    }
+    ScriptApp.newTrigger(CONTINUATION_TRIGGER_FUNCTION)
+      .timeBased()
+      .after(CONTINUATION_TRIGGER_DELAY_MS)
+      .create();
+    Logger.log(`[${FUNC_NAME} INFO] Continuation trigger scheduled in ${CONTINUATION_TRIGGER_DELAY_MS / 1000}s.`);
+    return true;
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Failed to schedule continuation trigger: ${e.message}`);
+    return false;
+  }
+}
+
+/**
+ * Removes fired (or pending) continuation triggers. One-off triggers stay in the
+ * project trigger list after they run, so they are cleaned up on every continuation.
+ * @private
+ */
+function _deleteContinuationTriggers() {
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === CONTINUATION_TRIGGER_FUNCTION)
+    .forEach(t => ScriptApp.deleteTrigger(t));
+}
+
+/**
+ * Handler for the one-off continuation trigger.
+ * Resumes ONE module per execution (each run can use the whole time budget), rotating
+ * between modules so a large backlog in one module does not starve the others.
+ * Another continuation is scheduled while any checkpoint remains.
+ * @param {GoogleAppsScript.Events.TimeDriven} [e] The trigger event.
+ */
+function resumeProcessing_triggerHandler(e) {
+  const FUNC_NAME = "resumeProcessing_triggerHandler";
+  const LAST_RESUMED_KEY = `${CHECKPOINT_PROPERTY_PREFIX}lastResumedModule`;
+  _deleteContinuationTriggers();
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const runners = getRegisteredModules().map(definition => ({
+    moduleName: definition.moduleName,
+    run: () => runModuleProcessing(definition, ss, scriptProperties, { source: 'continuation' })
+  }));
+
+  const pending = runners.filter(r => hasProcessingCheckpoint(scriptProperties, r.moduleName));
+  if (pending.length === 0) {
+    Logger.log(`[${FUNC_NAME} INFO] No checkpoints pending. Nothing to resume.`);
+    return;
+  }
+
+  const lastResumed = scriptProperties.getProperty(LAST_RESUMED_KEY);
+  const lastIndex = pending.findIndex(r => r.moduleName === lastResumed);
+  const runner = pending[(lastIndex + 1) % pending.length];
+  scriptProperties.setProperty(LAST_RESUMED_KEY, runner.moduleName);
+
+  const checkpointBefore = loadProcessingCheckpoint(scriptProperties, runner.moduleName);
+  Logger.log(`[${FUNC_NAME} INFO] Resuming ${runner.moduleName} from checkpoint (${pending.length} module(s) pending).`);
+  try {
+    if (!runner.run().ran) {
+      // The module is busy in another execution; try again after it finishes.
+      scheduleContinuationTrigger();
+      return;
+    }
+  } catch (err) {
+    Logger.log(`[${FUNC_NAME} ERROR] Continuation for ${runner.moduleName} failed: ${err.message}\n${err.stack}`);
+  }
+
+  // A checkpoint the run did not touch means it made no progress (e.g., missing labels or API key);
+  // leave it for the regular trigger instead of re-scheduling every minute.
+  const checkpointAfter = loadProcessingCheckpoint(scriptProperties, runner.moduleName);
+  const madeNoProgress = checkpointBefore && checkpointAfter && String(checkpointBefore.savedAt) === String(checkpointAfter.savedAt);
+  if (madeNoProgress) {
+    Logger.log(`[${FUNC_NAME} WARN] ${runner.moduleName} made no progress. Leaving its checkpoint for the next scheduled run.`);
+  }
+  const stillPending = runners.filter(r => hasProcessingCheckpoint(scriptProperties, r.moduleName) && !(madeNoProgress && r === runner));
+  if (stillPending.length > 0) {
+    scheduleContinuationTrigger();
+  }
+}
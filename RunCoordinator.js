@@ -0,0 +1,177 @@
+/**
+ * @file Coordinates runs so that two executions never process the same module at once.
+ * Each module has a "lease" stored in ScriptProperties recording who is running it, from
+ * where, and since when. The lease is read and written under the script lock, so checking
+ * and taking it is atomic; the script lock itself is only held for that moment, which lets
+ * different modules run in parallel. Leases older than RUN_LEASE_STALE_AFTER_SECONDS are
+ * treated as left behind by a crashed or timed-out execution and are taken over.
+ */
+
+/**
+ * Builds the ScriptProperty key holding a module's lease for a spreadsheet.
+ * @param {string} spreadsheetId The spreadsheet the run writes to.
+ * @param {string} moduleName The module name.
+ * @returns {string} The property key.
+ * @private
+ */
+function _runLeaseKey(spreadsheetId, moduleName) {
+  return `${RUN_LEASE_PROPERTY_PREFIX}${spreadsheetId}_${String(moduleName).replace(/[^A-Za-z0-9]+/g, '_')}`;
+}
+
+/**
+ * Tries to take the run lease for a module.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet the run writes to.
+ * @param {string} moduleName The module name.
+ * @param {string} source Where the run was started from ('trigger', 'menu', 'webapp', 'continuation').
+ * @returns {{acquired: boolean, lease: object|null, holder: object|null}} The new lease, or the current holder if busy.
+ */
+function acquireModuleRunLease(ss, moduleName, source) {
+  const FUNC_NAME = "acquireModuleRunLease";
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(RUN_LOCK_WAIT_MS)) {
+    Logger.log(`[${FUNC_NAME} WARN] Could not get the script lock within ${RUN_LOCK_WAIT_MS / 1000}s to check the ${moduleName} lease.`);
+    return { acquired: false, lease: null, holder: { source: 'unknown', owner: 'another execution', acquiredAt: null } };
+  }
+
+  try {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const key = _runLeaseKey(ss.getId(), moduleName);
+    const existing = _parseRunLease(scriptProperties.getProperty(key));
+
+    if (existing) {
+      const ageSeconds = (Date.now() - new Date(existing.acquiredAt).getTime()) / 1000;
+      if (ageSeconds < RUN_LEASE_STALE_AFTER_SECONDS) {
+        Logger.log(`[${FUNC_NAME} INFO] ${moduleName} is already running: ${describeRunLease(existing)}.`);
+        return { acquired: false, lease: null, holder: existing };
+      }
+      Logger.log(`[${FUNC_NAME} WARN] Clearing stale ${moduleName} lease (${Math.round(ageSeconds)}s old): ${describeRunLease(existing)}.`);
+    }
+
+    const lease = {
+      runId: Utilities.getUuid(),
+      moduleName: moduleName,
+      source: source || 'unknown',
+      owner: _currentRunOwner(),
+      acquiredAt: new Date().toISOString()
+    };
+    scriptProperties.setProperty(key, JSON.stringify(lease));
+    return { acquired: true, lease: lease, holder: null };
+  } finally {
+    scriptLock.releaseLock();
+  }
+}
+
+/**
+ * Releases a module's lease, but only if it is still the one this run took.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet the run wrote to.
+ * @param {object} lease The lease returned by `acquireModuleRunLease`.
+ */
+function releaseModuleRunLease(ss, lease) {
+  const FUNC_NAME = "releaseModuleRunLease";
+  if (!lease) return;
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(RUN_LOCK_WAIT_MS)) {
+    Logger.log(`[${FUNC_NAME} WARN] Could not get the script lock to release the ${lease.moduleName} lease; it will expire on its own.`);
+    return;
+  }
+  try {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const key = _runLeaseKey(ss.getId(), lease.moduleName);
+    const current = _parseRunLease(scriptProperties.getProperty(key));
+    if (current && current.runId === lease.runId) {
+      scriptProperties.deleteProperty(key);
+    } else {
+      Logger.log(`[${FUNC_NAME} WARN] ${lease.moduleName} lease was taken over by another run; leaving it.`);
+    }
+  } finally {
+    scriptLock.releaseLock();
+  }
+}
+
+/**
+ * Runs a function while holding a module's lease.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet the run writes to.
+ * @param {string} moduleName The module name.
+ * @param {string} source Where the run was started from.
+ * @param {function(object): *} work The work to run; receives the lease (its `runId` identifies the run).
+ * @returns {{ran: boolean, holder: object|null, result: *}} `ran` is false if another run holds the lease.
+ */
+function withModuleRunLease(ss, moduleName, source, work) {
+  const { acquired, lease, holder } = acquireModuleRunLease(ss, moduleName, source);
+  if (!acquired) return { ran: false, holder: holder, result: undefined };
+  try {
+    return { ran: true, holder: null, result: work(lease) };
+  } finally {
+    releaseModuleRunLease(ss, lease);
+  }
+}
+
+/**
+ * Reads a module's current lease without taking it (for diagnostics).
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet.
+ * @param {string} moduleName The module name.
+ * @returns {object|null} The lease or null if the module is idle.
+ */
+function getModuleRunLease(ss, moduleName) {
+  return _parseRunLease(PropertiesService.getScriptProperties().getProperty(_runLeaseKey(ss.getId(), moduleName)));
+}
+
+/**
+ * Formats a lease for log and UI messages.
+ * @param {object} lease The lease or holder object.
+ * @returns {string} e.g. `started from menu by me@example.com at 10:03:12 (2 min ago)`.
+ */
+function describeRunLease(lease) {
+  if (!lease || !lease.acquiredAt) return `started from ${lease && lease.source || 'unknown'} by ${lease && lease.owner || 'unknown'}`;
+  const acquiredAt = new Date(lease.acquiredAt);
+  const minutesAgo = Math.max(0, Math.round((Date.now() - acquiredAt.getTime()) / 60000));
+  const time = Utilities.formatDate(acquiredAt, Session.getScriptTimeZone(), "HH:mm:ss");
+  return `started from ${lease.source} by ${lease.owner} at ${time} (${minutesAgo} min ago)`;
+}
+
+/**
+ * Tells the user a run was skipped because another one holds the lease.
+ * Only menu runs show a dialog; other sources just log.
+ * @param {string} moduleName The module name.
+ * @param {object} holder The current lease holder.
+ * @param {string} source Where the skipped run was started from.
+ */
+function notifyRunAlreadyInProgress(moduleName, holder, source) {
+  const message = `${moduleName} is already running (${describeRunLease(holder)}). Please try again in a few minutes.`;
+  Logger.log(`[notifyRunAlreadyInProgress INFO] Skipped ${source} run: ${message}`);
+  if (source !== 'menu') return;
+  try {
+    const ui = SpreadsheetApp.getUi();
+    ui.alert('Already Running', message, ui.ButtonSet.OK);
+  } catch (e) { /* UI not available */ }
+}
+
+/**
+ * Works out where an execution was started from, using its event object.
+ * Time-driven triggers pass an event with a `triggerUid`; menu items pass nothing.
+ * @param {object} [e] The event object, if any.
+ * @returns {string} 'trigger' or 'menu'.
+ * @private
+ */
+function _resolveRunSource(e) {
+  return (e && e.triggerUid) ? 'trigger' : 'menu';
+}
+
+/** @private */
+function _currentRunOwner() {
+  try {
+    return Session.getEffectiveUser().getEmail() || 'unknown user';
+  } catch (e) {
+    return 'unknown user';
+  }
+}
+
+/** @private */
+function _parseRunLease(json) {
+  if (!json) return null;
+  try {
+    return JSON.parse(json);
+  } catch (e) {
+    return null;
+  }
+}
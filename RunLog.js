@@ -0,0 +1,156 @@
+/**
+ * @file Records one row per processing engine execution in the hidden "Run Log" sheet
+ * and summarizes recent runs, so a module that silently stops working is easy to spot.
+ */
+
+/**
+ * Gets or creates the hidden "Run Log" sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The run log sheet or null if it could not be created.
+ */
+function getOrCreateRunLogSheet(ss) {
+  const FUNC_NAME = "getOrCreateRunLogSheet";
+  let runLogSheet = ss.getSheetByName(RUN_LOG_SHEET_NAME);
+  if (runLogSheet) return runLogSheet;
+
+  try {
+    runLogSheet = ss.insertSheet(RUN_LOG_SHEET_NAME);
+    const widths = RUN_LOG_COLUMN_WIDTHS.map((width, i) => ({ col: i + 1, width: width }));
+    setupSheetFormatting(runLogSheet, RUN_LOG_HEADERS, widths, false);
+    runLogSheet.setTabColor(BRAND_COLORS.CHARCOAL);
+    runLogSheet.hideSheet();
+    Logger.log(`[${FUNC_NAME} INFO] Created hidden run log sheet "${RUN_LOG_SHEET_NAME}".`);
+    return runLogSheet;
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Failed to create run log sheet: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Creates the metrics object the engine fills in during a run.
+ * @param {object} config The module's processing config (moduleName, runId, runSource, dryRun).
+ * @returns {object} Fresh run metrics.
+ */
+function createRunStats(config) {
+  return {
+    runId: config.runId || Utilities.getUuid(),
+    moduleName: config.moduleName,
+    source: config.runSource || 'unknown',
+    mode: config.dryRun ? 'Preview' : 'Live',
+    startedAt: new Date(),
+    finishedAt: null,
+    threads: 0,
+    messages: 0,
+    rowsInserted: 0,
+    rowsUpdated: 0,
+    geminiCalls: 0,
+    geminiFailures: 0,
+    manualReview: 0,
+    stoppedEarly: false,
+    outcome: 'Completed',
+    notes: ''
+  };
+}
+
+/**
+ * Appends a finished run to the log, trimming the oldest rows beyond RUN_LOG_MAX_ROWS.
+ * Never throws: a logging failure must not fail the run itself.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @param {object} runStats The metrics from `createRunStats`, filled in by the engine.
+ */
+function appendRunLogEntry(ss, runStats) {
+  const FUNC_NAME = "appendRunLogEntry";
+  try {
+    const runLogSheet = getOrCreateRunLogSheet(ss);
+    if (!runLogSheet) return;
+    const finishedAt = runStats.finishedAt || new Date();
+    const row = [
+      runStats.runId, runStats.moduleName, runStats.source, runStats.mode,
+      runStats.startedAt, finishedAt, Math.round((finishedAt - runStats.startedAt) / 1000),
+      runStats.threads, runStats.messages, runStats.rowsInserted, runStats.rowsUpdated,
+      runStats.geminiCalls, runStats.geminiFailures, runStats.manualReview,
+      runStats.stoppedEarly, runStats.outcome, String(runStats.notes || '').substring(0, 1000)
+    ];
+    runLogSheet.appendRow(row);
+
+    const excessRows = runLogSheet.getLastRow() - 1 - RUN_LOG_MAX_ROWS;
+    if (excessRows > 0) runLogSheet.deleteRows(2, excessRows);
+    Logger.log(`[${FUNC_NAME} INFO] Logged run ${runStats.runId} (${runStats.moduleName}, ${runStats.outcome}).`);
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Failed to write run log entry: ${e.message}`);
+  }
+}
+
+/**
+ * Reads the most recent runs, newest first.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @param {number} count How many runs to return.
+ * @returns {object[]} Run rows keyed by RUN_LOG_HEADERS.
+ */
+function getRecentRuns(ss, count) {
+  const runLogSheet = ss.getSheetByName(RUN_LOG_SHEET_NAME);
+  if (!runLogSheet || runLogSheet.getLastRow() < 2) return [];
+  const rowCount = Math.min(count, runLogSheet.getLastRow() - 1);
+  const startRow = runLogSheet.getLastRow() - rowCount + 1;
+  return runLogSheet.getRange(startRow, 1, rowCount, RUN_LOG_HEADERS.length).getValues()
+    .reverse()
+    .map(row => Object.fromEntries(RUN_LOG_HEADERS.map((header, i) => [header, row[i]])));
+}
+
+/**
+ * Builds a plain-text summary of recent runs, flagging modules whose latest runs all failed.
+ * @param {object[]} runs Runs from `getRecentRuns`, newest first.
+ * @returns {string} The summary text.
+ */
+function summarizeRecentRuns(runs) {
+  if (runs.length === 0) return "No processing runs have been logged yet.";
+  const timeZone = Session.getScriptTimeZone();
+  const warnings = [];
+
+  [...new Set(runs.map(r => r["Module"]))].forEach(moduleName => {
+    const moduleRuns = runs.filter(r => r["Module"] === moduleName && r["Mode"] === 'Live');
+    const failedStreak = moduleRuns.findIndex(r => r["Outcome"] === 'Completed' || r["Outcome"] === 'Stopped Early');
+    const streakLength = failedStreak === -1 ? moduleRuns.length : failedStreak;
+    if (streakLength > 0) {
+      warnings.push(`⚠️ ${moduleName}: last ${streakLength} live run(s) did not complete (latest: ${moduleRuns[0]["Outcome"]}${moduleRuns[0]["Notes"] ? ` - ${moduleRuns[0]["Notes"]}` : ''}).`);
+    }
+    const geminiFailures = moduleRuns.reduce((sum, r) => sum + (Number(r["Gemini Failures"]) || 0), 0);
+    const geminiCalls = moduleRuns.reduce((sum, r) => sum + (Number(r["Gemini Calls"]) || 0), 0);
+    if (geminiCalls > 0 && geminiFailures / geminiCalls >= 0.5) {
+      warnings.push(`⚠️ ${moduleName}: ${geminiFailures} of ${geminiCalls} Gemini calls failed in these runs.`);
+    }
+  });
+
+  const lines = runs.map(r => {
+    const started = r["Started"] instanceof Date ? Utilities.formatDate(r["Started"], timeZone, "MM-dd HH:mm") : r["Started"];
+    return `${started} | ${r["Module"]} | ${r["Source"]}${r["Mode"] === 'Preview' ? ' (preview)' : ''} | ` +
+      `${r["Messages"]} msg, +${r["Rows Inserted"]}/~${r["Rows Updated"]} rows, ` +
+      `AI ${r["Gemini Calls"]}${r["Gemini Failures"] ? ` (${r["Gemini Failures"]} failed)` : ''}, ` +
+      `${r["Manual Review"]} manual | ${r["Outcome"]}`;
+  });
+  return (warnings.length > 0 ? warnings.join('\n') + '\n\n' : '') + lines.join('\n');
+}
+
+/**
+ * Menu handler: asks how many runs to show and displays the summary.
+ */
+function showRecentRunsSummary_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt('Recent Processing Runs', `How many recent runs should be summarized? (default ${RUN_LOG_SUMMARY_DEFAULT_COUNT})`, ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  const requested = parseInt(response.getResponseText(), 10);
+  const count = requested > 0 ? Math.min(requested, RUN_LOG_MAX_ROWS) : RUN_LOG_SUMMARY_DEFAULT_COUNT;
+
+  const summary = summarizeRecentRuns(getRecentRuns(SpreadsheetApp.getActiveSpreadsheet(), count));
+  Logger.log(`[showRecentRunsSummary_UI INFO]\n${summary}`);
+  const htmlOutput = HtmlService.createHtmlOutput(`<pre style="font-family: monospace; font-size: 12px; white-space: pre-wrap;">${_escapeHtml(summary)}</pre>`)
+    .setWidth(900)
+    .setHeight(500);
+  ui.showModalDialog(htmlOutput, `Last ${count} Processing Runs`);
+}
+
+/** @private */
+function _escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
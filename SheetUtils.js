@@ -159,6 +159,38 @@ function setupSheetFormatting(sheet, headersArray, columnWidthsArray, applyBandi
   }
 }
 
+/**
+ * Adds the headers that a sheet created by an older version is missing: every blank header cell
+ * gets its header from `headersArray` (and its width), inserting columns if the sheet is too narrow.
+ * Headers already present are never overwritten, so running it again changes nothing.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet.
+ * @param {string[]} headersArray The full header row, in column order.
+ * @param {number[]} [columnWidthsArray] Optional. Widths in pixels, one per header.
+ * @returns {string[]} The headers that were added.
+ */
+function upgradeSheetHeaders(sheet, headersArray, columnWidthsArray) {
+  const FUNC_NAME = "upgradeSheetHeaders";
+  if (!sheet || !headersArray || headersArray.length === 0) return [];
+  const headerCount = headersArray.length;
+  const lastColumn = sheet.getLastColumn();
+  if (lastColumn === 0) return [];
+  const current = sheet.getRange(1, 1, 1, Math.min(lastColumn, headerCount)).getValues()[0];
+  let firstMissingCol = current.findIndex(header => !String(header).trim());
+  if (firstMissingCol === -1) firstMissingCol = current.length;
+  if (firstMissingCol >= headerCount) return [];
+
+  if (sheet.getMaxColumns() < headerCount) sheet.insertColumnsAfter(sheet.getMaxColumns(), headerCount - sheet.getMaxColumns());
+  const row = headersArray.map((header, i) => i < current.length && String(current[i]).trim() ? current[i] : header).slice(firstMissingCol);
+  const addedCols = row.map((header, i) => firstMissingCol + i).filter(i => i >= current.length || !String(current[i]).trim());
+  const added = addedCols.map(i => headersArray[i]);
+  sheet.getRange(1, firstMissingCol + 1, 1, row.length).setValues([row]).setFontWeight('bold');
+  if (Array.isArray(columnWidthsArray)) {
+    addedCols.filter(i => columnWidthsArray[i]).forEach(i => sheet.setColumnWidth(i + 1, columnWidthsArray[i]));
+  }
+  Logger.log(`[${FUNC_NAME} INFO] Added column(s) ${added.join(', ')} to "${sheet.getName()}".`);
+  return added;
+}
+
 /**
  * Gets or creates the target spreadsheet.
  * It first checks for a stored spreadsheet ID, then by name, and finally creates a new one if none are found.
@@ -212,6 +244,10 @@ function getOrCreateSpreadsheetAndSheet() {
  */
 function _writeErrorToSheet(sheet, errorInfo) {
     const FUNC_NAME = "_writeErrorToSheet";
+    if (!sheet) {
+        Logger.log(`[${FUNC_NAME}] INFO: No sheet given (preview run). Error row for msg ${errorInfo.messageId} not written.`);
+        return;
+    }
     try {
         let errorRow = [];
         // Use the moduleName to determine which sheet's headers to use for formatting
@@ -0,0 +1,240 @@
+/**
+ * @file The stale-application job. Applications whose status has had no update for longer than
+ * its "Stale After (Days)" in the "Settings" sheet are marked GHOSTED_STATUS, which is kept apart
+ * from real rejections. Each run is recorded in the "Status History" sheet under its run ID and
+ * can be reverted in bulk; an optional digest email lists applications a few days before they go stale.
+ */
+
+/**
+ * Does the stale-application update for `markStaleApplicationsAsRejected` once the lease is held.
+ * Only the Status cells of stale rows are written, and only on rows unchanged since they were read
+ * (see `_writeStatusChanges`). Last Update Date is left alone, so it still shows the last real email
+ * and a revert restores the row exactly.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @param {string} [runId] The lease's run ID, recorded in the "Status History" sheet.
+ * @private
+ */
+function _markStaleApplications(ss, runId) {
+  const FUNC_NAME = "markStaleApplicationsAsRejected";
+  const dataSheet = ss.getSheetByName(APP_TRACKER_SHEET_TAB_NAME);
+  if (!dataSheet) {
+    Logger.log(`[${FUNC_NAME} FATAL ERROR] Tab "${APP_TRACKER_SHEET_TAB_NAME}" not found in "${ss.getName()}". Aborting.`);
+    return;
+  }
+  if (dataSheet.getLastRow() < 2) {
+    Logger.log(`[${FUNC_NAME} INFO] No applications to check.`);
+    return;
+  }
+
+  getOrCreateSettingsSheet(ss);
+  loadStatusPipeline(ss);
+  const sheetValues = dataSheet.getRange(1, 1, dataSheet.getLastRow(), dataSheet.getLastColumn()).getValues();
+  const now = new Date();
+  const statusChanges = [];
+  const goingStaleSoon = [];
+
+  for (let i = 1; i < sheetValues.length; i++) {
+    const row = sheetValues[i];
+    const status = String(row[STATUS_COL - 1]).trim();
+    // A Status the user set by hand is theirs to change (see FieldLocks.js).
+    const staleAfterDays = status && !isFieldLocked(row, STATUS_COL) ? getStaleAfterDays(status) : null;
+    const lastUpdate = new Date(row[LAST_UPDATE_DATE_COL - 1]);
+    if (staleAfterDays === null || !row[LAST_UPDATE_DATE_COL - 1] || isNaN(lastUpdate.getTime())) continue;
+
+    const daysLeft = staleAfterDays - (now - lastUpdate) / 86400000;
+    if (daysLeft <= 0) {
+      const staleRow = [...row];
+      staleRow[STATUS_COL - 1] = GHOSTED_STATUS;
+      statusChanges.push({
+        row: i + 1, readValues: row, values: staleRow,
+        historyEntry: buildStatusHistoryEntry(row, staleRow, { source: STATUS_HISTORY_SOURCES.STALE_JOB, runId: runId })
+      });
+    } else if (daysLeft <= STALE_NOTICE_DAYS && daysLeft > STALE_NOTICE_DAYS - 1) {
+      // The job runs daily, so each application is listed once, STALE_NOTICE_DAYS ahead.
+      goingStaleSoon.push({
+        company: row[COMPANY_COL - 1], title: row[JOB_TITLE_COL - 1], status: status, lastUpdate: lastUpdate,
+        staleOn: new Date(lastUpdate.getTime() + staleAfterDays * 86400000)
+      });
+    }
+  }
+
+  const statusHistoryEntries = _writeStatusChanges(dataSheet, statusChanges).map(change => change.historyEntry).filter(Boolean);
+  if (statusHistoryEntries.length > 0) {
+    try {
+      appendStatusHistory(ss, statusHistoryEntries);
+    } catch (e) {
+      Logger.log(`[${FUNC_NAME} WARN] Recording ${statusHistoryEntries.length} status change(s) failed: ${e.message}`);
+    }
+    Logger.log(`[${FUNC_NAME} INFO] Marked ${statusHistoryEntries.length} stale application(s) as "${GHOSTED_STATUS}" (run ${runId}).`);
+  } else {
+    Logger.log(`[${FUNC_NAME} INFO] No stale applications found needing update.`);
+  }
+
+  if (goingStaleSoon.length > 0 && isStaleDigestEnabled()) {
+    _sendStaleDigest(goingStaleSoon);
+  }
+}
+
+/**
+ * Reverts one stale-job run: every row it marked is set back to its previous status, unless the
+ * row has changed since. Reverted rows are recorded in the "Status History" sheet with source
+ * "Stale Revert" and the reverted run's ID, so a run is only reverted once.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @param {string|null} [runId] The run to revert; defaults to the most recent run not yet reverted.
+ * @returns {{reverted: number, skipped: number, runId: string|null, message: string}} The outcome.
+ */
+function revertStaleRun(ss, runId) {
+  const FUNC_NAME = "revertStaleRun";
+  const historySheet = ss.getSheetByName(STATUS_HISTORY_SHEET_NAME);
+  const history = historySheet && historySheet.getLastRow() >= 2
+    ? historySheet.getRange(2, 1, historySheet.getLastRow() - 1, STATUS_HISTORY_HEADERS.length).getValues()
+    : [];
+  const sourceCol = STATUS_HISTORY_HEADERS.indexOf("Source");
+  const runIdCol = STATUS_HISTORY_HEADERS.indexOf("Run ID");
+  const revertedRunIds = new Set(history.filter(h => h[sourceCol] === STATUS_HISTORY_SOURCES.STALE_REVERT).map(h => String(h[runIdCol])));
+  const staleEntries = history.filter(h => h[sourceCol] === STATUS_HISTORY_SOURCES.STALE_JOB && h[runIdCol]);
+
+  const targetRunId = runId || [...staleEntries].reverse().map(h => String(h[runIdCol])).find(id => !revertedRunIds.has(id)) || null;
+  if (!targetRunId) return { reverted: 0, skipped: 0, runId: null, message: "There is no stale-job run to revert." };
+  if (revertedRunIds.has(targetRunId)) return { reverted: 0, skipped: 0, runId: targetRunId, message: `Run ${targetRunId} was already reverted.` };
+  const runEntries = staleEntries.filter(h => String(h[runIdCol]) === targetRunId);
+  if (runEntries.length === 0) return { reverted: 0, skipped: 0, runId: targetRunId, message: `No stale-job changes were found for run ${targetRunId}.` };
+
+  const moduleName = getRegisteredModule("applicationTracker").moduleName;
+  const outcome = withModuleRunLease(ss, moduleName, 'menu', () => {
+    const dataSheet = ss.getSheetByName(APP_TRACKER_SHEET_TAB_NAME);
+    const sheetValues = dataSheet.getLastRow() >= 2 ? dataSheet.getRange(2, 1, dataSheet.getLastRow() - 1, dataSheet.getLastColumn()).getValues() : [];
+    const rowKeys = sheetValues.map(row => applicationKey(row[COMPANY_COL - 1], row[JOB_TITLE_COL - 1]));
+    const revertedRows = new Set();
+    const statusChanges = [];
+    let skipped = 0;
+
+    runEntries.forEach(h => {
+      const key = h[STATUS_HISTORY_HEADERS.indexOf("Application Key")];
+      const oldStatus = h[STATUS_HISTORY_HEADERS.indexOf("Old Status")];
+      const newStatus = h[STATUS_HISTORY_HEADERS.indexOf("New Status")];
+      // The row must still carry the status the stale job set; anything else means it has moved on.
+      const index = rowKeys.findIndex((rowKey, i) => rowKey === key && !revertedRows.has(i) && String(sheetValues[i][STATUS_COL - 1]).trim() === newStatus &&
+        !isFieldLocked(sheetValues[i], STATUS_COL));
+      if (index === -1 || !oldStatus) { skipped++; return; }
+      const revertedRow = [...sheetValues[index]];
+      revertedRow[STATUS_COL - 1] = oldStatus;
+      revertedRows.add(index);
+      statusChanges.push({
+        row: index + 2, readValues: sheetValues[index], values: revertedRow,
+        historyEntry: buildStatusHistoryEntry(sheetValues[index], revertedRow, { source: STATUS_HISTORY_SOURCES.STALE_REVERT, runId: targetRunId })
+      });
+    });
+
+    const written = _writeStatusChanges(dataSheet, statusChanges);
+    skipped += statusChanges.length - written.length;
+    const statusHistoryEntries = written.map(change => change.historyEntry).filter(Boolean);
+    if (statusHistoryEntries.length > 0) {
+      try {
+        appendStatusHistory(ss, statusHistoryEntries);
+      } catch (e) {
+        Logger.log(`[${FUNC_NAME} WARN] Recording ${statusHistoryEntries.length} reverted status(es) failed: ${e.message}`);
+      }
+    }
+    return { reverted: written.length, skipped: skipped };
+  });
+
+  if (!outcome.ran) {
+    return { reverted: 0, skipped: 0, runId: targetRunId, message: `${moduleName} is running (${describeRunLease(outcome.holder)}). Try again when it finishes.` };
+  }
+  const { reverted, skipped } = outcome.result;
+  Logger.log(`[${FUNC_NAME} INFO] Run ${targetRunId}: reverted ${reverted} row(s), skipped ${skipped}.`);
+  return {
+    reverted: reverted, skipped: skipped, runId: targetRunId,
+    message: `Reverted ${reverted} application(s) from stale run ${targetRunId}.` + (skipped > 0 ? `\n${skipped} row(s) were skipped because they changed or were removed since.` : "")
+  };
+}
+
+/**
+ * Writes the new Status of rows changed by a stale run or its revert. The rows are read again just
+ * before writing and merged with `mergeConcurrentEdits`, as engine writes are; a row that changed in
+ * any cell since it was read (a new Status, a lock, a re-sort) is skipped, and only the Status cell
+ * of the others is written.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} dataSheet The Applications sheet.
+ * @param {{row: number, readValues: any[], values: any[]}[]} changes Each row's sheet row number,
+ *     its values when read and its values with the new Status.
+ * @returns {object[]} The changes that were written.
+ * @private
+ */
+function _writeStatusChanges(dataSheet, changes) {
+  if (changes.length === 0) return [];
+  const currentValues = dataSheet.getDataRange().getValues();
+  return changes.filter(change => {
+    const currentRow = currentValues[change.row - 1];
+    const keptColumns = currentRow ? mergeConcurrentEdits(change.readValues, currentRow, [...change.values]) : null;
+    if (!keptColumns || keptColumns.length > 0) {
+      Logger.log(`[_writeStatusChanges WARN] Row ${change.row} changed since it was read${keptColumns ? ` (${keptColumns.map(col => columnToLetter(col)).join(", ")})` : ""}; its Status was left as it is.`);
+      return false;
+    }
+    dataSheet.getRange(change.row, STATUS_COL).setValue(change.values[STATUS_COL - 1]);
+    return true;
+  });
+}
+
+/**
+ * Menu handler: reverts the most recent stale-job run after confirmation.
+ */
+function revertLastStaleRun_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const confirm = ui.alert('Revert Last Stale Run',
+    `Set every application the most recent stale run marked "${GHOSTED_STATUS}" back to its previous status?`,
+    ui.ButtonSet.YES_NO);
+  if (confirm !== ui.Button.YES) return;
+  const result = revertStaleRun(SpreadsheetApp.getActiveSpreadsheet(), null);
+  ui.alert(result.reverted > 0 ? 'Stale Run Reverted' : 'Nothing Reverted', result.message, ui.ButtonSet.OK);
+}
+
+/**
+ * @returns {boolean} True if the stale digest email is switched on for this user.
+ */
+function isStaleDigestEnabled() {
+  return PropertiesService.getUserProperties().getProperty(STALE_DIGEST_ENABLED_PROPERTY) === 'true';
+}
+
+/**
+ * Menu handler: switches the stale digest email on or off.
+ */
+function toggleStaleDigest_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const enabled = isStaleDigestEnabled();
+  const response = ui.alert('Stale Digest Email',
+    `The digest is currently ${enabled ? 'ON' : 'OFF'}. When on, the daily stale check emails you the applications that will be marked "${GHOSTED_STATUS}" in ${STALE_NOTICE_DAYS} day(s).\n\nTurn it ${enabled ? 'OFF' : 'ON'}?`,
+    ui.ButtonSet.YES_NO);
+  if (response !== ui.Button.YES) return;
+  PropertiesService.getUserProperties().setProperty(STALE_DIGEST_ENABLED_PROPERTY, enabled ? 'false' : 'true');
+  ui.alert('Stale Digest Email', `The digest is now ${enabled ? 'OFF' : 'ON'}.`, ui.ButtonSet.OK);
+}
+
+/** @private */
+function _sendStaleDigest(applications) {
+  const FUNC_NAME = "markStaleApplicationsAsRejected";
+  try {
+    const recipient = Session.getEffectiveUser().getEmail();
+    if (!recipient) {
+      Logger.log(`[${FUNC_NAME} WARN] No email address for the effective user. Stale digest not sent.`);
+      return;
+    }
+    const timeZone = Session.getScriptTimeZone();
+    const formatDate = date => Utilities.formatDate(date, timeZone, "yyyy-MM-dd");
+    const lines = applications.map(app => `- ${app.company} / ${app.title} (${app.status}, last update ${formatDate(app.lastUpdate)}): marked on ${formatDate(app.staleOn)}`);
+    const rows = applications.map(app => `<tr><td>${_escapeHtml(app.company)}</td><td>${_escapeHtml(app.title)}</td><td>${_escapeHtml(app.status)}</td>` +
+      `<td>${formatDate(app.lastUpdate)}</td><td>${formatDate(app.staleOn)}</td></tr>`).join('');
+    const intro = `${applications.length} application(s) will be marked "${GHOSTED_STATUS}" in ${STALE_NOTICE_DAYS} day(s) unless they are updated. ` +
+      `Change their status or "Stale After (Days)" in the "${SETTINGS_SHEET_NAME}" sheet to keep them open.`;
+    MailApp.sendEmail({
+      to: recipient,
+      subject: `CareerSuite.AI: ${applications.length} application(s) going stale soon`,
+      body: `${intro}\n\n${lines.join('\n')}`,
+      htmlBody: `<p>${_escapeHtml(intro)}</p><table border="1" cellpadding="4" style="border-collapse:collapse">` +
+        `<tr><th>Company</th><th>Job Title</th><th>Status</th><th>Last Update</th><th>Marked On</th></tr>${rows}</table>`
+    });
+    Logger.log(`[${FUNC_NAME} INFO] Stale digest sent for ${applications.length} application(s).`);
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} WARN] Sending the stale digest failed: ${e.message}`);
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * @file Maintains the append-only "Status History" sheet. Every change to an application's
+ * Status, whether made by processing (AI or regex), the stale-application job, an applied preview
+ * or a manual edit, is recorded with its old and new status, email date, message link and source.
+ * The history of the selected row can be shown as a timeline from "Data Tools → Show Status Timeline".
+ */
+
+/**
+ * Gets or creates the "Status History" sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The history sheet or null if it could not be created.
+ */
+function getOrCreateStatusHistorySheet(ss) {
+  const FUNC_NAME = "getOrCreateStatusHistorySheet";
+  let historySheet = ss.getSheetByName(STATUS_HISTORY_SHEET_NAME);
+  if (historySheet) return historySheet;
+
+  try {
+    historySheet = ss.insertSheet(STATUS_HISTORY_SHEET_NAME);
+    const widths = STATUS_HISTORY_COLUMN_WIDTHS.map((width, i) => ({ col: i + 1, width: width }));
+    setupSheetFormatting(historySheet, STATUS_HISTORY_HEADERS, widths, true, SpreadsheetApp.BandingTheme.GREY);
+    historySheet.setTabColor(BRAND_COLORS.CAROLINA_BLUE);
+    Logger.log(`[${FUNC_NAME} INFO] Created "${STATUS_HISTORY_SHEET_NAME}" sheet.`);
+    return historySheet;
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Failed to create status history sheet: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Builds the key an application's history is recorded under: its normalized company and job title,
+ * so "Acme, Inc." / "Sr. Engineer" and "Acme" / "Senior Engineer" share one timeline.
+ * @param {string} company The company name.
+ * @param {string} title The job title.
+ * @returns {string} The application key.
+ */
+function applicationKey(company, title) {
+  return `${companyMatchKey(company)} | ${normalizeJobTitle(title)}`;
+}
+
+/**
+ * Compares an Applications row before and after a change and describes the status transition.
+ * @param {any[]|null} beforeRow The row before the change, or null for a new row.
+ * @param {any[]} afterRow The row after the change.
+ * @param {{source: string, emailDate?: Date, emailLink?: string, runId?: string}} details Where the change came from.
+ * @returns {object|null} A history entry for `appendStatusHistory`, or null if the Status did not change.
+ */
+function buildStatusHistoryEntry(beforeRow, afterRow, details) {
+  const oldStatus = beforeRow ? String(beforeRow[STATUS_COL - 1] || "").trim() : "";
+  const newStatus = String(afterRow[STATUS_COL - 1] || "").trim();
+  if (!newStatus || oldStatus === newStatus) return null;
+  return {
+    company: afterRow[COMPANY_COL - 1],
+    title: afterRow[JOB_TITLE_COL - 1],
+    oldStatus: oldStatus,
+    newStatus: newStatus,
+    emailDate: details.emailDate || "",
+    emailLink: details.emailLink || "",
+    source: details.source,
+    runId: details.runId || ""
+  };
+}
+
+/**
+ * Appends status transitions to the "Status History" sheet. Existing rows are never changed.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @param {object[]} entries Entries from `buildStatusHistoryEntry`.
+ * @returns {number} The number of rows appended.
+ */
+function appendStatusHistory(ss, entries) {
+  if (!entries || entries.length === 0) return 0;
+  const historySheet = getOrCreateStatusHistorySheet(ss);
+  if (!historySheet) throw new Error(`Status history sheet "${STATUS_HISTORY_SHEET_NAME}" is unavailable.`);
+  const recordedAt = new Date();
+  const rows = entries.map(entry => [
+    recordedAt,
+    applicationKey(entry.company, entry.title),
+    entry.company || "",
+    entry.title || "",
+    entry.oldStatus,
+    entry.newStatus,
+    entry.emailDate || "",
+    entry.emailLink || "",
+    entry.source,
+    entry.runId || ""
+  ]);
+  historySheet.getRange(historySheet.getLastRow() + 1, 1, rows.length, STATUS_HISTORY_HEADERS.length).setValues(rows);
+  Logger.log(`[appendStatusHistory INFO] Recorded ${rows.length} status change(s).`);
+  return rows.length;
+}
+
+/**
+ * Records Status changes typed or pasted into the Applications sheet. Called from `onEdit`.
+ * Multi-cell edits carry no previous values, so each row is compared with the status last recorded
+ * for its application; rows with no recorded status are skipped rather than logged as new.
+ * @param {GoogleAppsScript.Events.SheetsOnEdit} e The edit event.
+ */
+function recordManualStatusEdit(e) {
+  const FUNC_NAME = "recordManualStatusEdit";
+  if (!e || !e.range) return;
+  const range = e.range;
+  const sheet = range.getSheet();
+  if (sheet.getName() !== APP_TRACKER_SHEET_TAB_NAME) return;
+  if (STATUS_COL < range.getColumn() || STATUS_COL > range.getLastColumn()) return;
+  const firstRow = Math.max(range.getRow(), 2);
+  const lastRow = range.getLastRow();
+  if (lastRow < firstRow) return;
+
+  try {
+    const ss = e.source || sheet.getParent();
+    const singleCell = range.getNumRows() === 1 && range.getNumColumns() === 1;
+    const lastStatuses = singleCell ? null : _lastRecordedStatuses(ss);
+    const rows = sheet.getRange(firstRow, 1, lastRow - firstRow + 1, sheet.getLastColumn()).getValues();
+    const entries = rows.map(row => {
+      const oldStatus = singleCell ? (e.oldValue ?? "") : lastStatuses.get(applicationKey(row[COMPANY_COL - 1], row[JOB_TITLE_COL - 1]));
+      if (oldStatus === undefined) return null;
+      const beforeRow = [...row];
+      beforeRow[STATUS_COL - 1] = oldStatus;
+      return buildStatusHistoryEntry(beforeRow, row, { source: STATUS_HISTORY_SOURCES.MANUAL_EDIT });
+    }).filter(Boolean);
+    if (!singleCell && entries.length < rows.length) {
+      Logger.log(`[${FUNC_NAME} INFO] Multi-cell edit: recorded ${entries.length} of ${rows.length} row(s); the rest kept their last recorded status or have none.`);
+    }
+    appendStatusHistory(ss, entries);
+  } catch (err) {
+    Logger.log(`[${FUNC_NAME} ERROR] Could not record manual status edit: ${err.message}`);
+  }
+}
+
+/**
+ * Reads one application's status history, oldest first. Transitions are ordered by their email
+ * date, falling back to when they were recorded (stale-job and manual changes have no email).
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @param {string} company The company name.
+ * @param {string} title The job title.
+ * @returns {{when: Date, recordedAt: Date, oldStatus: string, newStatus: string, emailLink: string, source: string}[]} The transitions.
+ */
+function getStatusTimeline(ss, company, title) {
+  const historySheet = ss.getSheetByName(STATUS_HISTORY_SHEET_NAME);
+  if (!historySheet || historySheet.getLastRow() < 2) return [];
+  const key = applicationKey(company, title);
+  return historySheet.getRange(2, 1, historySheet.getLastRow() - 1, STATUS_HISTORY_HEADERS.length).getValues()
+    .filter(row => row[1] === key)
+    .map(([recordedAt, , , , oldStatus, newStatus, emailDate, emailLink, source]) => ({
+      when: emailDate instanceof Date ? emailDate : new Date(recordedAt),
+      recordedAt: new Date(recordedAt),
+      oldStatus: String(oldStatus),
+      newStatus: String(newStatus),
+      emailLink: String(emailLink),
+      source: String(source)
+    }))
+    .sort((a, b) => a.when - b.when || a.recordedAt - b.recordedAt);
+}
+
+/**
+ * Menu handler: shows the status timeline of the selected Applications row.
+ */
+function showStatusTimeline_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getActiveSheet();
+  const row = sheet.getActiveRange() ? sheet.getActiveRange().getRow() : 0;
+  if (sheet.getName() !== APP_TRACKER_SHEET_TAB_NAME || row < 2) {
+    ui.alert('Status Timeline', `Select a row on the "${APP_TRACKER_SHEET_TAB_NAME}" sheet first.`, ui.ButtonSet.OK);
+    return;
+  }
+  const values = sheet.getRange(row, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const company = values[COMPANY_COL - 1];
+  const title = values[JOB_TITLE_COL - 1];
+  const timeline = getStatusTimeline(ss, company, title);
+  if (timeline.length === 0) {
+    ui.alert('Status Timeline', `No status changes are recorded for "${company}" / "${title}" yet.`, ui.ButtonSet.OK);
+    return;
+  }
+  const html = HtmlService.createHtmlOutput(_buildStatusTimelineHtml(company, title, timeline)).setWidth(720).setHeight(460);
+  ui.showModalDialog(html, `Status Timeline: ${company}`);
+}
+
+/** @private */
+function _buildStatusTimelineHtml(company, title, timeline) {
+  const timeZone = Session.getScriptTimeZone();
+  const first = timeline[0].when;
+  const days = (from, to) => Math.round((to - from) / 86400000);
+  const rows = timeline.map((entry, i) => `
+    <tr>
+      <td>${Utilities.formatDate(entry.when, timeZone, "yyyy-MM-dd")}</td>
+      <td>${_escapeHtml(entry.oldStatus || "—")} → <b>${_escapeHtml(entry.newStatus)}</b></td>
+      <td>${i === 0 ? "" : days(timeline[i - 1].when, entry.when)}</td>
+      <td>${days(first, entry.when)}</td>
+      <td>${_escapeHtml(entry.source)}</td>
+      <td>${entry.emailLink ? `<a href="${_escapeHtml(entry.emailLink)}" target="_blank">Open</a>` : ""}</td>
+    </tr>`).join('');
+
+  return `
+    <style>
+      body { font-family: Arial, sans-serif; font-size: 12px; }
+      table { border-collapse: collapse; width: 100%; }
+      th, td { border: 1px solid ${BRAND_COLORS.MEDIUM_GREY_BORDER}; padding: 3px 6px; text-align: left; }
+      th { background: ${BRAND_COLORS.PALE_GREY}; }
+    </style>
+    <p><b>${_escapeHtml(company)}</b> / ${_escapeHtml(title)}</p>
+    <table>
+      <tr><th>Date</th><th>Change</th><th>Days Since Previous</th><th>Days Since First</th><th>Source</th><th>Email</th></tr>
+      ${rows}
+    </table>
+    <p><button onclick="google.script.host.close()">Close</button></p>`;
+}
+
+/**
+ * Reads the status each application was last recorded with (the history is append-only, so the last row wins).
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @returns {Map<string, string>} New Status by application key.
+ * @private
+ */
+function _lastRecordedStatuses(ss) {
+  const statuses = new Map();
+  const historySheet = ss.getSheetByName(STATUS_HISTORY_SHEET_NAME);
+  if (!historySheet || historySheet.getLastRow() < 2) return statuses;
+  historySheet.getRange(2, 2, historySheet.getLastRow() - 1, 5).getValues()
+    .forEach(([key, , , , newStatus]) => statuses.set(String(key), String(newStatus).trim()));
+  return statuses;
+}
@@ -0,0 +1,315 @@
+/**
+ * @file Manages the user-editable "Settings" sheet that defines the application status pipeline:
+ * status names, ranks, terminal flags, funnel stages, colors, status keywords and their priority, and Gemini hints.
+ * Status updates, peak-status tracking, stale checks, the Gemini prompt, the keyword fallback,
+ * dashboard formulas and the Status column's dropdown and colors all read the pipeline from here.
+ */
+
+/** @private Pipeline for the current execution (see `loadStatusPipeline`). */
+let _statusPipelineCache = null;
+
+/**
+ * Gets or creates the "Settings" sheet, seeding it with DEFAULT_STATUS_PIPELINE when new.
+ * A sheet created by an older version gets the columns it lacks (filled with the defaults for
+ * the statuses it has) and the statuses the code itself sets, such as GHOSTED_STATUS.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The settings sheet or null if it could not be created.
+ */
+function getOrCreateSettingsSheet(ss) {
+  const FUNC_NAME = "getOrCreateSettingsSheet";
+  let settingsSheet = ss.getSheetByName(SETTINGS_SHEET_NAME);
+  if (settingsSheet) {
+    _upgradeSettingsSheet(settingsSheet);
+    return settingsSheet;
+  }
+
+  try {
+    settingsSheet = ss.insertSheet(SETTINGS_SHEET_NAME);
+    const widths = STATUS_PIPELINE_COLUMN_WIDTHS.map((width, i) => ({ col: i + 1, width: width }));
+    setupSheetFormatting(settingsSheet, STATUS_PIPELINE_HEADERS, widths, true, SpreadsheetApp.BandingTheme.GREY);
+    settingsSheet.getRange(2, 1, DEFAULT_STATUS_PIPELINE.length, STATUS_PIPELINE_HEADERS.length).setValues(DEFAULT_STATUS_PIPELINE);
+    // Checkboxes are added after formatting, which removes them from the formatted range.
+    settingsSheet.getRange(2, 3, Math.max(settingsSheet.getMaxRows() - 1, 1), 2).insertCheckboxes();
+    settingsSheet.getRange(2, 6, DEFAULT_STATUS_PIPELINE.length, 2).setWrap(true);
+    settingsSheet.setTabColor(BRAND_COLORS.CAROLINA_BLUE);
+    _statusPipelineCache = null;
+    Logger.log(`[${FUNC_NAME} INFO] Created "${SETTINGS_SHEET_NAME}" sheet with ${DEFAULT_STATUS_PIPELINE.length} default status(es).`);
+    return settingsSheet;
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Failed to create settings sheet: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * (Re)loads the status pipeline from a spreadsheet's "Settings" sheet for the rest of the execution.
+ * Rows without a name or a numeric rank are skipped; if no valid row is left (or the sheet is
+ * missing), DEFAULT_STATUS_PIPELINE is used.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @returns {{name: string, rank: number, terminal: boolean, inFunnel: boolean, color: string, keywords: string[], aiHint: string, staleAfterDays: number|null, keywordPriority: number}[]}
+ *     The statuses in sheet order.
+ */
+function loadStatusPipeline(ss) {
+  const FUNC_NAME = "loadStatusPipeline";
+  let rows = [];
+  const settingsSheet = ss ? ss.getSheetByName(SETTINGS_SHEET_NAME) : null;
+  if (settingsSheet && settingsSheet.getLastRow() >= 2) {
+    // Sheets from older versions may lack the last columns until `getOrCreateSettingsSheet` upgrades them.
+    const columnCount = Math.min(settingsSheet.getLastColumn(), STATUS_PIPELINE_HEADERS.length);
+    rows = settingsSheet.getRange(2, 1, settingsSheet.getLastRow() - 1, columnCount).getValues();
+  }
+
+  let statuses = _parseStatusPipelineRows(rows, FUNC_NAME);
+  if (statuses.length === 0) {
+    if (settingsSheet) Logger.log(`[${FUNC_NAME} WARN] "${SETTINGS_SHEET_NAME}" has no valid statuses. Using the default pipeline.`);
+    statuses = _parseStatusPipelineRows(DEFAULT_STATUS_PIPELINE, FUNC_NAME);
+  }
+  _statusPipelineCache = statuses;
+  if (DEBUG_MODE) Logger.log(`[${FUNC_NAME} DEBUG] Loaded ${statuses.length} pipeline status(es).`);
+  return statuses;
+}
+
+/**
+ * Returns the pipeline loaded by `loadStatusPipeline`, loading it from the active spreadsheet on first use.
+ * @returns {object[]} The statuses in sheet order.
+ */
+function getStatusPipeline() {
+  if (!_statusPipelineCache) {
+    try {
+      loadStatusPipeline(SpreadsheetApp.getActiveSpreadsheet());
+    } catch (e) {
+      loadStatusPipeline(null);
+    }
+  }
+  return _statusPipelineCache;
+}
+
+/**
+ * Looks up a status's rank. MANUAL_REVIEW_NEEDED ranks MANUAL_REVIEW_STATUS_RANK.
+ * @param {string} status The status name (matched case-insensitively).
+ * @returns {number|null} The rank, or null if the status is not in the pipeline.
+ */
+function getStatusRank(status) {
+  if (status === MANUAL_REVIEW_NEEDED) return MANUAL_REVIEW_STATUS_RANK;
+  const entry = _findPipelineStatus(status);
+  return entry ? entry.rank : null;
+}
+
+/**
+ * Checks whether a status is terminal (flagged in the "Settings" sheet).
+ * @param {string} status The status name.
+ * @returns {boolean} True if terminal.
+ */
+function isTerminalStatus(status) {
+  const entry = _findPipelineStatus(status);
+  return !!(entry && entry.terminal);
+}
+
+/**
+ * Looks up how many days without an update make a status stale. Terminal statuses, rows waiting
+ * for manual review and statuses with a blank "Stale After (Days)" never go stale; statuses that
+ * are not in the pipeline use DEFAULT_STALE_AFTER_DAYS.
+ * @param {string} status The status name.
+ * @returns {number|null} The threshold in days, or null if the status never goes stale.
+ */
+function getStaleAfterDays(status) {
+  if (status === MANUAL_REVIEW_NEEDED) return null;
+  const entry = _findPipelineStatus(status);
+  if (!entry) return DEFAULT_STALE_AFTER_DAYS;
+  return entry.terminal ? null : entry.staleAfterDays;
+}
+
+/**
+ * @returns {string[]} The dashboard funnel stages, lowest rank first.
+ */
+function getFunnelStatuses() {
+  return getStatusPipeline()
+    .filter(s => s.inFunnel)
+    .sort((a, b) => a.rank - b.rank)
+    .map(s => s.name);
+}
+
+/**
+ * Groups every status at or above the first funnel stage under the funnel stage below it,
+ * so the funnel counts sub-stages too (e.g. "Interview 2" under "Interviewing").
+ * @returns {{name: string, statuses: string[]}[]} The funnel stages, lowest rank first.
+ */
+function getFunnelStages() {
+  const pipeline = getStatusPipeline();
+  const stages = pipeline.filter(s => s.inFunnel).sort((a, b) => a.rank - b.rank);
+  return stages.map((stage, i) => {
+    const nextRank = i + 1 < stages.length ? stages[i + 1].rank : Infinity;
+    const statuses = pipeline
+      .filter(s => s === stage || (!s.inFunnel && s.rank >= stage.rank && s.rank < nextRank))
+      .map(s => s.name);
+    return { name: stage.name, statuses: statuses };
+  });
+}
+
+/**
+ * @returns {string[]} Every interview stage: statuses ranked from Interviewing up to (not including) Offer.
+ */
+function getInterviewStageStatuses() {
+  const fromRank = getStatusRank(INTERVIEW_STATUS) ?? 4;
+  const toRank = getStatusRank(OFFER_STATUS) ?? Infinity;
+  return getStatusPipeline().filter(s => s.rank >= fromRank && s.rank < toRank).map(s => s.name);
+}
+
+/**
+ * @returns {string[]} The terminal status names, in sheet order.
+ */
+function getTerminalStatuses() {
+  return getStatusPipeline().filter(s => s.terminal).map(s => s.name);
+}
+
+/**
+ * @returns {{status: string, keywords: string[], priority: number}[]} Statuses with keywords, highest
+ *     keyword priority first (see KeywordRules.js).
+ */
+function getStatusKeywordRules() {
+  return getStatusPipeline()
+    .filter(s => s.keywords.length > 0)
+    .sort((a, b) => b.keywordPriority - a.keywordPriority)
+    .map(s => ({ status: s.name, keywords: s.keywords, priority: s.keywordPriority }));
+}
+
+/**
+ * @returns {{status: string, hint: string}[]} The statuses Gemini may choose from, in sheet order.
+ */
+function getAiStatusOptions() {
+  return getStatusPipeline()
+    .filter(s => s.aiHint)
+    .map(s => ({ status: s.name, hint: s.aiHint }));
+}
+
+/**
+ * Applies the pipeline to an applications sheet: a dropdown of the pipeline statuses on the
+ * Status and Peak Status columns, and a background color per status. Values outside the list
+ * (e.g. "Update/Other") are still accepted and only flagged. Conditional format rules on other
+ * columns are left alone.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The applications sheet.
+ * @returns {boolean} True if the formatting was applied.
+ */
+function applyStatusPipelineFormatting(sheet) {
+  const FUNC_NAME = "applyStatusPipelineFormatting";
+  if (!sheet) return false;
+  try {
+    const statuses = getStatusPipeline();
+    const rowCount = Math.max(sheet.getMaxRows() - 1, 1);
+    const statusRanges = [STATUS_COL, PEAK_STATUS_COL].map(col => sheet.getRange(2, col, rowCount, 1));
+
+    const validation = SpreadsheetApp.newDataValidation()
+      .requireValueInList([...statuses.map(s => s.name), MANUAL_REVIEW_NEEDED], true)
+      .setAllowInvalid(true)
+      .build();
+    statusRanges.forEach(range => range.setDataValidation(validation));
+
+    const statusColumns = [STATUS_COL, PEAK_STATUS_COL];
+    const otherRules = sheet.getConditionalFormatRules().filter(rule =>
+      !rule.getRanges().every(range => range.getNumColumns() === 1 && statusColumns.includes(range.getColumn())));
+    const statusRules = statuses
+      .filter(s => s.color)
+      .map(s => SpreadsheetApp.newConditionalFormatRule()
+        .whenTextEqualTo(s.name)
+        .setBackground(s.color)
+        .setRanges(statusRanges)
+        .build());
+    sheet.setConditionalFormatRules([...otherRules, ...statusRules]);
+    Logger.log(`[${FUNC_NAME} INFO] Applied ${statuses.length} status(es) and ${statusRules.length} color rule(s) to "${sheet.getName()}".`);
+    return true;
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Failed to format status columns on "${sheet.getName()}": ${e.message}`);
+    return false;
+  }
+}
+
+/**
+ * Menu handler: reloads the "Settings" sheet and re-applies it to the Applications sheet's
+ * dropdowns and colors and to the dashboard formulas and funnel.
+ */
+function applyStatusSettings_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  if (!getOrCreateSettingsSheet(ss)) {
+    ui.alert('Settings', `The "${SETTINGS_SHEET_NAME}" sheet could not be created. Check the logs.`, ui.ButtonSet.OK);
+    return;
+  }
+  const statuses = loadStatusPipeline(ss);
+
+  applyStatusPipelineFormatting(ss.getSheetByName(APP_TRACKER_SHEET_TAB_NAME));
+  const dashboardSheet = ss.getSheetByName(DASHBOARD_TAB_NAME);
+  const helperSheet = ss.getSheetByName(HELPER_SHEET_NAME);
+  if (dashboardSheet && helperSheet) {
+    formatDashboardSheet(dashboardSheet);
+    setupHelperSheetFormulas(helperSheet);
+    updateDashboardMetrics(dashboardSheet, helperSheet);
+  }
+  ui.alert('Settings Applied',
+    `${statuses.length} status(es) loaded.\n\nFunnel: ${getFunnelStatuses().join(' → ') || '(none)'}\nTerminal: ${getTerminalStatuses().join(', ') || '(none)'}`,
+    ui.ButtonSet.OK);
+}
+
+/** @private */
+function _upgradeSettingsSheet(settingsSheet) {
+  const FUNC_NAME = "getOrCreateSettingsSheet";
+  const headerCount = STATUS_PIPELINE_HEADERS.length;
+  const lastRow = settingsSheet.getLastRow();
+  if (settingsSheet.getMaxColumns() < headerCount) settingsSheet.insertColumnsAfter(settingsSheet.getMaxColumns(), headerCount - settingsSheet.getMaxColumns());
+  const values = settingsSheet.getRange(1, 1, Math.max(lastRow, 1), headerCount).getValues();
+  const firstMissingCol = values[0].findIndex(header => !String(header).trim());
+  if (firstMissingCol > 0) {
+    settingsSheet.getRange(1, firstMissingCol + 1, 1, headerCount - firstMissingCol)
+      .setValues([STATUS_PIPELINE_HEADERS.slice(firstMissingCol)])
+      .setFontWeight('bold').setHorizontalAlignment('center');
+    STATUS_PIPELINE_COLUMN_WIDTHS.slice(firstMissingCol).forEach((width, i) => settingsSheet.setColumnWidth(firstMissingCol + i + 1, width));
+    const filled = values.slice(1).map(row => {
+      const defaults = DEFAULT_STATUS_PIPELINE.find(d => d[0] === String(row[0]).trim());
+      return STATUS_PIPELINE_HEADERS.slice(firstMissingCol).map((_, j) => defaults ? defaults[firstMissingCol + j] : "");
+    });
+    if (filled.length > 0) settingsSheet.getRange(2, firstMissingCol + 1, filled.length, filled[0].length).setValues(filled);
+    Logger.log(`[${FUNC_NAME} INFO] Added column(s) ${STATUS_PIPELINE_HEADERS.slice(firstMissingCol).join(', ')} to "${SETTINGS_SHEET_NAME}".`);
+  }
+
+  const names = new Set(values.slice(1).map(row => String(row[0]).trim()));
+  const missing = DEFAULT_STATUS_PIPELINE.filter(d => d[0] === GHOSTED_STATUS && !names.has(d[0]));
+  if (missing.length > 0) {
+    settingsSheet.getRange(lastRow + 1, 1, missing.length, headerCount).setValues(missing);
+    settingsSheet.getRange(lastRow + 1, 3, missing.length, 2).insertCheckboxes();
+    Logger.log(`[${FUNC_NAME} INFO] Added status(es) ${missing.map(d => d[0]).join(', ')} to "${SETTINGS_SHEET_NAME}".`);
+  }
+  if (firstMissingCol > 0 || missing.length > 0) _statusPipelineCache = null;
+}
+
+/** @private */
+function _findPipelineStatus(status) {
+  const wanted = String(status || "").trim().toLowerCase();
+  if (!wanted) return null;
+  return getStatusPipeline().find(s => s.name.toLowerCase() === wanted) || null;
+}
+
+/** @private */
+function _parseStatusPipelineRows(rows, funcName) {
+  const statuses = [];
+  rows.forEach(([name, rank, terminal, inFunnel, color, keywords, aiHint, staleAfterDays, keywordPriority], i) => {
+    const statusName = String(name || "").trim();
+    if (!statusName) return;
+    if (rank === "" || rank === null || isNaN(Number(rank))) {
+      Logger.log(`[${funcName} WARN] Status "${statusName}" (row ${i + 2}) has no numeric rank and was skipped.`);
+      return;
+    }
+    if (statuses.some(s => s.name.toLowerCase() === statusName.toLowerCase())) return;
+    const colorValue = String(color || "").trim();
+    statuses.push({
+      name: statusName,
+      rank: Number(rank),
+      terminal: terminal === true || /^(?:true|yes|y|x)$/i.test(String(terminal).trim()),
+      inFunnel: inFunnel === true || /^(?:true|yes|y|x)$/i.test(String(inFunnel).trim()),
+      color: /^#[0-9a-f]{6}$/i.test(colorValue) ? colorValue : "",
+      keywords: String(keywords || "").split(",").map(k => k.trim().toLowerCase()).filter(Boolean),
+      aiHint: String(aiHint || "").trim(),
+      staleAfterDays: Number(staleAfterDays) > 0 ? Number(staleAfterDays) : null,
+      keywordPriority: keywordPriority !== "" && keywordPriority != null && !isNaN(Number(keywordPriority)) ? Number(keywordPriority) : Number(rank)
+    });
+  });
+  return statuses;
+}
@@ -0,0 +1,66 @@
+/**
+ * @file Builds the conversation context used by thread-aware parsing. For modules with
+ * `useThreadContext`, the engine gives the parser and data handler the earlier messages of
+ * the thread and the company/title already known for it, so replies such as
+ * "Great, see you Tuesday" attach to the right application instead of needing manual review.
+ */
+
+/**
+ * Builds the context for one message.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message The message being processed (the newest one to classify).
+ * @param {GoogleAppsScript.Gmail.GmailMessage[]} threadMessages All messages of its thread.
+ * @param {{company: string, title: string}|undefined} knownValues Company/title already recorded for the thread.
+ * @param {Map<string, object[]>} companyIndex The engine's live cache of sheet rows.
+ * @returns {{threadId: string, priorMessages: object[], knownCompany: string|null, knownTitle: string|null, knownEntry: object|null}}
+ */
+function buildThreadContext(message, threadMessages, knownValues, companyIndex) {
+  const messageDate = message.getDate();
+  const prior = (threadMessages || [])
+    .filter(m => m.getId() !== message.getId() && m.getDate() <= messageDate)
+    .sort((a, b) => a.getDate() - b.getDate());
+
+  // The newest earlier message that wrote a row links the thread to that row.
+  const priorIds = new Set(prior.map(m => m.getId()));
+  let knownEntry = null;
+  for (const entries of companyIndex.values()) {
+    for (const entry of entries) {
+      if (entry.emailId && priorIds.has(String(entry.emailId))) knownEntry = entry;
+    }
+  }
+
+  return {
+    threadId: message.getThread().getId(),
+    priorMessages: prior.slice(-THREAD_CONTEXT_MAX_PRIOR_MESSAGES).map(m => ({
+      from: m.getFrom(),
+      date: m.getDate(),
+      subject: m.getSubject() || "",
+      body: (m.getPlainBody() || "").substring(0, THREAD_CONTEXT_MESSAGE_CHARS)
+    })),
+    knownCompany: (knownValues && knownValues.company) || (knownEntry && knownEntry.company) || null,
+    knownTitle: (knownValues && knownValues.title) || (knownEntry && knownEntry.title) || null,
+    knownEntry: knownEntry
+  };
+}
+
+/**
+ * Formats the context as a prompt section, or returns an empty string if there is none.
+ * @param {object|null} threadContext The context from `buildThreadContext`.
+ * @returns {string} The prompt section.
+ */
+function formatThreadContextForPrompt(threadContext) {
+  if (!threadContext || (threadContext.priorMessages.length === 0 && !threadContext.knownCompany && !threadContext.knownTitle)) {
+    return "";
+  }
+  const lines = [
+    "--- CONVERSATION CONTEXT START ---",
+    "The email to process is part of an existing thread. Use this context ONLY to fill in \"company_name\" and \"job_title\" when the email to process does not state them. The \"status\" MUST come from the email to process, never from earlier messages."
+  ];
+  if (threadContext.knownCompany) lines.push(`Known company for this thread: ${threadContext.knownCompany}`);
+  if (threadContext.knownTitle) lines.push(`Known job title for this thread: ${threadContext.knownTitle}`);
+  threadContext.priorMessages.forEach((m, i) => {
+    lines.push(`[Earlier message ${i + 1} of ${threadContext.priorMessages.length}] From: ${m.from} | Date: ${m.date} | Subject: ${m.subject}`);
+    lines.push(m.body);
+  });
+  lines.push("--- CONVERSATION CONTEXT END ---", "");
+  return lines.join("\n") + "\n";
+}
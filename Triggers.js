@@ -34,21 +34,32 @@ function createTimeDrivenTrigger(functionName, hours) {
 }
 
 /**
- * Creates or verifies a daily time-based trigger for marking stale applications.
+ * Creates or verifies a daily time-based trigger for marking stale applications. Triggers that older
+ * versions created for a handler in LEGACY_STALE_TRIGGER_HANDLERS are deleted first: those handlers
+ * are called with the trigger's event object in place of the spreadsheet, and would run twice a day
+ * next to the new trigger.
+ * @param {string} [functionName] The handler to run. Defaults to 'markStale_triggerHandler'.
+ * @param {number} [atHour] The hour of day (script timezone) to run at. Defaults to 2.
  * @returns {boolean} True if a new trigger was created, false if it already existed.
  */
-function createOrVerifyStaleRejectTrigger() {
+function createOrVerifyStaleRejectTrigger(functionName, atHour) {
   const FUNC_NAME = 'createOrVerifyStaleRejectTrigger';
-  const HANDLER_FUNCTION = 'markStaleApplicationsAsRejected';
+  const HANDLER_FUNCTION = functionName || 'markStale_triggerHandler';
   try {
-    const existingTriggers = ScriptApp.getProjectTriggers();
+    const existingTriggers = ScriptApp.getProjectTriggers().filter(t => {
+      const handler = t.getHandlerFunction();
+      if (handler === HANDLER_FUNCTION || !LEGACY_STALE_TRIGGER_HANDLERS.includes(handler)) return true;
+      ScriptApp.deleteTrigger(t);
+      Logger.log(`[${FUNC_NAME} INFO] Deleted the old "${handler}" trigger; "${HANDLER_FUNCTION}" replaces it.`);
+      return false;
+    });
     const triggerExists = existingTriggers.some(t => t.getHandlerFunction() === HANDLER_FUNCTION);
 
     if (!triggerExists) {
       ScriptApp.newTrigger(HANDLER_FUNCTION)
         .timeBased()
         .everyDays(1)
-        .atHour(2) // Runs around 2 AM in the script's timezone
+        .atHour(atHour ?? 2) // Runs around 2 AM in the script's timezone by default
         .create();
       Logger.log(`[${FUNC_NAME} INFO] Daily stale-check trigger CREATED successfully.`);
       return true;
@@ -83,6 +83,12 @@ function doPost(e) {
       });
     }
 
+    // === ACTION: runProcessing ===
+    if (action === 'runProcessing') {
+      Logger.log(`[${FUNC_NAME}] Routing to 'runProcessing' action.`);
+      return doPost_runProcessing(e);
+    }
+
     // Fallback for an unknown POST action.
     Logger.log(`[${FUNC_NAME} WARN] An unknown POST action was requested: "${action}".`);
     return createJsonResponse({
@@ -101,6 +107,46 @@ function doPost(e) {
 }
 
 
+/**
+ * Runs email processing for one module on the user's sheet.
+ * Expects a JSON body like `{"module": "applicationTracker"}` (a module id or name; defaults to the tracker).
+ * Responds with status 'busy' if that module is already being processed by another execution.
+ * @param {GoogleAppsScript.Events.DoPost} e The event parameter from the POST request.
+ * @returns {GoogleAppsScript.Content.TextOutput} A JSON response.
+ */
+function doPost_runProcessing(e) {
+  const FUNC_NAME = "doPost_runProcessing";
+  let postData;
+  try {
+    postData = e.postData && e.postData.contents ? JSON.parse(e.postData.contents) : {};
+  } catch (error) {
+    Logger.log(`[${FUNC_NAME} ERROR] Request body is not valid JSON: ${error.message}`);
+    return createJsonResponse({ status: 'error', message: 'The request body is not valid JSON.' });
+  }
+  if (!postData || typeof postData !== 'object') postData = {};
+  const module = getRegisteredModule(postData.module || "applicationTracker");
+  if (!module) {
+    return createJsonResponse({ status: 'error', message: `Unknown module: ${postData.module}` });
+  }
+
+  const userMjmSheetId = PropertiesService.getUserProperties().getProperty('userMjmSheetId');
+  if (!userMjmSheetId) {
+    return createJsonResponse({ status: 'error', message: 'CareerSuite.AI Sheet ID not found. Please complete setup via the extension.' });
+  }
+  const ss = SpreadsheetApp.openById(userMjmSheetId);
+
+  const result = runModuleProcessing(module, ss, PropertiesService.getScriptProperties(), { source: 'webapp' });
+  if (!result.ran) {
+    Logger.log(`[${FUNC_NAME}] ${module.moduleName} is already running; request skipped.`);
+    return createJsonResponse({
+      status: 'busy',
+      message: `${module.moduleName} is already running (${describeRunLease(result.holder)}). Please try again in a few minutes.`,
+      runningSince: result.holder ? result.holder.acquiredAt : null
+    });
+  }
+  return createJsonResponse({ status: 'success', message: `${module.moduleName} processing finished.` });
+}
+
 /**
  * Handles the logic for getting an existing sheet or creating a new one for the user.
  * This is the primary endpoint for the extension's "Manage Job Tracker" button.
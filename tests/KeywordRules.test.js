@@ -0,0 +1,67 @@
+/**
+ * @file Tests for KeywordRules.js, run against DEFAULT_STATUS_PIPELINE (the tests have no
+ * spreadsheet, so `getStatusPipeline` falls back to the defaults) and the language packs.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const ctx = loadScripts(['Config.js', 'StatusPipeline.js', 'KeywordRules.js']);
+const statusOf = text => {
+  const match = ctx.matchKeywordRules(text);
+  return match ? match.status : null;
+};
+
+test('common English rejection wordings are rejections', () => {
+  [
+    'Unfortunately, we will not be moving forward with your application.',
+    'We have decided not to move forward with your application at this time.',
+    'After careful review, we have decided to move forward with other candidates.',
+    'The team is moving forward with other candidates whose experience more closely matches the role.',
+    'We regret to inform you that the position has been filled.',
+    'We will not be proceeding with your application.',
+    'You have not been selected for this role.'
+  ].forEach(text => assert.strictEqual(statusOf(text), ctx.REJECTED_STATUS, text));
+});
+
+test('phrases of three or more words allow a short gap, shorter phrases do not', () => {
+  assert.strictEqual(statusOf('We are not currently moving forward with applicants.'), ctx.REJECTED_STATUS);
+  assert.strictEqual(statusOf('We are not, at this point in time, moving forward with applicants.'), null);
+  assert.strictEqual(statusOf('Here is the job we offer.'), null);
+});
+
+test('a negation before a phrase in the same sentence cancels it', () => {
+  assert.strictEqual(statusOf('This is not a job offer, just a newsletter.'), null);
+  assert.strictEqual(statusOf('We never schedule an interview without a referral.'), null);
+  assert.strictEqual(statusOf('Not now. We would like to schedule an interview.'), ctx.INTERVIEW_STATUS);
+});
+
+test('weighted phrases only count together', () => {
+  assert.strictEqual(statusOf('Unfortunately, the office is closed on Friday.'), null);
+  assert.strictEqual(statusOf('Your interview is on Friday.'), null);
+  const match = ctx.matchKeywordRules('Unfortunately, we went with other candidates.');
+  assert.strictEqual(match.status, ctx.REJECTED_STATUS);
+  assert.strictEqual(match.score, 1.5);
+});
+
+test('the highest keyword priority wins over a higher score', () => {
+  const text = 'Thank you for the interview. We would like to schedule an interview soon, but we regret to inform you the role is closed.';
+  assert.strictEqual(statusOf(text), ctx.REJECTED_STATUS);
+});
+
+test('each language pack matches its own wordings', () => {
+  [
+    ['es', 'Lamentablemente, hemos decidido no seguir adelante con tu candidatura.', ctx.REJECTED_STATUS],
+    ['es', 'Nos gustaría invitarte a una entrevista la próxima semana.', ctx.INTERVIEW_STATUS],
+    ['fr', "Nous ne pouvons malheureusement pas donner suite, nous n'avons pas retenu votre candidature.", ctx.REJECTED_STATUS],
+    ['fr', 'Nous sommes ravis de vous proposer le poste.', ctx.OFFER_STATUS],
+    ['de', 'Leider müssen wir Ihnen mitteilen, dass die Stelle wurde bereits besetzt.', ctx.REJECTED_STATUS],
+    ['de', 'Wir möchten Sie zu einem Vorstellungsgespräch einladen.', ctx.INTERVIEW_STATUS],
+    ['pt', 'Infelizmente, optamos por seguir com outros candidatos.', ctx.REJECTED_STATUS],
+    ['pt', 'Temos o prazer de oferecer a vaga a você.', ctx.OFFER_STATUS]
+  ].forEach(([language, text, status]) => {
+    const match = ctx.matchKeywordRules(text);
+    assert.strictEqual(match && match.status, status, text);
+    assert.ok(match.matches.some(m => m.language === language), `${text} matched no "${language}" phrase`);
+  });
+});
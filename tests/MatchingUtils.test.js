@@ -0,0 +1,50 @@
+/**
+ * @file Tests for MatchingUtils.js. The Apps Script files share one global scope, so they are
+ * loaded into a VM context with stubs for the Apps Script services they touch at load time.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const ctx = loadScripts(['Config.js', 'CompanyAliases.js', 'MatchingUtils.js']);
+const titleScore = (a, b) => ctx.titleSimilarityScore(ctx.normalizeJobTitle(a), ctx.normalizeJobTitle(b));
+
+test('titles at different levels never reach the match threshold', () => {
+  [
+    ['Software Engineer II', 'Software Engineer III'],
+    ['Software Engineer I', 'Software Engineer II'],
+    ['Data Engineer', 'Data Engineer II'],
+    ['Software Engineer 2', 'Software Engineer 3'],
+    ['Senior Software Engineer', 'Software Engineer'],
+    ['Staff Engineer', 'Principal Engineer'],
+    ['Junior Developer', 'Senior Developer']
+  ].forEach(([a, b]) => assert.ok(titleScore(a, b) < ctx.JOB_TITLE_MATCH_THRESHOLD, `${a} / ${b} scored ${titleScore(a, b)}`));
+});
+
+test('different roles never reach the match threshold', () => {
+  [
+    ['Product Manager', 'Project Manager'],
+    ['Data Engineer', 'Data Scientist'],
+    ['Sales Manager', 'Sales Engineer']
+  ].forEach(([a, b]) => assert.ok(titleScore(a, b) < ctx.JOB_TITLE_MATCH_THRESHOLD, `${a} / ${b} scored ${titleScore(a, b)}`));
+});
+
+test('the same title written differently matches', () => {
+  [
+    ['Sr. Software Engineer', 'Senior Software Engineer'],
+    ['Software Engineer II', 'Software Engineer 2'],
+    ['Software Engineer I', 'Software Engineer 1'],
+    ['Software Enginer', 'Software Engineer'],
+    ['Engineer, Software', 'Software Engineer'],
+    ['SWE III', 'Software Engineer III']
+  ].forEach(([a, b]) => assert.ok(titleScore(a, b) >= ctx.JOB_TITLE_MATCH_THRESHOLD, `${a} / ${b} scored ${titleScore(a, b)}`));
+});
+
+test('findBestApplicationMatch picks the row with the same level', () => {
+  const index = new Map([[ctx.companyMatchKey('Acme'), [
+    { row: 2, company: 'Acme', title: 'Software Engineer II' },
+    { row: 3, company: 'Acme', title: 'Software Engineer III' }
+  ]]]);
+  assert.strictEqual(ctx.findBestApplicationMatch('Acme, Inc.', 'Software Engineer III', index).entry.row, 3);
+  assert.strictEqual(ctx.findBestApplicationMatch('Acme', 'Software Engineer I', index), null);
+});
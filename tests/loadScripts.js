@@ -0,0 +1,26 @@
+/**
+ * @file Loads Apps Script files into one VM context, as Apps Script does, for the tests.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Loads the given project files, in order, into a fresh context.
+ * @param {string[]} files File names relative to the project root.
+ * @returns {object} The context; the files' global functions and constants are read from it.
+ */
+function loadScripts(files) {
+  const ctx = vm.createContext({
+    Logger: { log() {} },
+    SpreadsheetApp: { getActiveSpreadsheet() { return null; }, BandingTheme: {} }
+  });
+  files.forEach(file => {
+    const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    // Top-level const declarations are not context properties; expose them as globals.
+    vm.runInContext(source.replace(/^const /gm, 'var '), ctx, { filename: file });
+  });
+  return ctx;
+}
+
+module.exports = { loadScripts };